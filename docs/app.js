@@ -72,18 +72,22 @@ function filterContracts() {
             contract.name.toLowerCase().includes(searchTerm) ||
             contract.description.toLowerCase().includes(searchTerm) ||
             contract.author.name.toLowerCase().includes(searchTerm) ||
-            (contract.mainnet && contract.mainnet.code_id.includes(searchTerm)) ||
-            (contract.testnet && contract.testnet.code_id.includes(searchTerm));
+            Object.values(contract.deployments || {}).some(deployment =>
+                deployment.code_id.includes(searchTerm) ||
+                (deployment.instances || []).some(instance =>
+                    instance.address.toLowerCase().includes(searchTerm) ||
+                    instance.label.toLowerCase().includes(searchTerm)));
 
         // Author filter
         const matchesAuthor = !authorValue || contract.author.name === authorValue;
 
         // Governance filter (only applies to contracts with mainnet)
         // If governance filter is selected, only show contracts with mainnet that match the criteria
+        const mainnet = mainnetDeployment(contract);
         const matchesGovernance = !governanceValue ||
-            (contract.mainnet && (
-                (governanceValue === 'Genesis' && contract.mainnet.governance === 'Genesis') ||
-                (governanceValue === 'Proposal' && contract.mainnet.governance !== 'Genesis')
+            (mainnet && (
+                (governanceValue === 'Genesis' && mainnet.governance === 'Genesis') ||
+                (governanceValue === 'Proposal' && mainnet.governance !== 'Genesis')
             ));
 
         // Status filter
@@ -92,9 +96,10 @@ function filterContracts() {
             (statusValue === 'deprecated' && contract.deprecated);
 
         // Testnet filter
+        const hasTestnet = otherDeployments(contract).length > 0;
         const matchesTestnet = !testnetValue ||
-            (testnetValue === 'testnet' && contract.testnet) ||
-            (testnetValue === 'no-testnet' && !contract.testnet);
+            (testnetValue === 'testnet' && hasTestnet) ||
+            (testnetValue === 'no-testnet' && !hasTestnet);
 
         return matchesSearch && matchesAuthor && matchesGovernance && matchesStatus && matchesTestnet;
     });
@@ -129,9 +134,11 @@ function renderContracts() {
 // Create HTML for a contract card
 function createContractCard(contract) {
     const isDeprecated = contract.deprecated;
-    const hasMainnet = contract.mainnet;
-    const hasTestnet = contract.testnet;
-    const isGenesis = hasMainnet && contract.mainnet.governance === 'Genesis';
+    const mainnet = mainnetDeployment(contract);
+    const testnets = otherDeployments(contract);
+    const hasMainnet = Boolean(mainnet);
+    const hasTestnet = testnets.length > 0;
+    const isGenesis = hasMainnet && mainnet.governance === 'Genesis';
     
     // Build tags based on availability
     const tags = [];
@@ -167,46 +174,54 @@ function createContractCard(contract) {
         `;
     };
     
+    // One row per instantiated contract, e.g. "Treasury Factory · xion1abcd...wxyz"
+    const createInstanceRows = deployment => (deployment.instances || []).map(instance => {
+        const truncatedAddress = `${instance.address.substring(0, 12)}...${instance.address.substring(instance.address.length - 6)}`;
+        return createDataRow('Instance', `${escapeHtml(instance.label)} · ${truncatedAddress}`, instance.address);
+    }).join('');
+    
     // Build mainnet section
     let mainnetSection = '';
     if (hasMainnet) {
-        const truncatedMainnetHash = `${contract.mainnet.hash.substring(0, 8)}...${contract.mainnet.hash.substring(contract.mainnet.hash.length - 8)}`;
+        const truncatedMainnetHash = `${mainnet.hash.substring(0, 8)}...${mainnet.hash.substring(mainnet.hash.length - 8)}`;
         mainnetSection = `
             <div style="margin-bottom: 1rem; padding: 1rem; background: rgba(202, 240, 51, 0.05); border: 1px solid rgba(202, 240, 51, 0.2); border-radius: var(--xion-radius-md);">
                 <div class="ui-small-text ui-text-secondary" style="margin-bottom: 0.75rem; font-weight: 600; text-transform: uppercase; letter-spacing: 0.05em; color: var(--xion-success);">Mainnet</div>
                 <div style="display: flex; flex-direction: column; gap: 0.5rem;">
-                    ${createDataRow('Code ID', contract.mainnet.code_id, contract.mainnet.code_id)}
-                    ${createDataRow('Hash', truncatedMainnetHash, contract.mainnet.hash)}
-                    ${createDataRow('Governance', contract.mainnet.governance)}
+                    ${createDataRow('Code ID', mainnet.code_id, mainnet.code_id)}
+                    ${createDataRow('Hash', truncatedMainnetHash, mainnet.hash)}
+                    ${createDataRow('Governance', mainnet.governance)}
+                    ${createInstanceRows(mainnet)}
                 </div>
             </div>
         `;
     }
     
-    // Build testnet section
-    let testnetSection = '';
-    if (hasTestnet) {
-        const truncatedTestnetHash = `${contract.testnet.hash.substring(0, 8)}...${contract.testnet.hash.substring(contract.testnet.hash.length - 8)}`;
+    // Build one section per testnet deployment
+    const testnetSection = testnets.map(([chainId, deployment]) => {
+        const truncatedTestnetHash = `${deployment.hash.substring(0, 8)}...${deployment.hash.substring(deployment.hash.length - 8)}`;
         // Format date to show only date part (YYYY-MM-DD)
-        const deployedDate = new Date(contract.testnet.deployed_at).toISOString().split('T')[0];
-        testnetSection = `
-            <div style="margin-bottom: 1rem; padding: 1rem; background: rgba(59, 130, 246, 0.05); border: 1px solid rgba(59, 130, 246, 0.2); border-radius: var(--xion-radius-md);">
-                <div class="ui-small-text ui-text-secondary" style="margin-bottom: 0.75rem; font-weight: 600; text-transform: uppercase; letter-spacing: 0.05em; color: #3b82f6;">Testnet</div>
-                <div style="display: flex; flex-direction: column; gap: 0.5rem;">
-                    ${createDataRow('Code ID', contract.testnet.code_id, contract.testnet.code_id)}
-                    ${createDataRow('Hash', truncatedTestnetHash, contract.testnet.hash)}
+        const deployedDate = deployment.deployed_at ? new Date(deployment.deployed_at).toISOString().split('T')[0] : '';
+        const deployedRow = deployment.deployed_by || deployedDate ? `
                     <div style="display: flex; align-items: center; gap: 0.5rem;">
                         <span class="ui-small-text ui-text-secondary" style="min-width: 80px; text-transform: uppercase; letter-spacing: 0.05em;">Deployed:</span>
                         <span style="flex: 1; display: flex; align-items: center; gap: 0.5rem; background: rgba(18, 18, 18, 0.8); padding: 0.375rem 0.625rem; border-radius: var(--xion-radius-sm); border: 1px solid var(--xion-border); font-family: 'Courier New', monospace; font-size: 0.85rem;">
-                            <span>${escapeHtml(contract.testnet.deployed_by)}</span>
-                            <span style="color: var(--xion-secondary-text);">•</span>
-                            <span>${deployedDate}</span>
+                            ${[deployment.deployed_by && `<span>${escapeHtml(deployment.deployed_by)}</span>`, deployedDate && `<span>${deployedDate}</span>`]
+                                .filter(Boolean).join('<span style="color: var(--xion-secondary-text);">•</span>')}
                         </span>
-                    </div>
+                    </div>` : '';
+        return `
+            <div style="margin-bottom: 1rem; padding: 1rem; background: rgba(59, 130, 246, 0.05); border: 1px solid rgba(59, 130, 246, 0.2); border-radius: var(--xion-radius-md);">
+                <div class="ui-small-text ui-text-secondary" style="margin-bottom: 0.75rem; font-weight: 600; text-transform: uppercase; letter-spacing: 0.05em; color: #3b82f6;">Testnet · ${escapeHtml(chainId)}</div>
+                <div style="display: flex; flex-direction: column; gap: 0.5rem;">
+                    ${createDataRow('Code ID', deployment.code_id, deployment.code_id)}
+                    ${createDataRow('Hash', truncatedTestnetHash, deployment.hash)}
+                    ${deployedRow}
+                    ${createInstanceRows(deployment)}
                 </div>
             </div>
         `;
-    }
+    }).join('');
     
     // Build action buttons
     let actionButtons = '';
@@ -214,7 +229,7 @@ function createContractCard(contract) {
         actionButtons += `<a href="${escapeHtml(contract.release.url)}" target="_blank" class="ui-button ui-button-outlined" style="flex: 1; font-size: 0.85rem; padding: 0.625rem 1rem;">View Release</a>`;
     }
     if (hasMainnet && !isGenesis) {
-        actionButtons += `<a href="https://api.xion-mainnet-1.burnt.com/cosmos/gov/v1/proposals/${contract.mainnet.governance}" target="_blank" class="ui-button ui-button-outlined" style="flex: 1; font-size: 0.85rem; padding: 0.625rem 1rem;">View Proposal</a>`;
+        actionButtons += `<a href="${escapeHtml(explorerUrl('proposal', { id: mainnet.governance }))}" target="_blank" class="ui-button ui-button-outlined" style="flex: 1; font-size: 0.85rem; padding: 0.625rem 1rem;">View Proposal</a>`;
     }
 
     return `
@@ -283,6 +298,23 @@ function copyToClipboard(text, button) {
     });
 }
 
+// Deployment on the network the site was built for (networkData.chain_id)
+function mainnetDeployment(contract) {
+    return (contract.deployments || {})[networkData.chain_id] || null;
+}
+
+// [chainId, deployment] pairs for every other chain, e.g. testnets
+function otherDeployments(contract) {
+    return Object.entries(contract.deployments || {})
+        .filter(([chainId]) => chainId !== networkData.chain_id);
+}
+
+// Fill in a block explorer link template from networkData (generated from networks.json)
+function explorerUrl(kind, params) {
+    return networkData.explorer[kind].replace(/\{(\w+)\}/g, (match, key) =>
+        params[key] === undefined ? match : encodeURIComponent(params[key]));
+}
+
 // Escape HTML to prevent XSS
 function escapeHtml(text) {
     const map = {
@@ -1,5 +1,5 @@
 // Auto-generated from contracts.json - DO NOT EDIT DIRECTLY
-// Generated on 2026-03-30T14:05:44.703Z
+// Generated on 2026-10-19T06:12:21.126Z
 // Total contracts: 63
 
 const contractsData = [
@@ -15,10 +15,12 @@ const contractsData = [
       "url": "https://burnt.com"
     },
     "deprecated": true,
-    "mainnet": {
-      "code_id": "1",
-      "hash": "5E0F49F9686FAD66C132031EC6A43EC63AD84A2B6C8A35C555542AC84FC03708",
-      "governance": "Genesis"
+    "deployments": {
+      "xion-mainnet-1": {
+        "code_id": "1",
+        "hash": "5E0F49F9686FAD66C132031EC6A43EC63AD84A2B6C8A35C555542AC84FC03708",
+        "governance": "Genesis"
+      }
     }
   },
   {
@@ -33,17 +35,18 @@ const contractsData = [
       "url": "https://daodao.zone/"
     },
     "deprecated": false,
-    "testnet": {
-      "code_id": "501",
-      "hash": "18DBF6EA062583B2EB5F266537B410F1D0C9FBC4C5DE8400E4B22BE0F7A16291",
-      "network": "xion-testnet-2",
-      "deployed_by": "xion1q9lqzpc73fewqva98pwaqvezaf9vqqulw3hmmx",
-      "deployed_at": "2025-04-08T18:22:41.924Z"
-    },
-    "mainnet": {
-      "code_id": "2",
-      "hash": "54E909B7F9AB191A0A0DB2040E09C8CFAB45DB75CA22852098531EC301878FC2",
-      "governance": "Genesis"
+    "deployments": {
+      "xion-mainnet-1": {
+        "code_id": "2",
+        "hash": "54E909B7F9AB191A0A0DB2040E09C8CFAB45DB75CA22852098531EC301878FC2",
+        "governance": "Genesis"
+      },
+      "xion-testnet-2": {
+        "code_id": "501",
+        "hash": "18DBF6EA062583B2EB5F266537B410F1D0C9FBC4C5DE8400E4B22BE0F7A16291",
+        "deployed_by": "xion1q9lqzpc73fewqva98pwaqvezaf9vqqulw3hmmx",
+        "deployed_at": "2025-04-08T18:22:41.924Z"
+      }
     }
   },
   {
@@ -58,17 +61,18 @@ const contractsData = [
       "url": "https://daodao.zone/"
     },
     "deprecated": false,
-    "testnet": {
-      "code_id": "502",
-      "hash": "50C2FEC0FD4872BC2A53B184F58AB9DC81BA9BF32EC505D958283B96631C9D61",
-      "network": "xion-testnet-2",
-      "deployed_by": "xion1q9lqzpc73fewqva98pwaqvezaf9vqqulw3hmmx",
-      "deployed_at": "2025-04-08T18:22:46.827Z"
-    },
-    "mainnet": {
-      "code_id": "3",
-      "hash": "3AA8F962BADEB899DB4BC6E5931C852473B5719DBA5AFF5DC26C66CDE1ED250E",
-      "governance": "Genesis"
+    "deployments": {
+      "xion-mainnet-1": {
+        "code_id": "3",
+        "hash": "3AA8F962BADEB899DB4BC6E5931C852473B5719DBA5AFF5DC26C66CDE1ED250E",
+        "governance": "Genesis"
+      },
+      "xion-testnet-2": {
+        "code_id": "502",
+        "hash": "50C2FEC0FD4872BC2A53B184F58AB9DC81BA9BF32EC505D958283B96631C9D61",
+        "deployed_by": "xion1q9lqzpc73fewqva98pwaqvezaf9vqqulw3hmmx",
+        "deployed_at": "2025-04-08T18:22:46.827Z"
+      }
     }
   },
   {
@@ -83,17 +87,18 @@ const contractsData = [
       "url": "https://daodao.zone/"
     },
     "deprecated": false,
-    "testnet": {
-      "code_id": "503",
-      "hash": "1CB5BFE7E6D09D3DB32AF7E10889B65C87DE7EAE5ABC9B2B1E2BEE47C6FF9D9D",
-      "network": "xion-testnet-2",
-      "deployed_by": "xion1q9lqzpc73fewqva98pwaqvezaf9vqqulw3hmmx",
-      "deployed_at": "2025-04-08T18:22:51.430Z"
-    },
-    "mainnet": {
-      "code_id": "4",
-      "hash": "CD13C487B820CE79BC7932F41497274635477845C2DCAF5CD4B06332175F53EC",
-      "governance": "Genesis"
+    "deployments": {
+      "xion-mainnet-1": {
+        "code_id": "4",
+        "hash": "CD13C487B820CE79BC7932F41497274635477845C2DCAF5CD4B06332175F53EC",
+        "governance": "Genesis"
+      },
+      "xion-testnet-2": {
+        "code_id": "503",
+        "hash": "1CB5BFE7E6D09D3DB32AF7E10889B65C87DE7EAE5ABC9B2B1E2BEE47C6FF9D9D",
+        "deployed_by": "xion1q9lqzpc73fewqva98pwaqvezaf9vqqulw3hmmx",
+        "deployed_at": "2025-04-08T18:22:51.430Z"
+      }
     }
   },
   {
@@ -108,17 +113,18 @@ const contractsData = [
       "url": "https://burnt.com"
     },
     "deprecated": false,
-    "testnet": {
-      "code_id": "504",
-      "hash": "BBE0520BBFB05F7378195C8E2B5FC203B3ED517196FAB3B80A977FCDD96E9A3D",
-      "network": "xion-testnet-2",
-      "deployed_by": "xion1q9lqzpc73fewqva98pwaqvezaf9vqqulw3hmmx",
-      "deployed_at": "2025-04-08T18:22:56.009Z"
-    },
-    "mainnet": {
-      "code_id": "5",
-      "hash": "FEFA4D0C57F6CA47A5D89C6F077A176D26027DB4EEFA758A929DD4C4AAF17D1B",
-      "governance": "Genesis"
+    "deployments": {
+      "xion-mainnet-1": {
+        "code_id": "5",
+        "hash": "FEFA4D0C57F6CA47A5D89C6F077A176D26027DB4EEFA758A929DD4C4AAF17D1B",
+        "governance": "Genesis"
+      },
+      "xion-testnet-2": {
+        "code_id": "504",
+        "hash": "BBE0520BBFB05F7378195C8E2B5FC203B3ED517196FAB3B80A977FCDD96E9A3D",
+        "deployed_by": "xion1q9lqzpc73fewqva98pwaqvezaf9vqqulw3hmmx",
+        "deployed_at": "2025-04-08T18:22:56.009Z"
+      }
     }
   },
   {
@@ -133,17 +139,18 @@ const contractsData = [
       "url": "https://cosmwasm.com/"
     },
     "deprecated": false,
-    "testnet": {
-      "code_id": "505",
-      "hash": "5C7AFB8287E2A3512A9C68433ECE40507A7D2C214806A723625F83C76D85D38D",
-      "network": "xion-testnet-2",
-      "deployed_by": "xion1q9lqzpc73fewqva98pwaqvezaf9vqqulw3hmmx",
-      "deployed_at": "2025-04-08T18:23:00.598Z"
-    },
-    "mainnet": {
-      "code_id": "6",
-      "hash": "0DEE80010FB15A7A03FC1153389DC1EEC36482B8D872B0640B8762C14E5C3CF8",
-      "governance": "Genesis"
+    "deployments": {
+      "xion-mainnet-1": {
+        "code_id": "6",
+        "hash": "0DEE80010FB15A7A03FC1153389DC1EEC36482B8D872B0640B8762C14E5C3CF8",
+        "governance": "Genesis"
+      },
+      "xion-testnet-2": {
+        "code_id": "505",
+        "hash": "5C7AFB8287E2A3512A9C68433ECE40507A7D2C214806A723625F83C76D85D38D",
+        "deployed_by": "xion1q9lqzpc73fewqva98pwaqvezaf9vqqulw3hmmx",
+        "deployed_at": "2025-04-08T18:23:00.598Z"
+      }
     }
   },
   {
@@ -158,17 +165,18 @@ const contractsData = [
       "url": "https://cosmwasm.com/"
     },
     "deprecated": false,
-    "testnet": {
-      "code_id": "506",
-      "hash": "185D4973B9ABC91E918A35EA696D10FFF9DE352B4E31AFB09016F14445AD75B5",
-      "network": "xion-testnet-2",
-      "deployed_by": "xion1q9lqzpc73fewqva98pwaqvezaf9vqqulw3hmmx",
-      "deployed_at": "2025-04-08T18:23:05.239Z"
-    },
-    "mainnet": {
-      "code_id": "7",
-      "hash": "86C0008909BEB14147FA99F66CA1AFB674FDCD737CCAD89C47EA2C95966F747E",
-      "governance": "Genesis"
+    "deployments": {
+      "xion-mainnet-1": {
+        "code_id": "7",
+        "hash": "86C0008909BEB14147FA99F66CA1AFB674FDCD737CCAD89C47EA2C95966F747E",
+        "governance": "Genesis"
+      },
+      "xion-testnet-2": {
+        "code_id": "506",
+        "hash": "185D4973B9ABC91E918A35EA696D10FFF9DE352B4E31AFB09016F14445AD75B5",
+        "deployed_by": "xion1q9lqzpc73fewqva98pwaqvezaf9vqqulw3hmmx",
+        "deployed_at": "2025-04-08T18:23:05.239Z"
+      }
     }
   },
   {
@@ -183,17 +191,18 @@ const contractsData = [
       "url": "https://cosmwasm.com/"
     },
     "deprecated": false,
-    "testnet": {
-      "code_id": "685",
-      "hash": "AB82C1BAF5692B2F809DBEC059A88621234389756EA56DF3F51288EC0379630F",
-      "network": "xion-testnet-2",
-      "deployed_by": "xion1q9lqzpc73fewqva98pwaqvezaf9vqqulw3hmmx",
-      "deployed_at": "2025-04-09T20:42:29.982Z"
-    },
-    "mainnet": {
-      "code_id": "8",
-      "hash": "734A8B5B958D9F3A9D97CAAEA93AAE409BD7FF21648B35B3F9A40F6DF0C39C00",
-      "governance": "Genesis"
+    "deployments": {
+      "xion-mainnet-1": {
+        "code_id": "8",
+        "hash": "734A8B5B958D9F3A9D97CAAEA93AAE409BD7FF21648B35B3F9A40F6DF0C39C00",
+        "governance": "Genesis"
+      },
+      "xion-testnet-2": {
+        "code_id": "685",
+        "hash": "AB82C1BAF5692B2F809DBEC059A88621234389756EA56DF3F51288EC0379630F",
+        "deployed_by": "xion1q9lqzpc73fewqva98pwaqvezaf9vqqulw3hmmx",
+        "deployed_at": "2025-04-09T20:42:29.982Z"
+      }
     }
   },
   {
@@ -208,17 +217,18 @@ const contractsData = [
       "url": "https://cosmwasm.com/"
     },
     "deprecated": false,
-    "testnet": {
-      "code_id": "507",
-      "hash": "7C5ABBEF1A27287F82C90BE9FA4306211DA3C3936F89485FC8D1F9729CE16068",
-      "network": "xion-testnet-2",
-      "deployed_by": "xion1q9lqzpc73fewqva98pwaqvezaf9vqqulw3hmmx",
-      "deployed_at": "2025-04-08T18:23:10.888Z"
-    },
-    "mainnet": {
-      "code_id": "9",
-      "hash": "8047BC30ED7129F24D4A89E7527C4926D3363A6BA038830A592A2041301553CF",
-      "governance": "Genesis"
+    "deployments": {
+      "xion-mainnet-1": {
+        "code_id": "9",
+        "hash": "8047BC30ED7129F24D4A89E7527C4926D3363A6BA038830A592A2041301553CF",
+        "governance": "Genesis"
+      },
+      "xion-testnet-2": {
+        "code_id": "507",
+        "hash": "7C5ABBEF1A27287F82C90BE9FA4306211DA3C3936F89485FC8D1F9729CE16068",
+        "deployed_by": "xion1q9lqzpc73fewqva98pwaqvezaf9vqqulw3hmmx",
+        "deployed_at": "2025-04-08T18:23:10.888Z"
+      }
     }
   },
   {
@@ -233,23 +243,23 @@ const contractsData = [
       "url": "https://cosmwasm.com/"
     },
     "deprecated": false,
-    "testnet": {
-      "code_id": "508",
-      "hash": "0C37B2630095F85B4B0A0532BBBA0B539BF9F7C96CA6BF109A0654477EB99B68",
-      "network": "xion-testnet-2",
-      "deployed_by": "xion1q9lqzpc73fewqva98pwaqvezaf9vqqulw3hmmx",
-      "deployed_at": "2025-04-08T18:23:15.346Z"
-    },
-    "mainnet": {
-      "code_id": "10",
-      "hash": "4604A284E209C2FE320F223B9FD29805A0E8F2CF8EA7B01FAC28C3EFC4EE63F0",
-      "governance": "Genesis"
+    "deployments": {
+      "xion-mainnet-1": {
+        "code_id": "10",
+        "hash": "4604A284E209C2FE320F223B9FD29805A0E8F2CF8EA7B01FAC28C3EFC4EE63F0",
+        "governance": "Genesis"
+      },
+      "xion-testnet-2": {
+        "code_id": "508",
+        "hash": "0C37B2630095F85B4B0A0532BBBA0B539BF9F7C96CA6BF109A0654477EB99B68",
+        "deployed_by": "xion1q9lqzpc73fewqva98pwaqvezaf9vqqulw3hmmx",
+        "deployed_at": "2025-04-08T18:23:15.346Z"
+      }
     }
   },
   {
     "name": "cw4 Stake",
     "description": "cw4 Stake",
-    "deprecated": true,
     "release": {
       "url": "https://github.com/CosmWasm/cw-plus/releases/tag/v2.0.0",
       "version": "v2.0.0"
@@ -258,10 +268,13 @@ const contractsData = [
       "name": "CosmWasm",
       "url": "https://cosmwasm.com/"
     },
-    "mainnet": {
-      "code_id": "11",
-      "hash": "DCA8257AD67CCB15B4A61A882131B9D3FDD0DD178B121BB51BBDA35B682C6653",
-      "governance": "Genesis"
+    "deprecated": true,
+    "deployments": {
+      "xion-mainnet-1": {
+        "code_id": "11",
+        "hash": "DCA8257AD67CCB15B4A61A882131B9D3FDD0DD178B121BB51BBDA35B682C6653",
+        "governance": "Genesis"
+      }
     }
   },
   {
@@ -276,17 +289,18 @@ const contractsData = [
       "url": "https://cosmwasm.com/"
     },
     "deprecated": false,
-    "testnet": {
-      "code_id": "509",
-      "hash": "D259DB8D657BCBDFD6FE8FBC0623342811E1F04AB8571FE66091E1F384222B7F",
-      "network": "xion-testnet-2",
-      "deployed_by": "xion1q9lqzpc73fewqva98pwaqvezaf9vqqulw3hmmx",
-      "deployed_at": "2025-04-08T18:23:19.899Z"
-    },
-    "mainnet": {
-      "code_id": "12",
-      "hash": "DCA8257AD67CCB15B4A61A882131B9D3FDD0DD178B121BB51BBDA35B682C6653",
-      "governance": "Genesis"
+    "deployments": {
+      "xion-mainnet-1": {
+        "code_id": "12",
+        "hash": "DCA8257AD67CCB15B4A61A882131B9D3FDD0DD178B121BB51BBDA35B682C6653",
+        "governance": "Genesis"
+      },
+      "xion-testnet-2": {
+        "code_id": "509",
+        "hash": "D259DB8D657BCBDFD6FE8FBC0623342811E1F04AB8571FE66091E1F384222B7F",
+        "deployed_by": "xion1q9lqzpc73fewqva98pwaqvezaf9vqqulw3hmmx",
+        "deployed_at": "2025-04-08T18:23:19.899Z"
+      }
     }
   },
   {
@@ -301,17 +315,18 @@ const contractsData = [
       "url": "https://cosmwasm.com/"
     },
     "deprecated": false,
-    "testnet": {
-      "code_id": "510",
-      "hash": "76AFC2BCEB57EF7F1D43E4B6F421AD3862659D5E34FA41142895E433BB0AFCC0",
-      "network": "xion-testnet-2",
-      "deployed_by": "xion1q9lqzpc73fewqva98pwaqvezaf9vqqulw3hmmx",
-      "deployed_at": "2025-04-08T18:23:24.559Z"
-    },
-    "mainnet": {
-      "code_id": "13",
-      "hash": "4D8E90DD340993033F1B9E8E3A3EE7F8673C582CA9BCDD8C8CF3C7470D6537D5",
-      "governance": "Genesis"
+    "deployments": {
+      "xion-mainnet-1": {
+        "code_id": "13",
+        "hash": "4D8E90DD340993033F1B9E8E3A3EE7F8673C582CA9BCDD8C8CF3C7470D6537D5",
+        "governance": "Genesis"
+      },
+      "xion-testnet-2": {
+        "code_id": "510",
+        "hash": "76AFC2BCEB57EF7F1D43E4B6F421AD3862659D5E34FA41142895E433BB0AFCC0",
+        "deployed_by": "xion1q9lqzpc73fewqva98pwaqvezaf9vqqulw3hmmx",
+        "deployed_at": "2025-04-08T18:23:24.559Z"
+      }
     }
   },
   {
@@ -326,17 +341,18 @@ const contractsData = [
       "url": "https://cosmwasm.com/"
     },
     "deprecated": false,
-    "testnet": {
-      "code_id": "511",
-      "hash": "CF596F891EAB32FE56BF4C2F8C74C9705C83CEC372B72D4033E623CD1A020059",
-      "network": "xion-testnet-2",
-      "deployed_by": "xion1q9lqzpc73fewqva98pwaqvezaf9vqqulw3hmmx",
-      "deployed_at": "2025-04-08T18:23:29.188Z"
-    },
-    "mainnet": {
-      "code_id": "14",
-      "hash": "A63BA1554095B6AC04D2F08246ABCCFA7F1C2276BF19F52A943EE5B85FD7749B",
-      "governance": "Genesis"
+    "deployments": {
+      "xion-mainnet-1": {
+        "code_id": "14",
+        "hash": "A63BA1554095B6AC04D2F08246ABCCFA7F1C2276BF19F52A943EE5B85FD7749B",
+        "governance": "Genesis"
+      },
+      "xion-testnet-2": {
+        "code_id": "511",
+        "hash": "CF596F891EAB32FE56BF4C2F8C74C9705C83CEC372B72D4033E623CD1A020059",
+        "deployed_by": "xion1q9lqzpc73fewqva98pwaqvezaf9vqqulw3hmmx",
+        "deployed_at": "2025-04-08T18:23:29.188Z"
+      }
     }
   },
   {
@@ -351,17 +367,18 @@ const contractsData = [
       "url": "https://burnt.com"
     },
     "deprecated": false,
-    "testnet": {
-      "code_id": "512",
-      "hash": "02E3DD204A237AB5DAFCCB5FCFFF531778489E70D9D728635833289F64DC7CD3",
-      "network": "xion-testnet-2",
-      "deployed_by": "xion1q9lqzpc73fewqva98pwaqvezaf9vqqulw3hmmx",
-      "deployed_at": "2025-04-08T18:23:34.021Z"
-    },
-    "mainnet": {
-      "code_id": "15",
-      "hash": "6A30325831651208E07F9A9F6FE5B29ADD99D6EDBDF5601C4AF9856D287E56E6",
-      "governance": "Genesis"
+    "deployments": {
+      "xion-mainnet-1": {
+        "code_id": "15",
+        "hash": "6A30325831651208E07F9A9F6FE5B29ADD99D6EDBDF5601C4AF9856D287E56E6",
+        "governance": "Genesis"
+      },
+      "xion-testnet-2": {
+        "code_id": "512",
+        "hash": "02E3DD204A237AB5DAFCCB5FCFFF531778489E70D9D728635833289F64DC7CD3",
+        "deployed_by": "xion1q9lqzpc73fewqva98pwaqvezaf9vqqulw3hmmx",
+        "deployed_at": "2025-04-08T18:23:34.021Z"
+      }
     }
   },
   {
@@ -376,17 +393,18 @@ const contractsData = [
       "url": "https://abstract.money/"
     },
     "deprecated": false,
-    "testnet": {
-      "code_id": "513",
-      "hash": "A904B5147A056FC2F90479394120F4779D07912B4BCC7E53A30E3AB683090DBA",
-      "network": "xion-testnet-2",
-      "deployed_by": "xion1q9lqzpc73fewqva98pwaqvezaf9vqqulw3hmmx",
-      "deployed_at": "2025-04-08T18:23:38.998Z"
-    },
-    "mainnet": {
-      "code_id": "16",
-      "hash": "D3D18E16A185FD5D82A510D2D51E8849E1135A1EF23090738ED90CE1F2E377DA",
-      "governance": "Genesis"
+    "deployments": {
+      "xion-mainnet-1": {
+        "code_id": "16",
+        "hash": "D3D18E16A185FD5D82A510D2D51E8849E1135A1EF23090738ED90CE1F2E377DA",
+        "governance": "Genesis"
+      },
+      "xion-testnet-2": {
+        "code_id": "513",
+        "hash": "A904B5147A056FC2F90479394120F4779D07912B4BCC7E53A30E3AB683090DBA",
+        "deployed_by": "xion1q9lqzpc73fewqva98pwaqvezaf9vqqulw3hmmx",
+        "deployed_at": "2025-04-08T18:23:38.998Z"
+      }
     }
   },
   {
@@ -401,17 +419,18 @@ const contractsData = [
       "url": "https://abstract.money/"
     },
     "deprecated": false,
-    "testnet": {
-      "code_id": "514",
-      "hash": "FF8E4B696F5E7EA28FDB4C69762A9FE4BDB2BE23F92BA8E98438967A1AF8FB93",
-      "network": "xion-testnet-2",
-      "deployed_by": "xion1q9lqzpc73fewqva98pwaqvezaf9vqqulw3hmmx",
-      "deployed_at": "2025-04-08T18:23:44.110Z"
-    },
-    "mainnet": {
-      "code_id": "17",
-      "hash": "A46BECDFECDECF94837B3D424826E78A483AF4F1E248EA378BFD5D702C5761AD",
-      "governance": "Genesis"
+    "deployments": {
+      "xion-mainnet-1": {
+        "code_id": "17",
+        "hash": "A46BECDFECDECF94837B3D424826E78A483AF4F1E248EA378BFD5D702C5761AD",
+        "governance": "Genesis"
+      },
+      "xion-testnet-2": {
+        "code_id": "514",
+        "hash": "FF8E4B696F5E7EA28FDB4C69762A9FE4BDB2BE23F92BA8E98438967A1AF8FB93",
+        "deployed_by": "xion1q9lqzpc73fewqva98pwaqvezaf9vqqulw3hmmx",
+        "deployed_at": "2025-04-08T18:23:44.110Z"
+      }
     }
   },
   {
@@ -426,17 +445,18 @@ const contractsData = [
       "url": "https://abstract.money/"
     },
     "deprecated": false,
-    "testnet": {
-      "code_id": "515",
-      "hash": "CA56E88DF3F5E1B5E8B0AEF0FB23F74498546EE92F060E1A72B0E06658EDAD44",
-      "network": "xion-testnet-2",
-      "deployed_by": "xion1q9lqzpc73fewqva98pwaqvezaf9vqqulw3hmmx",
-      "deployed_at": "2025-04-08T18:23:48.716Z"
-    },
-    "mainnet": {
-      "code_id": "18",
-      "hash": "B34F0DF05BAC1D769A87389B7856554751B5608D485943E98BC526A4C3322ADB",
-      "governance": "Genesis"
+    "deployments": {
+      "xion-mainnet-1": {
+        "code_id": "18",
+        "hash": "B34F0DF05BAC1D769A87389B7856554751B5608D485943E98BC526A4C3322ADB",
+        "governance": "Genesis"
+      },
+      "xion-testnet-2": {
+        "code_id": "515",
+        "hash": "CA56E88DF3F5E1B5E8B0AEF0FB23F74498546EE92F060E1A72B0E06658EDAD44",
+        "deployed_by": "xion1q9lqzpc73fewqva98pwaqvezaf9vqqulw3hmmx",
+        "deployed_at": "2025-04-08T18:23:48.716Z"
+      }
     }
   },
   {
@@ -451,17 +471,18 @@ const contractsData = [
       "url": "https://abstract.money/"
     },
     "deprecated": false,
-    "testnet": {
-      "code_id": "516",
-      "hash": "FD92C1C3B573B8FD741AD1B71AE0B04D9CD4D2DE1BB7527F0E89A13FACE22C5B",
-      "network": "xion-testnet-2",
-      "deployed_by": "xion1q9lqzpc73fewqva98pwaqvezaf9vqqulw3hmmx",
-      "deployed_at": "2025-04-08T18:23:53.582Z"
-    },
-    "mainnet": {
-      "code_id": "19",
-      "hash": "919A489D744E4384FDC9E3706AA7C37E80A25D39083FF028956BA300AD9AC2E8",
-      "governance": "Genesis"
+    "deployments": {
+      "xion-mainnet-1": {
+        "code_id": "19",
+        "hash": "919A489D744E4384FDC9E3706AA7C37E80A25D39083FF028956BA300AD9AC2E8",
+        "governance": "Genesis"
+      },
+      "xion-testnet-2": {
+        "code_id": "516",
+        "hash": "FD92C1C3B573B8FD741AD1B71AE0B04D9CD4D2DE1BB7527F0E89A13FACE22C5B",
+        "deployed_by": "xion1q9lqzpc73fewqva98pwaqvezaf9vqqulw3hmmx",
+        "deployed_at": "2025-04-08T18:23:53.582Z"
+      }
     }
   },
   {
@@ -476,17 +497,18 @@ const contractsData = [
       "url": "https://abstract.money/"
     },
     "deprecated": false,
-    "testnet": {
-      "code_id": "517",
-      "hash": "56811522D6A167DDDD9E9793BAFB3B3EB295E4E8C7212D3ED6141A9E69332120",
-      "network": "xion-testnet-2",
-      "deployed_by": "xion1q9lqzpc73fewqva98pwaqvezaf9vqqulw3hmmx",
-      "deployed_at": "2025-04-08T18:23:58.327Z"
-    },
-    "mainnet": {
-      "code_id": "20",
-      "hash": "1FA61DFAE0CF886FEB9EA6A5AFFAA84F478781B243D57B2CBFBDB01F9395AF5B",
-      "governance": "Genesis"
+    "deployments": {
+      "xion-mainnet-1": {
+        "code_id": "20",
+        "hash": "1FA61DFAE0CF886FEB9EA6A5AFFAA84F478781B243D57B2CBFBDB01F9395AF5B",
+        "governance": "Genesis"
+      },
+      "xion-testnet-2": {
+        "code_id": "517",
+        "hash": "56811522D6A167DDDD9E9793BAFB3B3EB295E4E8C7212D3ED6141A9E69332120",
+        "deployed_by": "xion1q9lqzpc73fewqva98pwaqvezaf9vqqulw3hmmx",
+        "deployed_at": "2025-04-08T18:23:58.327Z"
+      }
     }
   },
   {
@@ -501,17 +523,18 @@ const contractsData = [
       "url": "https://abstract.money/"
     },
     "deprecated": false,
-    "testnet": {
-      "code_id": "518",
-      "hash": "78B83A492FCFEFCD41BA4435B4962877B8B32093FB3733816DEED6655D31A1F0",
-      "network": "xion-testnet-2",
-      "deployed_by": "xion1q9lqzpc73fewqva98pwaqvezaf9vqqulw3hmmx",
-      "deployed_at": "2025-04-08T18:24:03.897Z"
-    },
-    "mainnet": {
-      "code_id": "21",
-      "hash": "E23F28815FB7673BA3C78AA81E2C738F648A7A610111341E60A1B29E2306B8E3",
-      "governance": "Genesis"
+    "deployments": {
+      "xion-mainnet-1": {
+        "code_id": "21",
+        "hash": "E23F28815FB7673BA3C78AA81E2C738F648A7A610111341E60A1B29E2306B8E3",
+        "governance": "Genesis"
+      },
+      "xion-testnet-2": {
+        "code_id": "518",
+        "hash": "78B83A492FCFEFCD41BA4435B4962877B8B32093FB3733816DEED6655D31A1F0",
+        "deployed_by": "xion1q9lqzpc73fewqva98pwaqvezaf9vqqulw3hmmx",
+        "deployed_at": "2025-04-08T18:24:03.897Z"
+      }
     }
   },
   {
@@ -526,17 +549,18 @@ const contractsData = [
       "url": "https://abstract.money/"
     },
     "deprecated": false,
-    "testnet": {
-      "code_id": "519",
-      "hash": "4E82ADE0089C6001A7B1B6A21287A71C4905C907FA5AAABFB2356F8C8B340DDA",
-      "network": "xion-testnet-2",
-      "deployed_by": "xion1q9lqzpc73fewqva98pwaqvezaf9vqqulw3hmmx",
-      "deployed_at": "2025-04-08T18:24:08.645Z"
-    },
-    "mainnet": {
-      "code_id": "22",
-      "hash": "9B287AFE1380CB886B161C66582255BF03DAD5EACFD27DF24FE89ADB81D2436D",
-      "governance": "Genesis"
+    "deployments": {
+      "xion-mainnet-1": {
+        "code_id": "22",
+        "hash": "9B287AFE1380CB886B161C66582255BF03DAD5EACFD27DF24FE89ADB81D2436D",
+        "governance": "Genesis"
+      },
+      "xion-testnet-2": {
+        "code_id": "519",
+        "hash": "4E82ADE0089C6001A7B1B6A21287A71C4905C907FA5AAABFB2356F8C8B340DDA",
+        "deployed_by": "xion1q9lqzpc73fewqva98pwaqvezaf9vqqulw3hmmx",
+        "deployed_at": "2025-04-08T18:24:08.645Z"
+      }
     }
   },
   {
@@ -551,17 +575,18 @@ const contractsData = [
       "url": "https://abstract.money/"
     },
     "deprecated": false,
-    "testnet": {
-      "code_id": "520",
-      "hash": "3B6869F3369E4C515E301A44A67A32DD9EE3193290309ABFDE929F4AC54BA164",
-      "network": "xion-testnet-2",
-      "deployed_by": "xion1q9lqzpc73fewqva98pwaqvezaf9vqqulw3hmmx",
-      "deployed_at": "2025-04-08T18:24:13.464Z"
-    },
-    "mainnet": {
-      "code_id": "23",
-      "hash": "647047E79FEAF28D36A49372877703555C80F5B45B18C9ADB8BBBCFBCA421CD5",
-      "governance": "Genesis"
+    "deployments": {
+      "xion-mainnet-1": {
+        "code_id": "23",
+        "hash": "647047E79FEAF28D36A49372877703555C80F5B45B18C9ADB8BBBCFBCA421CD5",
+        "governance": "Genesis"
+      },
+      "xion-testnet-2": {
+        "code_id": "520",
+        "hash": "3B6869F3369E4C515E301A44A67A32DD9EE3193290309ABFDE929F4AC54BA164",
+        "deployed_by": "xion1q9lqzpc73fewqva98pwaqvezaf9vqqulw3hmmx",
+        "deployed_at": "2025-04-08T18:24:13.464Z"
+      }
     }
   },
   {
@@ -576,17 +601,18 @@ const contractsData = [
       "url": "https://abstract.money/"
     },
     "deprecated": false,
-    "testnet": {
-      "code_id": "521",
-      "hash": "7808C63B8FD0A6A6D9E310146F3EA6481EA81996C201473EC84BE845C86236E0",
-      "network": "xion-testnet-2",
-      "deployed_by": "xion1q9lqzpc73fewqva98pwaqvezaf9vqqulw3hmmx",
-      "deployed_at": "2025-04-08T18:24:17.980Z"
-    },
-    "mainnet": {
-      "code_id": "24",
-      "hash": "C3282C016874B7FE7F4127F0695D42003C92EBA1C1BB10CC16BC584BAB186205",
-      "governance": "Genesis"
+    "deployments": {
+      "xion-mainnet-1": {
+        "code_id": "24",
+        "hash": "C3282C016874B7FE7F4127F0695D42003C92EBA1C1BB10CC16BC584BAB186205",
+        "governance": "Genesis"
+      },
+      "xion-testnet-2": {
+        "code_id": "521",
+        "hash": "7808C63B8FD0A6A6D9E310146F3EA6481EA81996C201473EC84BE845C86236E0",
+        "deployed_by": "xion1q9lqzpc73fewqva98pwaqvezaf9vqqulw3hmmx",
+        "deployed_at": "2025-04-08T18:24:17.980Z"
+      }
     }
   },
   {
@@ -601,17 +627,18 @@ const contractsData = [
       "url": "https://cosmwasm.com/"
     },
     "deprecated": false,
-    "testnet": {
-      "code_id": "522",
-      "hash": "25D2FFCCE6A84341D7802C9B1DB157497C86FB9A65950B89976A5F8692637261",
-      "network": "xion-testnet-2",
-      "deployed_by": "xion1q9lqzpc73fewqva98pwaqvezaf9vqqulw3hmmx",
-      "deployed_at": "2025-04-08T18:24:22.855Z"
-    },
-    "mainnet": {
-      "code_id": "25",
-      "hash": "E13AA30E0D70EA895B294AD1BC809950E60FE081B322B1657F75B67BE6021B1C",
-      "governance": "Genesis"
+    "deployments": {
+      "xion-mainnet-1": {
+        "code_id": "25",
+        "hash": "E13AA30E0D70EA895B294AD1BC809950E60FE081B322B1657F75B67BE6021B1C",
+        "governance": "Genesis"
+      },
+      "xion-testnet-2": {
+        "code_id": "522",
+        "hash": "25D2FFCCE6A84341D7802C9B1DB157497C86FB9A65950B89976A5F8692637261",
+        "deployed_by": "xion1q9lqzpc73fewqva98pwaqvezaf9vqqulw3hmmx",
+        "deployed_at": "2025-04-08T18:24:22.855Z"
+      }
     }
   },
   {
@@ -626,17 +653,18 @@ const contractsData = [
       "url": "https://cosmwasm.com/"
     },
     "deprecated": false,
-    "testnet": {
-      "code_id": "523",
-      "hash": "E42F310ACDDBDA112D806F31B70D98A8A95398308BE8568DF1C21EDBCEB3126E",
-      "network": "xion-testnet-2",
-      "deployed_by": "xion1q9lqzpc73fewqva98pwaqvezaf9vqqulw3hmmx",
-      "deployed_at": "2025-04-08T18:24:27.767Z"
-    },
-    "mainnet": {
-      "code_id": "26",
-      "hash": "EC8FE99C35618D786C6DC5F83293FC37CD98C4A297CF6AA9D150F64941E6442D",
-      "governance": "Genesis"
+    "deployments": {
+      "xion-mainnet-1": {
+        "code_id": "26",
+        "hash": "EC8FE99C35618D786C6DC5F83293FC37CD98C4A297CF6AA9D150F64941E6442D",
+        "governance": "Genesis"
+      },
+      "xion-testnet-2": {
+        "code_id": "523",
+        "hash": "E42F310ACDDBDA112D806F31B70D98A8A95398308BE8568DF1C21EDBCEB3126E",
+        "deployed_by": "xion1q9lqzpc73fewqva98pwaqvezaf9vqqulw3hmmx",
+        "deployed_at": "2025-04-08T18:24:27.767Z"
+      }
     }
   },
   {
@@ -651,17 +679,18 @@ const contractsData = [
       "url": "https://cosmwasm.com/"
     },
     "deprecated": false,
-    "testnet": {
-      "code_id": "524",
-      "hash": "25EB8888D1F05895262120A00322EFCA98BF458CF1FEC5D2EBF11BAEC40A1CE8",
-      "network": "xion-testnet-2",
-      "deployed_by": "xion1q9lqzpc73fewqva98pwaqvezaf9vqqulw3hmmx",
-      "deployed_at": "2025-04-08T18:24:32.167Z"
-    },
-    "mainnet": {
-      "code_id": "27",
-      "hash": "A58EE79215200778768FE3862F7C995B1BE35FBF3AB34C2DE715E5B9D77DCCBB",
-      "governance": "Genesis"
+    "deployments": {
+      "xion-mainnet-1": {
+        "code_id": "27",
+        "hash": "A58EE79215200778768FE3862F7C995B1BE35FBF3AB34C2DE715E5B9D77DCCBB",
+        "governance": "Genesis"
+      },
+      "xion-testnet-2": {
+        "code_id": "524",
+        "hash": "25EB8888D1F05895262120A00322EFCA98BF458CF1FEC5D2EBF11BAEC40A1CE8",
+        "deployed_by": "xion1q9lqzpc73fewqva98pwaqvezaf9vqqulw3hmmx",
+        "deployed_at": "2025-04-08T18:24:32.167Z"
+      }
     }
   },
   {
@@ -676,17 +705,18 @@ const contractsData = [
       "url": "https://cosmwasm.com/"
     },
     "deprecated": false,
-    "testnet": {
-      "code_id": "525",
-      "hash": "C07A46AD3EFD8042E23CE4A0C6ECF61930C6FF73C2C3612A05B0C7AB0E7F2E4F",
-      "network": "xion-testnet-2",
-      "deployed_by": "xion1q9lqzpc73fewqva98pwaqvezaf9vqqulw3hmmx",
-      "deployed_at": "2025-04-08T18:24:37.064Z"
-    },
-    "mainnet": {
-      "code_id": "28",
-      "hash": "51A70227FF5DC29C38DC514B0F32BB474ECB82FFFA3C029C6789578A55925143",
-      "governance": "Genesis"
+    "deployments": {
+      "xion-mainnet-1": {
+        "code_id": "28",
+        "hash": "51A70227FF5DC29C38DC514B0F32BB474ECB82FFFA3C029C6789578A55925143",
+        "governance": "Genesis"
+      },
+      "xion-testnet-2": {
+        "code_id": "525",
+        "hash": "C07A46AD3EFD8042E23CE4A0C6ECF61930C6FF73C2C3612A05B0C7AB0E7F2E4F",
+        "deployed_by": "xion1q9lqzpc73fewqva98pwaqvezaf9vqqulw3hmmx",
+        "deployed_at": "2025-04-08T18:24:37.064Z"
+      }
     }
   },
   {
@@ -701,17 +731,18 @@ const contractsData = [
       "url": "https://cosmwasm.com/"
     },
     "deprecated": false,
-    "testnet": {
-      "code_id": "526",
-      "hash": "F14B77376FCDCE6C4179704C5087C459B435EAB74C050C3A49AEA6BE1AC55F95",
-      "network": "xion-testnet-2",
-      "deployed_by": "xion1q9lqzpc73fewqva98pwaqvezaf9vqqulw3hmmx",
-      "deployed_at": "2025-04-08T18:24:41.918Z"
-    },
-    "mainnet": {
-      "code_id": "29",
-      "hash": "68D5DB29833B0C25A1DD4C8D837038528E521EF3622D9945FFCB0B70676FCABE",
-      "governance": "Genesis"
+    "deployments": {
+      "xion-mainnet-1": {
+        "code_id": "29",
+        "hash": "68D5DB29833B0C25A1DD4C8D837038528E521EF3622D9945FFCB0B70676FCABE",
+        "governance": "Genesis"
+      },
+      "xion-testnet-2": {
+        "code_id": "526",
+        "hash": "F14B77376FCDCE6C4179704C5087C459B435EAB74C050C3A49AEA6BE1AC55F95",
+        "deployed_by": "xion1q9lqzpc73fewqva98pwaqvezaf9vqqulw3hmmx",
+        "deployed_at": "2025-04-08T18:24:41.918Z"
+      }
     }
   },
   {
@@ -726,17 +757,18 @@ const contractsData = [
       "url": "https://cosmwasm.com/"
     },
     "deprecated": false,
-    "testnet": {
-      "code_id": "527",
-      "hash": "EE16CAC8AA5922F42EBA12BE249C75B3EC9D050CE043EC64B3BD034BE3DF749E",
-      "network": "xion-testnet-2",
-      "deployed_by": "xion1q9lqzpc73fewqva98pwaqvezaf9vqqulw3hmmx",
-      "deployed_at": "2025-04-08T18:24:46.268Z"
-    },
-    "mainnet": {
-      "code_id": "30",
-      "hash": "FEBB507E5FDA85C8C450CF28DCFBCBFB1BF17DECE43B7B7ECAD14D2FAD20C828",
-      "governance": "Genesis"
+    "deployments": {
+      "xion-mainnet-1": {
+        "code_id": "30",
+        "hash": "FEBB507E5FDA85C8C450CF28DCFBCBFB1BF17DECE43B7B7ECAD14D2FAD20C828",
+        "governance": "Genesis"
+      },
+      "xion-testnet-2": {
+        "code_id": "527",
+        "hash": "EE16CAC8AA5922F42EBA12BE249C75B3EC9D050CE043EC64B3BD034BE3DF749E",
+        "deployed_by": "xion1q9lqzpc73fewqva98pwaqvezaf9vqqulw3hmmx",
+        "deployed_at": "2025-04-08T18:24:46.268Z"
+      }
     }
   },
   {
@@ -751,17 +783,18 @@ const contractsData = [
       "url": "https://cosmwasm.com/"
     },
     "deprecated": false,
-    "testnet": {
-      "code_id": "528",
-      "hash": "48F57C70C92255046E21A0BE2125A6D03C1918CAFCD37099277BB8128B94F116",
-      "network": "xion-testnet-2",
-      "deployed_by": "xion1q9lqzpc73fewqva98pwaqvezaf9vqqulw3hmmx",
-      "deployed_at": "2025-04-08T18:24:51.072Z"
-    },
-    "mainnet": {
-      "code_id": "31",
-      "hash": "5BC7CE4A04A747FAFD1A139F2DB73E7EAC094C6D3882AF8E055D15FFD3EE67E8",
-      "governance": "Genesis"
+    "deployments": {
+      "xion-mainnet-1": {
+        "code_id": "31",
+        "hash": "5BC7CE4A04A747FAFD1A139F2DB73E7EAC094C6D3882AF8E055D15FFD3EE67E8",
+        "governance": "Genesis"
+      },
+      "xion-testnet-2": {
+        "code_id": "528",
+        "hash": "48F57C70C92255046E21A0BE2125A6D03C1918CAFCD37099277BB8128B94F116",
+        "deployed_by": "xion1q9lqzpc73fewqva98pwaqvezaf9vqqulw3hmmx",
+        "deployed_at": "2025-04-08T18:24:51.072Z"
+      }
     }
   },
   {
@@ -776,17 +809,18 @@ const contractsData = [
       "url": "https://mercle.xyz/"
     },
     "deprecated": false,
-    "testnet": {
-      "code_id": "529",
-      "hash": "0D7B50D4AF3416A7EBE6E0D9B27D65C7231034E693C74B12D815559156B62248",
-      "network": "xion-testnet-2",
-      "deployed_by": "xion1q9lqzpc73fewqva98pwaqvezaf9vqqulw3hmmx",
-      "deployed_at": "2025-04-08T18:24:55.424Z"
-    },
-    "mainnet": {
-      "code_id": "32",
-      "hash": "E1472FCB9275B908A931A1EA789AA8232EDF275D2EFEA05736BB786180CA91A1",
-      "governance": "Genesis"
+    "deployments": {
+      "xion-mainnet-1": {
+        "code_id": "32",
+        "hash": "E1472FCB9275B908A931A1EA789AA8232EDF275D2EFEA05736BB786180CA91A1",
+        "governance": "Genesis"
+      },
+      "xion-testnet-2": {
+        "code_id": "529",
+        "hash": "0D7B50D4AF3416A7EBE6E0D9B27D65C7231034E693C74B12D815559156B62248",
+        "deployed_by": "xion1q9lqzpc73fewqva98pwaqvezaf9vqqulw3hmmx",
+        "deployed_at": "2025-04-08T18:24:55.424Z"
+      }
     }
   },
   {
@@ -801,17 +835,18 @@ const contractsData = [
       "url": "https://mercle.xyz/"
     },
     "deprecated": false,
-    "testnet": {
-      "code_id": "530",
-      "hash": "BAFDA4C124EB2F208A45CC661E3404F0A6329FC3E70611C57EAEA6D2AB9F6404",
-      "network": "xion-testnet-2",
-      "deployed_by": "xion1q9lqzpc73fewqva98pwaqvezaf9vqqulw3hmmx",
-      "deployed_at": "2025-04-08T18:24:59.970Z"
-    },
-    "mainnet": {
-      "code_id": "33",
-      "hash": "B8998FEF98FBC7DE80437E41D4F2372CC471237F2D3F0A94F151B195C3418A33",
-      "governance": "Genesis"
+    "deployments": {
+      "xion-mainnet-1": {
+        "code_id": "33",
+        "hash": "B8998FEF98FBC7DE80437E41D4F2372CC471237F2D3F0A94F151B195C3418A33",
+        "governance": "Genesis"
+      },
+      "xion-testnet-2": {
+        "code_id": "530",
+        "hash": "BAFDA4C124EB2F208A45CC661E3404F0A6329FC3E70611C57EAEA6D2AB9F6404",
+        "deployed_by": "xion1q9lqzpc73fewqva98pwaqvezaf9vqqulw3hmmx",
+        "deployed_at": "2025-04-08T18:24:59.970Z"
+      }
     }
   },
   {
@@ -826,17 +861,18 @@ const contractsData = [
       "url": "https://www.bonusblock.io/"
     },
     "deprecated": false,
-    "testnet": {
-      "code_id": "531",
-      "hash": "5BAE92138B8B808BF803687E7531CE8EEF56B0629B67AF04B881FBD2B46E99DC",
-      "network": "xion-testnet-2",
-      "deployed_by": "xion1q9lqzpc73fewqva98pwaqvezaf9vqqulw3hmmx",
-      "deployed_at": "2025-04-08T18:25:04.423Z"
-    },
-    "mainnet": {
-      "code_id": "34",
-      "hash": "933AF6AB10A1024CBC0627C4E31DD87FC37F4C70A76C6C4DE9DB06FBFE229DEF",
-      "governance": "Genesis"
+    "deployments": {
+      "xion-mainnet-1": {
+        "code_id": "34",
+        "hash": "933AF6AB10A1024CBC0627C4E31DD87FC37F4C70A76C6C4DE9DB06FBFE229DEF",
+        "governance": "Genesis"
+      },
+      "xion-testnet-2": {
+        "code_id": "531",
+        "hash": "5BAE92138B8B808BF803687E7531CE8EEF56B0629B67AF04B881FBD2B46E99DC",
+        "deployed_by": "xion1q9lqzpc73fewqva98pwaqvezaf9vqqulw3hmmx",
+        "deployed_at": "2025-04-08T18:25:04.423Z"
+      }
     }
   },
   {
@@ -851,17 +887,18 @@ const contractsData = [
       "url": "https://talis.art/"
     },
     "deprecated": false,
-    "testnet": {
-      "code_id": "532",
-      "hash": "E7D24B887773C2F1A1DA1B250BC830F9DC51B1F4813ECD5CBD504D1A1436FDC1",
-      "network": "xion-testnet-2",
-      "deployed_by": "xion1q9lqzpc73fewqva98pwaqvezaf9vqqulw3hmmx",
-      "deployed_at": "2025-04-08T18:25:08.965Z"
-    },
-    "mainnet": {
-      "code_id": "35",
-      "hash": "8524BEE102B7E1B6C85D0ED1DE7C47EA9B7AA2B51845D5DFDAB1EA645599B4DD",
-      "governance": "Genesis"
+    "deployments": {
+      "xion-mainnet-1": {
+        "code_id": "35",
+        "hash": "8524BEE102B7E1B6C85D0ED1DE7C47EA9B7AA2B51845D5DFDAB1EA645599B4DD",
+        "governance": "Genesis"
+      },
+      "xion-testnet-2": {
+        "code_id": "532",
+        "hash": "E7D24B887773C2F1A1DA1B250BC830F9DC51B1F4813ECD5CBD504D1A1436FDC1",
+        "deployed_by": "xion1q9lqzpc73fewqva98pwaqvezaf9vqqulw3hmmx",
+        "deployed_at": "2025-04-08T18:25:08.965Z"
+      }
     }
   },
   {
@@ -876,17 +913,18 @@ const contractsData = [
       "url": "https://talis.art/"
     },
     "deprecated": false,
-    "testnet": {
-      "code_id": "533",
-      "hash": "130D729455C320B46B019F0428FF3782F1569DC440CC89D238FC997765BA5FF3",
-      "network": "xion-testnet-2",
-      "deployed_by": "xion1q9lqzpc73fewqva98pwaqvezaf9vqqulw3hmmx",
-      "deployed_at": "2025-04-08T18:25:13.633Z"
-    },
-    "mainnet": {
-      "code_id": "36",
-      "hash": "36FABE3758D19F4285C0B503579FABB06D702B09BCE74CD0FF8AB8987152EE36",
-      "governance": "Genesis"
+    "deployments": {
+      "xion-mainnet-1": {
+        "code_id": "36",
+        "hash": "36FABE3758D19F4285C0B503579FABB06D702B09BCE74CD0FF8AB8987152EE36",
+        "governance": "Genesis"
+      },
+      "xion-testnet-2": {
+        "code_id": "533",
+        "hash": "130D729455C320B46B019F0428FF3782F1569DC440CC89D238FC997765BA5FF3",
+        "deployed_by": "xion1q9lqzpc73fewqva98pwaqvezaf9vqqulw3hmmx",
+        "deployed_at": "2025-04-08T18:25:13.633Z"
+      }
     }
   },
   {
@@ -901,17 +939,18 @@ const contractsData = [
       "url": "https://talis.art/"
     },
     "deprecated": false,
-    "testnet": {
-      "code_id": "534",
-      "hash": "7A302275E507D13C4F3824CDAE49F4A9A46A8A58FDB66BC4937E632C0BEC46E3",
-      "network": "xion-testnet-2",
-      "deployed_by": "xion1q9lqzpc73fewqva98pwaqvezaf9vqqulw3hmmx",
-      "deployed_at": "2025-04-08T18:25:18.129Z"
-    },
-    "mainnet": {
-      "code_id": "37",
-      "hash": "0B9D0EF7D459A86062A77924EE440ECAC9A0BF21F6A201126032A353C1E19CCF",
-      "governance": "Genesis"
+    "deployments": {
+      "xion-mainnet-1": {
+        "code_id": "37",
+        "hash": "0B9D0EF7D459A86062A77924EE440ECAC9A0BF21F6A201126032A353C1E19CCF",
+        "governance": "Genesis"
+      },
+      "xion-testnet-2": {
+        "code_id": "534",
+        "hash": "7A302275E507D13C4F3824CDAE49F4A9A46A8A58FDB66BC4937E632C0BEC46E3",
+        "deployed_by": "xion1q9lqzpc73fewqva98pwaqvezaf9vqqulw3hmmx",
+        "deployed_at": "2025-04-08T18:25:18.129Z"
+      }
     }
   },
   {
@@ -926,17 +965,18 @@ const contractsData = [
       "url": "https://talis.art/"
     },
     "deprecated": false,
-    "testnet": {
-      "code_id": "535",
-      "hash": "E9FD4354F5F58F9643C380137B1CBC1ABD28ED70C7D0A98987B97E05CB6E1ABD",
-      "network": "xion-testnet-2",
-      "deployed_by": "xion1q9lqzpc73fewqva98pwaqvezaf9vqqulw3hmmx",
-      "deployed_at": "2025-04-08T18:25:22.772Z"
-    },
-    "mainnet": {
-      "code_id": "38",
-      "hash": "5D6EB094E88C8BE613570C612D74951BA9D5BDBD0D772B8987E68AE62D30B9DD",
-      "governance": "Genesis"
+    "deployments": {
+      "xion-mainnet-1": {
+        "code_id": "38",
+        "hash": "5D6EB094E88C8BE613570C612D74951BA9D5BDBD0D772B8987E68AE62D30B9DD",
+        "governance": "Genesis"
+      },
+      "xion-testnet-2": {
+        "code_id": "535",
+        "hash": "E9FD4354F5F58F9643C380137B1CBC1ABD28ED70C7D0A98987B97E05CB6E1ABD",
+        "deployed_by": "xion1q9lqzpc73fewqva98pwaqvezaf9vqqulw3hmmx",
+        "deployed_at": "2025-04-08T18:25:22.772Z"
+      }
     }
   },
   {
@@ -951,17 +991,18 @@ const contractsData = [
       "url": "https://talis.art/"
     },
     "deprecated": false,
-    "testnet": {
-      "code_id": "536",
-      "hash": "AED48320C5404C11017828BA897F8358C63E8CCB36E222B7C1FCE0FD92541285",
-      "network": "xion-testnet-2",
-      "deployed_by": "xion1q9lqzpc73fewqva98pwaqvezaf9vqqulw3hmmx",
-      "deployed_at": "2025-04-08T18:25:27.357Z"
-    },
-    "mainnet": {
-      "code_id": "40",
-      "hash": "811E37F714B7229BB6731A98EDA48CF4A2438E3CEA4B8BFC31B7F7CAF277B0FD",
-      "governance": "Genesis"
+    "deployments": {
+      "xion-mainnet-1": {
+        "code_id": "40",
+        "hash": "811E37F714B7229BB6731A98EDA48CF4A2438E3CEA4B8BFC31B7F7CAF277B0FD",
+        "governance": "Genesis"
+      },
+      "xion-testnet-2": {
+        "code_id": "536",
+        "hash": "AED48320C5404C11017828BA897F8358C63E8CCB36E222B7C1FCE0FD92541285",
+        "deployed_by": "xion1q9lqzpc73fewqva98pwaqvezaf9vqqulw3hmmx",
+        "deployed_at": "2025-04-08T18:25:27.357Z"
+      }
     }
   },
   {
@@ -976,17 +1017,18 @@ const contractsData = [
       "url": "https://talis.art/"
     },
     "deprecated": false,
-    "testnet": {
-      "code_id": "537",
-      "hash": "F7EBA4CAACA11BBBC9E3975B9725F8D8891D52BE19EBA9150330BA1816DFEF2D",
-      "network": "xion-testnet-2",
-      "deployed_by": "xion1q9lqzpc73fewqva98pwaqvezaf9vqqulw3hmmx",
-      "deployed_at": "2025-04-08T18:25:31.797Z"
-    },
-    "mainnet": {
-      "code_id": "41",
-      "hash": "21C147C2EC45190437367407B22D18717E137722EA3C8C4F410C05E55C403A57",
-      "governance": "Genesis"
+    "deployments": {
+      "xion-mainnet-1": {
+        "code_id": "41",
+        "hash": "21C147C2EC45190437367407B22D18717E137722EA3C8C4F410C05E55C403A57",
+        "governance": "Genesis"
+      },
+      "xion-testnet-2": {
+        "code_id": "537",
+        "hash": "F7EBA4CAACA11BBBC9E3975B9725F8D8891D52BE19EBA9150330BA1816DFEF2D",
+        "deployed_by": "xion1q9lqzpc73fewqva98pwaqvezaf9vqqulw3hmmx",
+        "deployed_at": "2025-04-08T18:25:31.797Z"
+      }
     }
   },
   {
@@ -1001,17 +1043,18 @@ const contractsData = [
       "url": "https://astroport.fi/"
     },
     "deprecated": false,
-    "testnet": {
-      "code_id": "538",
-      "hash": "709CE2092C5F6F3CDB50FE74B6AB99BE18EF90BD1E3795BE5DF070BBA0CC9B22",
-      "network": "xion-testnet-2",
-      "deployed_by": "xion1q9lqzpc73fewqva98pwaqvezaf9vqqulw3hmmx",
-      "deployed_at": "2025-04-08T18:25:36.488Z"
-    },
-    "mainnet": {
-      "code_id": "42",
-      "hash": "56EA99FB759B2DF28D18A0B1CFCCD4A0CACBADA3E7254DC2842D188277727CFB",
-      "governance": "Genesis"
+    "deployments": {
+      "xion-mainnet-1": {
+        "code_id": "42",
+        "hash": "56EA99FB759B2DF28D18A0B1CFCCD4A0CACBADA3E7254DC2842D188277727CFB",
+        "governance": "Genesis"
+      },
+      "xion-testnet-2": {
+        "code_id": "538",
+        "hash": "709CE2092C5F6F3CDB50FE74B6AB99BE18EF90BD1E3795BE5DF070BBA0CC9B22",
+        "deployed_by": "xion1q9lqzpc73fewqva98pwaqvezaf9vqqulw3hmmx",
+        "deployed_at": "2025-04-08T18:25:36.488Z"
+      }
     }
   },
   {
@@ -1026,17 +1069,18 @@ const contractsData = [
       "url": "https://astroport.fi/"
     },
     "deprecated": false,
-    "testnet": {
-      "code_id": "539",
-      "hash": "095C41C1F684BFAF4EBE7D00671148D9D2E9DF22CAD3A83947864CF8C379AF87",
-      "network": "xion-testnet-2",
-      "deployed_by": "xion1q9lqzpc73fewqva98pwaqvezaf9vqqulw3hmmx",
-      "deployed_at": "2025-04-08T18:25:43.771Z"
-    },
-    "mainnet": {
-      "code_id": "43",
-      "hash": "ADEFC4EE995B783BC45B0C338A6299A03FDEADB1F69CED4C2B6F22AF07B9EC1A",
-      "governance": "Genesis"
+    "deployments": {
+      "xion-mainnet-1": {
+        "code_id": "43",
+        "hash": "ADEFC4EE995B783BC45B0C338A6299A03FDEADB1F69CED4C2B6F22AF07B9EC1A",
+        "governance": "Genesis"
+      },
+      "xion-testnet-2": {
+        "code_id": "539",
+        "hash": "095C41C1F684BFAF4EBE7D00671148D9D2E9DF22CAD3A83947864CF8C379AF87",
+        "deployed_by": "xion1q9lqzpc73fewqva98pwaqvezaf9vqqulw3hmmx",
+        "deployed_at": "2025-04-08T18:25:43.771Z"
+      }
     }
   },
   {
@@ -1051,17 +1095,18 @@ const contractsData = [
       "url": "https://astroport.fi/"
     },
     "deprecated": false,
-    "testnet": {
-      "code_id": "540",
-      "hash": "1DA258B5E8E3187D1CE3071870B7DB6BE4265D69C088C82909C0DCB7E77C7181",
-      "network": "xion-testnet-2",
-      "deployed_by": "xion1q9lqzpc73fewqva98pwaqvezaf9vqqulw3hmmx",
-      "deployed_at": "2025-04-08T18:25:48.147Z"
-    },
-    "mainnet": {
-      "code_id": "44",
-      "hash": "2958D95914D24E4856D10877C38740B955C760F86D2B082EDCF19691809D378E",
-      "governance": "Genesis"
+    "deployments": {
+      "xion-mainnet-1": {
+        "code_id": "44",
+        "hash": "2958D95914D24E4856D10877C38740B955C760F86D2B082EDCF19691809D378E",
+        "governance": "Genesis"
+      },
+      "xion-testnet-2": {
+        "code_id": "540",
+        "hash": "1DA258B5E8E3187D1CE3071870B7DB6BE4265D69C088C82909C0DCB7E77C7181",
+        "deployed_by": "xion1q9lqzpc73fewqva98pwaqvezaf9vqqulw3hmmx",
+        "deployed_at": "2025-04-08T18:25:48.147Z"
+      }
     }
   },
   {
@@ -1076,17 +1121,18 @@ const contractsData = [
       "url": "https://astroport.fi/"
     },
     "deprecated": false,
-    "testnet": {
-      "code_id": "541",
-      "hash": "54CEFD7B3BD8BCBAA61A3AB433FB7A906BF2688D292F858A336B9F56433CC1D3",
-      "network": "xion-testnet-2",
-      "deployed_by": "xion1q9lqzpc73fewqva98pwaqvezaf9vqqulw3hmmx",
-      "deployed_at": "2025-04-08T18:25:52.766Z"
-    },
-    "mainnet": {
-      "code_id": "45",
-      "hash": "88C14F95C3BCBB0B8AABC433DC28F49373FD25EAB7141A881AC310BE4B04979D",
-      "governance": "Genesis"
+    "deployments": {
+      "xion-mainnet-1": {
+        "code_id": "45",
+        "hash": "88C14F95C3BCBB0B8AABC433DC28F49373FD25EAB7141A881AC310BE4B04979D",
+        "governance": "Genesis"
+      },
+      "xion-testnet-2": {
+        "code_id": "541",
+        "hash": "54CEFD7B3BD8BCBAA61A3AB433FB7A906BF2688D292F858A336B9F56433CC1D3",
+        "deployed_by": "xion1q9lqzpc73fewqva98pwaqvezaf9vqqulw3hmmx",
+        "deployed_at": "2025-04-08T18:25:52.766Z"
+      }
     }
   },
   {
@@ -1101,17 +1147,18 @@ const contractsData = [
       "url": "https://astroport.fi/"
     },
     "deprecated": false,
-    "testnet": {
-      "code_id": "542",
-      "hash": "7228F454351E1862711E0F7EECCA86AD015EDADBC61FDCD868AEFE36DE43B80A",
-      "network": "xion-testnet-2",
-      "deployed_by": "xion1q9lqzpc73fewqva98pwaqvezaf9vqqulw3hmmx",
-      "deployed_at": "2025-04-08T18:25:57.157Z"
-    },
-    "mainnet": {
-      "code_id": "46",
-      "hash": "6FEF673B1318C84AC8AB2CA81B2CDCA96B8C8C9D0995B8038D919F539AE7C3CC",
-      "governance": "Genesis"
+    "deployments": {
+      "xion-mainnet-1": {
+        "code_id": "46",
+        "hash": "6FEF673B1318C84AC8AB2CA81B2CDCA96B8C8C9D0995B8038D919F539AE7C3CC",
+        "governance": "Genesis"
+      },
+      "xion-testnet-2": {
+        "code_id": "542",
+        "hash": "7228F454351E1862711E0F7EECCA86AD015EDADBC61FDCD868AEFE36DE43B80A",
+        "deployed_by": "xion1q9lqzpc73fewqva98pwaqvezaf9vqqulw3hmmx",
+        "deployed_at": "2025-04-08T18:25:57.157Z"
+      }
     }
   },
   {
@@ -1126,17 +1173,18 @@ const contractsData = [
       "url": "https://astroport.fi/"
     },
     "deprecated": false,
-    "testnet": {
-      "code_id": "543",
-      "hash": "EAD1E14D45B3DBD9328048CB3255A8F371677729A8AB0BB49274E51655818547",
-      "network": "xion-testnet-2",
-      "deployed_by": "xion1q9lqzpc73fewqva98pwaqvezaf9vqqulw3hmmx",
-      "deployed_at": "2025-04-08T18:26:01.549Z"
-    },
-    "mainnet": {
-      "code_id": "47",
-      "hash": "B0C14C860F1473B007A734DCC4ADBA1D3B52CECC660465670033F6E875014318",
-      "governance": "Genesis"
+    "deployments": {
+      "xion-mainnet-1": {
+        "code_id": "47",
+        "hash": "B0C14C860F1473B007A734DCC4ADBA1D3B52CECC660465670033F6E875014318",
+        "governance": "Genesis"
+      },
+      "xion-testnet-2": {
+        "code_id": "543",
+        "hash": "EAD1E14D45B3DBD9328048CB3255A8F371677729A8AB0BB49274E51655818547",
+        "deployed_by": "xion1q9lqzpc73fewqva98pwaqvezaf9vqqulw3hmmx",
+        "deployed_at": "2025-04-08T18:26:01.549Z"
+      }
     }
   },
   {
@@ -1151,17 +1199,18 @@ const contractsData = [
       "url": "https://talis.art/"
     },
     "deprecated": false,
-    "testnet": {
-      "code_id": "544",
-      "hash": "6A25BA7E664ECCD600798D241FEC6FB5FEDD57280C3DF2FB6B75CAFF5DFB71A4",
-      "network": "xion-testnet-2",
-      "deployed_by": "xion1q9lqzpc73fewqva98pwaqvezaf9vqqulw3hmmx",
-      "deployed_at": "2025-04-08T18:26:05.977Z"
-    },
-    "mainnet": {
-      "code_id": "48",
-      "hash": "37360FDE0EE1384AA56781B0D05D4B0187843AE96335158DFEAD7806106DE779",
-      "governance": "18"
+    "deployments": {
+      "xion-mainnet-1": {
+        "code_id": "48",
+        "hash": "37360FDE0EE1384AA56781B0D05D4B0187843AE96335158DFEAD7806106DE779",
+        "governance": "18"
+      },
+      "xion-testnet-2": {
+        "code_id": "544",
+        "hash": "6A25BA7E664ECCD600798D241FEC6FB5FEDD57280C3DF2FB6B75CAFF5DFB71A4",
+        "deployed_by": "xion1q9lqzpc73fewqva98pwaqvezaf9vqqulw3hmmx",
+        "deployed_at": "2025-04-08T18:26:05.977Z"
+      }
     }
   },
   {
@@ -1176,17 +1225,18 @@ const contractsData = [
       "url": "https://talis.art/"
     },
     "deprecated": false,
-    "testnet": {
-      "code_id": "545",
-      "hash": "A0A2794CD78C6FAFEF211A8AB1DF2F45AFFCBB27C79083D73A24BC55F6CF0A03",
-      "network": "xion-testnet-2",
-      "deployed_by": "xion1q9lqzpc73fewqva98pwaqvezaf9vqqulw3hmmx",
-      "deployed_at": "2025-04-08T18:26:10.441Z"
-    },
-    "mainnet": {
-      "code_id": "49",
-      "hash": "9C9047420A5B870D490585C753FFB46C97E310A55E9FCF50EA784BAFC2A701FD",
-      "governance": "18"
+    "deployments": {
+      "xion-mainnet-1": {
+        "code_id": "49",
+        "hash": "9C9047420A5B870D490585C753FFB46C97E310A55E9FCF50EA784BAFC2A701FD",
+        "governance": "18"
+      },
+      "xion-testnet-2": {
+        "code_id": "545",
+        "hash": "A0A2794CD78C6FAFEF211A8AB1DF2F45AFFCBB27C79083D73A24BC55F6CF0A03",
+        "deployed_by": "xion1q9lqzpc73fewqva98pwaqvezaf9vqqulw3hmmx",
+        "deployed_at": "2025-04-08T18:26:10.441Z"
+      }
     }
   },
   {
@@ -1201,17 +1251,18 @@ const contractsData = [
       "url": "https://talis.art/"
     },
     "deprecated": false,
-    "testnet": {
-      "code_id": "546",
-      "hash": "770FD07E71F37BE2A11A66FF39A2BD0AA47C73B8C3718017B00B275535B08EEE",
-      "network": "xion-testnet-2",
-      "deployed_by": "xion1q9lqzpc73fewqva98pwaqvezaf9vqqulw3hmmx",
-      "deployed_at": "2025-04-08T18:26:15.107Z"
-    },
-    "mainnet": {
-      "code_id": "50",
-      "hash": "919FF797B7F35A40B5D32B506C2C05918DAA1C42B89C6864425F2047B5BC19F7",
-      "governance": "18"
+    "deployments": {
+      "xion-mainnet-1": {
+        "code_id": "50",
+        "hash": "919FF797B7F35A40B5D32B506C2C05918DAA1C42B89C6864425F2047B5BC19F7",
+        "governance": "18"
+      },
+      "xion-testnet-2": {
+        "code_id": "546",
+        "hash": "770FD07E71F37BE2A11A66FF39A2BD0AA47C73B8C3718017B00B275535B08EEE",
+        "deployed_by": "xion1q9lqzpc73fewqva98pwaqvezaf9vqqulw3hmmx",
+        "deployed_at": "2025-04-08T18:26:15.107Z"
+      }
     }
   },
   {
@@ -1226,17 +1277,18 @@ const contractsData = [
       "url": "https://talis.art/"
     },
     "deprecated": false,
-    "testnet": {
-      "code_id": "547",
-      "hash": "4313A57CEEB3F5C6EB6FE701038B755A8AE0AAFF284D691CEC1A46E8F0DDB06E",
-      "network": "xion-testnet-2",
-      "deployed_by": "xion1q9lqzpc73fewqva98pwaqvezaf9vqqulw3hmmx",
-      "deployed_at": "2025-04-08T18:26:20.503Z"
-    },
-    "mainnet": {
-      "code_id": "51",
-      "hash": "01AA4D93B63871DE8E94B35FECAA0E586C8B4824A8B0EE833416303796B256E2",
-      "governance": "18"
+    "deployments": {
+      "xion-mainnet-1": {
+        "code_id": "51",
+        "hash": "01AA4D93B63871DE8E94B35FECAA0E586C8B4824A8B0EE833416303796B256E2",
+        "governance": "18"
+      },
+      "xion-testnet-2": {
+        "code_id": "547",
+        "hash": "4313A57CEEB3F5C6EB6FE701038B755A8AE0AAFF284D691CEC1A46E8F0DDB06E",
+        "deployed_by": "xion1q9lqzpc73fewqva98pwaqvezaf9vqqulw3hmmx",
+        "deployed_at": "2025-04-08T18:26:20.503Z"
+      }
     }
   },
   {
@@ -1251,17 +1303,18 @@ const contractsData = [
       "url": "https://fractit.com"
     },
     "deprecated": false,
-    "testnet": {
-      "code_id": "548",
-      "hash": "9AC92E5BB14964E92596B6B21951E72B3ED6DFA75CEE5764889B2C262623018D",
-      "network": "xion-testnet-2",
-      "deployed_by": "xion1q9lqzpc73fewqva98pwaqvezaf9vqqulw3hmmx",
-      "deployed_at": "2025-04-08T18:26:24.937Z"
-    },
-    "mainnet": {
-      "code_id": "52",
-      "hash": "F6D5ADDC062B5B45BCA207EAF49B8D2736A2D7F86956FCE4D5176E3D07C91980",
-      "governance": "21"
+    "deployments": {
+      "xion-mainnet-1": {
+        "code_id": "52",
+        "hash": "F6D5ADDC062B5B45BCA207EAF49B8D2736A2D7F86956FCE4D5176E3D07C91980",
+        "governance": "21"
+      },
+      "xion-testnet-2": {
+        "code_id": "548",
+        "hash": "9AC92E5BB14964E92596B6B21951E72B3ED6DFA75CEE5764889B2C262623018D",
+        "deployed_by": "xion1q9lqzpc73fewqva98pwaqvezaf9vqqulw3hmmx",
+        "deployed_at": "2025-04-08T18:26:24.937Z"
+      }
     }
   },
   {
@@ -1276,17 +1329,18 @@ const contractsData = [
       "url": "https://fractit.com"
     },
     "deprecated": false,
-    "testnet": {
-      "code_id": "549",
-      "hash": "1085E9745A58626FA030283098649EB7F79828B3516658A1C607FB84687058F1",
-      "network": "xion-testnet-2",
-      "deployed_by": "xion1q9lqzpc73fewqva98pwaqvezaf9vqqulw3hmmx",
-      "deployed_at": "2025-04-08T18:26:29.362Z"
-    },
-    "mainnet": {
-      "code_id": "53",
-      "hash": "D45A22411A5C430A2C74248A20391618F5E0ECDD1BDC579C87493823E242663F",
-      "governance": "22"
+    "deployments": {
+      "xion-mainnet-1": {
+        "code_id": "53",
+        "hash": "D45A22411A5C430A2C74248A20391618F5E0ECDD1BDC579C87493823E242663F",
+        "governance": "22"
+      },
+      "xion-testnet-2": {
+        "code_id": "549",
+        "hash": "1085E9745A58626FA030283098649EB7F79828B3516658A1C607FB84687058F1",
+        "deployed_by": "xion1q9lqzpc73fewqva98pwaqvezaf9vqqulw3hmmx",
+        "deployed_at": "2025-04-08T18:26:29.362Z"
+      }
     }
   },
   {
@@ -1301,17 +1355,18 @@ const contractsData = [
       "url": "https://thriveprotocol.com"
     },
     "deprecated": false,
-    "testnet": {
-      "code_id": "550",
-      "hash": "D73F0B0675208C01E6CEA48C7FBF877DF535E7B8733CAEEAEDE1E12B840C5449",
-      "network": "xion-testnet-2",
-      "deployed_by": "xion1q9lqzpc73fewqva98pwaqvezaf9vqqulw3hmmx",
-      "deployed_at": "2025-04-08T18:26:33.706Z"
-    },
-    "mainnet": {
-      "code_id": "54",
-      "hash": "BB2FAC1091B93026A0CD57AE40E814A916D9CFC4A7B4F23F1E49A28D7ABEF286",
-      "governance": "24"
+    "deployments": {
+      "xion-mainnet-1": {
+        "code_id": "54",
+        "hash": "BB2FAC1091B93026A0CD57AE40E814A916D9CFC4A7B4F23F1E49A28D7ABEF286",
+        "governance": "24"
+      },
+      "xion-testnet-2": {
+        "code_id": "550",
+        "hash": "D73F0B0675208C01E6CEA48C7FBF877DF535E7B8733CAEEAEDE1E12B840C5449",
+        "deployed_by": "xion1q9lqzpc73fewqva98pwaqvezaf9vqqulw3hmmx",
+        "deployed_at": "2025-04-08T18:26:33.706Z"
+      }
     }
   },
   {
@@ -1326,17 +1381,18 @@ const contractsData = [
       "url": "https://burnt.com"
     },
     "deprecated": false,
-    "testnet": {
-      "code_id": "551",
-      "hash": "09857627D9BD3E361BC41EEA6B53A5A8EC5AD3F5EE61B565C81386F512094FFC",
-      "network": "xion-testnet-2",
-      "deployed_by": "xion1q9lqzpc73fewqva98pwaqvezaf9vqqulw3hmmx",
-      "deployed_at": "2025-04-08T18:26:38.357Z"
-    },
-    "mainnet": {
-      "code_id": "55",
-      "hash": "6FD7AA76AA9ED8E6F55D16093EE64611CCFB9743AC5A07B71AD4ACB342AF0EBF",
-      "governance": "26"
+    "deployments": {
+      "xion-mainnet-1": {
+        "code_id": "55",
+        "hash": "6FD7AA76AA9ED8E6F55D16093EE64611CCFB9743AC5A07B71AD4ACB342AF0EBF",
+        "governance": "26"
+      },
+      "xion-testnet-2": {
+        "code_id": "551",
+        "hash": "09857627D9BD3E361BC41EEA6B53A5A8EC5AD3F5EE61B565C81386F512094FFC",
+        "deployed_by": "xion1q9lqzpc73fewqva98pwaqvezaf9vqqulw3hmmx",
+        "deployed_at": "2025-04-08T18:26:38.357Z"
+      }
     }
   },
   {
@@ -1351,17 +1407,18 @@ const contractsData = [
       "url": "https://x.com/xionmarkets"
     },
     "deprecated": false,
-    "testnet": {
-      "code_id": "686",
-      "hash": "4F307BBA545B806243B3698C2A6B3B3F110406AEA506D30F82745DC45F4BCA28",
-      "network": "xion-testnet-2",
-      "deployed_by": "xion1q9lqzpc73fewqva98pwaqvezaf9vqqulw3hmmx",
-      "deployed_at": "2025-04-09T20:42:38.376Z"
-    },
-    "mainnet": {
-      "code_id": "56",
-      "hash": "C877A97EDEA41408088644E7CE205C141C472C822EA7033E0439274928CC1D99",
-      "governance": "27"
+    "deployments": {
+      "xion-mainnet-1": {
+        "code_id": "56",
+        "hash": "C877A97EDEA41408088644E7CE205C141C472C822EA7033E0439274928CC1D99",
+        "governance": "27"
+      },
+      "xion-testnet-2": {
+        "code_id": "686",
+        "hash": "4F307BBA545B806243B3698C2A6B3B3F110406AEA506D30F82745DC45F4BCA28",
+        "deployed_by": "xion1q9lqzpc73fewqva98pwaqvezaf9vqqulw3hmmx",
+        "deployed_at": "2025-04-09T20:42:38.376Z"
+      }
     }
   },
   {
@@ -1376,17 +1433,18 @@ const contractsData = [
       "url": "https://x.com/xionmarkets"
     },
     "deprecated": false,
-    "testnet": {
-      "code_id": "687",
-      "hash": "768FC939D65F3F0CE7ECDDBEE1CE523144D418652F04BED7F041AC7AB19CB495",
-      "network": "xion-testnet-2",
-      "deployed_by": "xion1q9lqzpc73fewqva98pwaqvezaf9vqqulw3hmmx",
-      "deployed_at": "2025-04-09T20:42:43.181Z"
-    },
-    "mainnet": {
-      "code_id": "57",
-      "hash": "4CFC7E3BB774D3528749A10582652218910CF9344514F59C88A1EC15C128BAA7",
-      "governance": "27"
+    "deployments": {
+      "xion-mainnet-1": {
+        "code_id": "57",
+        "hash": "4CFC7E3BB774D3528749A10582652218910CF9344514F59C88A1EC15C128BAA7",
+        "governance": "27"
+      },
+      "xion-testnet-2": {
+        "code_id": "687",
+        "hash": "768FC939D65F3F0CE7ECDDBEE1CE523144D418652F04BED7F041AC7AB19CB495",
+        "deployed_by": "xion1q9lqzpc73fewqva98pwaqvezaf9vqqulw3hmmx",
+        "deployed_at": "2025-04-09T20:42:43.181Z"
+      }
     }
   },
   {
@@ -1401,17 +1459,18 @@ const contractsData = [
       "url": "https://www.pyth.network/"
     },
     "deprecated": false,
-    "testnet": {
-      "code_id": "688",
-      "hash": "F02A5159C8FE050BA6C59BA65BAC1DEA3E344D5EBCAA2332F75D01EC41F06FD9",
-      "network": "xion-testnet-2",
-      "deployed_by": "xion1q9lqzpc73fewqva98pwaqvezaf9vqqulw3hmmx",
-      "deployed_at": "2025-04-09T20:42:47.931Z"
-    },
-    "mainnet": {
-      "code_id": "58",
-      "hash": "CA4DEAD04CFFC986BB05B9FA792327AC4EA2609EC928EF44DD7F48D3E16995F5",
-      "governance": "28"
+    "deployments": {
+      "xion-mainnet-1": {
+        "code_id": "58",
+        "hash": "CA4DEAD04CFFC986BB05B9FA792327AC4EA2609EC928EF44DD7F48D3E16995F5",
+        "governance": "28"
+      },
+      "xion-testnet-2": {
+        "code_id": "688",
+        "hash": "F02A5159C8FE050BA6C59BA65BAC1DEA3E344D5EBCAA2332F75D01EC41F06FD9",
+        "deployed_by": "xion1q9lqzpc73fewqva98pwaqvezaf9vqqulw3hmmx",
+        "deployed_at": "2025-04-09T20:42:47.931Z"
+      }
     }
   },
   {
@@ -1426,17 +1485,18 @@ const contractsData = [
       "url": "https://www.pyth.network/"
     },
     "deprecated": false,
-    "testnet": {
-      "code_id": "689",
-      "hash": "E20591A2DE1423E7EB528453F4A52B4C089F5FE0316F73E1BEEE13DFAD8527EF",
-      "network": "xion-testnet-2",
-      "deployed_by": "xion1q9lqzpc73fewqva98pwaqvezaf9vqqulw3hmmx",
-      "deployed_at": "2025-04-09T20:42:52.745Z"
-    },
-    "mainnet": {
-      "code_id": "59",
-      "hash": "42133359E82BF07E446F6E75D360A0E1F4E164C66138AA4A5D2EDA3A75005026",
-      "governance": "28"
+    "deployments": {
+      "xion-mainnet-1": {
+        "code_id": "59",
+        "hash": "42133359E82BF07E446F6E75D360A0E1F4E164C66138AA4A5D2EDA3A75005026",
+        "governance": "28"
+      },
+      "xion-testnet-2": {
+        "code_id": "689",
+        "hash": "E20591A2DE1423E7EB528453F4A52B4C089F5FE0316F73E1BEEE13DFAD8527EF",
+        "deployed_by": "xion1q9lqzpc73fewqva98pwaqvezaf9vqqulw3hmmx",
+        "deployed_at": "2025-04-09T20:42:52.745Z"
+      }
     }
   },
   {
@@ -1451,10 +1511,12 @@ const contractsData = [
       "url": "https://burnt.com"
     },
     "deprecated": false,
-    "mainnet": {
-      "code_id": "63",
-      "hash": "54992CD737BF824341F7EEFB1C5A81E4CEDD7565A7F196D688BAF7D3BAC49F21",
-      "governance": "46"
+    "deployments": {
+      "xion-mainnet-1": {
+        "code_id": "63",
+        "hash": "54992CD737BF824341F7EEFB1C5A81E4CEDD7565A7F196D688BAF7D3BAC49F21",
+        "governance": "46"
+      }
     }
   },
   {
@@ -1469,17 +1531,18 @@ const contractsData = [
       "url": "https://burnt.com"
     },
     "deprecated": false,
-    "mainnet": {
-      "code_id": "64",
-      "hash": "8CA6FBE2AAADAC520271B288B67DBD59F2543762BD64FFF38A5185F44540FB50",
-      "governance": "52"
-    },
-    "testnet": {
-      "code_id": "1878",
-      "hash": "8CA6FBE2AAADAC520271B288B67DBD59F2543762BD64FFF38A5185F44540FB50",
-      "network": "xion-testnet-2",
-      "deployed_by": "xion15r5yxaeqwlx5zz5f2vwg87vz3m7d6dd5pdd6qp",
-      "deployed_at": "2025-12-31T00:00:00.000Z"
+    "deployments": {
+      "xion-mainnet-1": {
+        "code_id": "64",
+        "hash": "8CA6FBE2AAADAC520271B288B67DBD59F2543762BD64FFF38A5185F44540FB50",
+        "governance": "52"
+      },
+      "xion-testnet-2": {
+        "code_id": "1878",
+        "hash": "8CA6FBE2AAADAC520271B288B67DBD59F2543762BD64FFF38A5185F44540FB50",
+        "deployed_by": "xion15r5yxaeqwlx5zz5f2vwg87vz3m7d6dd5pdd6qp",
+        "deployed_at": "2025-12-31T00:00:00.000Z"
+      }
     }
   },
   {
@@ -1494,17 +1557,18 @@ const contractsData = [
       "url": "https://burnt.com"
     },
     "deprecated": false,
-    "mainnet": {
-      "code_id": "65",
-      "hash": "9053DF192CC0E43DD84A1664927AA85F6FAD36D79773FE17F3B10FC48D622486",
-      "governance": "53"
-    },
-    "testnet": {
-      "code_id": "1879",
-      "hash": "9053DF192CC0E43DD84A1664927AA85F6FAD36D79773FE17F3B10FC48D622486",
-      "network": "xion-testnet-2",
-      "deployed_by": "xion15r5yxaeqwlx5zz5f2vwg87vz3m7d6dd5pdd6qp",
-      "deployed_at": "2025-12-31T00:00:00.000Z"
+    "deployments": {
+      "xion-mainnet-1": {
+        "code_id": "65",
+        "hash": "9053DF192CC0E43DD84A1664927AA85F6FAD36D79773FE17F3B10FC48D622486",
+        "governance": "53"
+      },
+      "xion-testnet-2": {
+        "code_id": "1879",
+        "hash": "9053DF192CC0E43DD84A1664927AA85F6FAD36D79773FE17F3B10FC48D622486",
+        "deployed_by": "xion15r5yxaeqwlx5zz5f2vwg87vz3m7d6dd5pdd6qp",
+        "deployed_at": "2025-12-31T00:00:00.000Z"
+      }
     }
   },
   {
@@ -1519,17 +1583,18 @@ const contractsData = [
       "url": "https://burnt.com"
     },
     "deprecated": false,
-    "mainnet": {
-      "code_id": "66",
-      "hash": "45055180AB8DCCBF88F27FEC06765F58F95D55199480374377A61481E965315C",
-      "governance": "56"
-    },
-    "testnet": {
-      "code_id": "2026",
-      "hash": "45055180AB8DCCBF88F27FEC06765F58F95D55199480374377A61481E965315C",
-      "network": "xion-testnet-2",
-      "deployed_by": "xion1epzznazp28up4asses7jdcyqnw3n8lu7f5g9xs",
-      "deployed_at": "2026-03-12T14:35:08.568Z"
+    "deployments": {
+      "xion-mainnet-1": {
+        "code_id": "66",
+        "hash": "45055180AB8DCCBF88F27FEC06765F58F95D55199480374377A61481E965315C",
+        "governance": "56"
+      },
+      "xion-testnet-2": {
+        "code_id": "2026",
+        "hash": "45055180AB8DCCBF88F27FEC06765F58F95D55199480374377A61481E965315C",
+        "deployed_by": "xion1epzznazp28up4asses7jdcyqnw3n8lu7f5g9xs",
+        "deployed_at": "2026-03-12T14:35:08.568Z"
+      }
     }
   },
   {
@@ -1544,12 +1609,34 @@ const contractsData = [
       "url": "https://burnt.com"
     },
     "deprecated": false,
-    "testnet": {
-      "code_id": "1870",
-      "hash": "56252EA74222E1B0C8B51EC9BCD3CB717961FBB0C4F0F1E8835974B5C13F880D",
-      "network": "xion-testnet-2",
-      "deployed_by": "xion1l5fq4la4jjh827wnay8g022z69mumz84jwl6zt",
-      "deployed_at": "2025-12-12T00:00:00.000Z"
+    "deployments": {
+      "xion-testnet-2": {
+        "code_id": "1870",
+        "hash": "56252EA74222E1B0C8B51EC9BCD3CB717961FBB0C4F0F1E8835974B5C13F880D",
+        "deployed_by": "xion1l5fq4la4jjh827wnay8g022z69mumz84jwl6zt",
+        "deployed_at": "2025-12-12T00:00:00.000Z"
+      }
     }
   }
 ];
+
+// Network used for explorer links (from networks.json)
+const networkData = {
+  "name": "mainnet",
+  "chain_id": "xion-mainnet-1",
+  "lcd": "https://api.xion-mainnet-1.burnt.com",
+  "rpc": "https://rpc.xion-mainnet-1.burnt.com:443",
+  "bech32_prefix": "xion",
+  "explorer": {
+    "proposal": "https://explorer.xion-mainnet-1.burnt.com/xion-mainnet-1/gov/{id}",
+    "code": "https://explorer.xion-mainnet-1.burnt.com/xion-mainnet-1/cosmwasm/{id}/contracts",
+    "contract": "https://explorer.xion-mainnet-1.burnt.com/xion-mainnet-1/account/{address}",
+    "tx": "https://explorer.xion-mainnet-1.burnt.com/xion-mainnet-1/tx/{hash}"
+  },
+  "api_links": {
+    "proposal": "https://api.xion-mainnet-1.burnt.com/cosmos/gov/v1/proposals/{id}",
+    "code": "https://api.xion-mainnet-1.burnt.com/cosmwasm/wasm/v1/code/{id}",
+    "contract": "https://api.xion-mainnet-1.burnt.com/cosmwasm/wasm/v1/contract/{address}",
+    "tx": "https://api.xion-mainnet-1.burnt.com/cosmos/tx/v1beta1/txs/{hash}"
+  }
+};
@@ -0,0 +1,134 @@
+// Auto-generated by scripts/build-types.js from contracts.schema.json - DO NOT EDIT DIRECTLY
+
+/** Numeric code ID, stored as a string */
+export type CodeId = string;
+
+/** SHA256 checksum of the wasm byte code as stored on chain */
+export type Hash = string;
+
+export type HttpsUrl = string;
+
+/** 'Genesis' or the ID of the governance proposal that stored the code */
+export type Governance = string;
+
+export interface Contract {
+    name: string;
+    description: string;
+    release: Release;
+    build?: Build;
+    author: Author;
+    deprecated: boolean;
+    deployments?: Deployments;
+}
+
+export interface Release {
+    url: HttpsUrl;
+    /** Tag, PR label, commit ref, etc. */
+    version: string;
+}
+
+/** How the released wasm was built, so the registered hash can be traced back to a commit. Needs a tag or a commit. */
+export interface Build {
+    /** Source repository the artifact was built from */
+    repository: HttpsUrl;
+    /** Git tag that was built */
+    tag?: string;
+    /** Full SHA of the git commit that was built */
+    commit?: string;
+    optimizer: Optimizer;
+    /** File name of the artifact in the optimizer's checksums.txt, e.g. cw721_base.wasm */
+    artifact: string;
+}
+
+/** CosmWasm optimizer image the artifact was built with */
+export interface Optimizer {
+    /** Docker image, e.g. cosmwasm/optimizer or cosmwasm/workspace-optimizer */
+    image: string;
+    /** Image tag, e.g. 0.16.0 */
+    version: string;
+}
+
+export interface Author {
+    name: string;
+    url: HttpsUrl;
+}
+
+/** Chain ID, e.g. xion-mainnet-1 or xion-testnet-2 */
+export type ChainId = string;
+
+/** Deployments keyed by chain ID. The mainnet deployment (see networks.json) needs governance; every other deployment needs deployed_by and deployed_at. */
+export type Deployments = Record<ChainId, Deployment>;
+
+export interface Deployment {
+    code_id: CodeId;
+    hash: Hash;
+    governance?: Governance;
+    /** Deployer address */
+    deployed_by?: string;
+    /** UTC timestamp with milliseconds, YYYY-MM-DDTHH:mm:ss.sssZ */
+    deployed_at?: string;
+    /** Canonical contracts instantiated from this code on the same chain */
+    instances?: Instance[];
+    wasm?: WasmSummary;
+}
+
+/** Static facts about the uploaded code, recorded by `registry.js inspect --write` */
+export interface WasmSummary {
+    /** Uncompressed size in bytes */
+    size: number;
+    /** N of the code's interface_version_N export */
+    interface_version?: number;
+    /** Exported entry points, e.g. instantiate, execute, ibc_channel_open */
+    entry_points: string[];
+    /** Capabilities the code requires from the chain (its requires_* exports), e.g. iterator, stargate */
+    capabilities?: string[];
+}
+
+/** Bech32 account or contract address, e.g. xion1... */
+export type Address = string;
+
+export interface Instance {
+    address: Address;
+    /** Label given at instantiation */
+    label: string;
+    /** Admin allowed to migrate the contract; omit when it has none */
+    admin?: Address;
+    /** UTC timestamp with milliseconds, YYYY-MM-DDTHH:mm:ss.sssZ */
+    instantiated_at?: string;
+    /** SHA256 of the instantiate message as sent (JSON bytes), hex */
+    init_msg_hash?: string;
+}
+
+/** A network name from networks.json ('mainnet', 'testnet') or a chain ID such as 'xion-testnet-2'. */
+export type Network = 'mainnet' | 'testnet' | (string & {});
+
+export interface GetContractOptions {
+    /** Only return the contract if it is deployed on this network */
+    network?: Network;
+}
+
+export interface ListOptions {
+    /** Only list contracts deployed on this network */
+    network?: Network;
+}
+
+/** Every entry in contracts.json, in registry order. */
+export declare const contracts: readonly Contract[];
+
+/** Strip a trailing version suffix, e.g. "MetaAccount (v2)" -> "MetaAccount". */
+export declare function contractFamily(name: string): string;
+
+export declare function getContract(name: string, options?: GetContractOptions): Contract | undefined;
+
+export declare function findByCodeId(network: Network, codeId: string | number): Contract | undefined;
+
+export declare function findByHash(hash: string): Contract | undefined;
+
+/** The contract whose deployment lists this instance address. */
+export declare function findByAddress(address: string): Contract | undefined;
+
+export declare function listActive(options?: ListOptions): Contract[];
+
+export declare function latestVersion(family: string): Contract | undefined;
+
+export declare function deploymentOf(contract: Contract, network: Network): Deployment | undefined;
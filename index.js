@@ -0,0 +1,120 @@
+/**
+ * xion-deployed-contracts
+ *
+ * Typed query API over the bundled contracts.json registry, so dApps can
+ * look up Xion code IDs, hashes and contract addresses instead of copying
+ * them by hand.
+ *
+ * Usage:
+ *   const { findByCodeId } = require('xion-deployed-contracts');
+ *   import { getContract } from 'xion-deployed-contracts';
+ *
+ * Networks can be given by name from networks.json ('mainnet', 'testnet')
+ * or by chain ID ('xion-testnet-2').
+ *
+ * Only JSON files and lib/lookup.js are required, so the package also
+ * bundles for the browser.
+ */
+
+const contracts = require('./contracts.json');
+const networks = require('./networks.json');
+const {
+    normalizeHash,
+    deploymentOn,
+    deploymentsOf,
+    instancesOf,
+    byCodeId,
+    byHash
+} = require('./scripts/lib/lookup');
+
+const chainIds = [...new Set([
+    ...Object.values(networks).map(network => network.chain_id),
+    ...contracts.flatMap(contract => deploymentsOf(contract).map(([chainId]) => chainId))
+])];
+const codeIdMaps = new Map(chainIds.map(chainId => [chainId, byCodeId(contracts, chainId)]));
+const hashMaps = chainIds.map(chainId => byHash(contracts, chainId));
+const addressMap = new Map(contracts.flatMap(contract => deploymentsOf(contract)
+    .flatMap(([, deployment]) => instancesOf(deployment).map(instance => [instance.address, contract]))));
+
+// Network name or chain ID -> chain ID
+function chainIdOf(network) {
+    if (networks[network]) {
+        return networks[network].chain_id;
+    }
+    if (codeIdMaps.has(network)) {
+        return network;
+    }
+    throw new Error(`Unknown network: ${network} (expected one of: ${[...Object.keys(networks), ...chainIds].join(', ')})`);
+}
+
+function contractFamily(name) {
+    return name.replace(/\s*\(v[^)]*\)\s*$/i, '').trim();
+}
+
+// Prefer the newest non-deprecated entry; fall back to the newest entry
+function pickLatest(candidates) {
+    const active = candidates.filter(contract => !contract.deprecated);
+    const pool = active.length > 0 ? active : candidates;
+    return pool[pool.length - 1];
+}
+
+function getContract(name, options = {}) {
+    const chainId = options.network && chainIdOf(options.network);
+    let candidates = contracts.filter(contract => contract.name === name);
+    if (candidates.length === 0) {
+        const lowerName = name.toLowerCase();
+        candidates = contracts.filter(contract => contract.name.toLowerCase() === lowerName);
+    }
+    if (chainId) {
+        candidates = candidates.filter(contract => deploymentOn(contract, chainId));
+    }
+    return pickLatest(candidates);
+}
+
+function findByCodeId(network, codeId) {
+    return codeIdMaps.get(chainIdOf(network)).get(String(codeId));
+}
+
+// Mainnet matches win over other chains
+function findByHash(hash) {
+    const key = normalizeHash(hash);
+    const match = hashMaps.find(map => map.has(key));
+    return match && match.get(key);
+}
+
+// Contract addresses don't repeat across chains in practice, so no network is needed
+function findByAddress(address) {
+    return addressMap.get(address);
+}
+
+function listActive(options = {}) {
+    const chainId = options.network && chainIdOf(options.network);
+    return contracts.filter(contract =>
+        !contract.deprecated && (!chainId || deploymentOn(contract, chainId))
+    );
+}
+
+// Deployment of a contract on a network, e.g. deploymentOf(contract, 'mainnet').code_id
+function deploymentOf(contract, network) {
+    return deploymentOn(contract, chainIdOf(network));
+}
+
+function latestVersion(family) {
+    const lowerFamily = contractFamily(family).toLowerCase();
+    const members = contracts.filter(contract =>
+        contractFamily(contract.name).toLowerCase() === lowerFamily
+    );
+    return pickLatest(members);
+}
+
+module.exports = {
+    contracts,
+    contractFamily,
+    getContract,
+    findByCodeId,
+    findByHash,
+    findByAddress,
+    listActive,
+    deploymentOf,
+    latestVersion
+};
@@ -6,15 +6,21 @@
  * Generates the contracts-data.js file for the GitHub Pages site
  * from the contracts.json source file.
  * 
+ * Links to proposals etc. use the explorer templates of the network in
+ * networks.json (default: mainnet). The output is committed, so only the
+ * endpoints in networks.json are used: --lcd/--rpc and the XION_* variables
+ * of lib/networks.js don't apply here.
+ *
  * Usage:
- *   node scripts/build-site.js
+ *   node scripts/build-site.js [--network=NAME]
  */
 
 const fs = require('fs');
 const path = require('path');
+const { loadRegistry, deploymentOn, deploymentsOf, otherDeployments, instancesOf } = require('./lib/registry');
+const { resolveNetwork, parseNetworkArgs } = require('./lib/networks');
 
 // Paths
-const CONTRACTS_FILE = path.join(__dirname, '..', 'contracts.json');
 const OUTPUT_FILE = path.join(__dirname, '..', 'docs', 'contracts-data.js');
 
 // Ensure docs directory exists
@@ -24,16 +30,14 @@ if (!fs.existsSync(docsDir)) {
 }
 
 try {
-    // Read contracts.json
-    const contractsData = JSON.parse(fs.readFileSync(CONTRACTS_FILE, 'utf8'));
-    
-    // Sort contracts by code_id (numeric sort)
+    // Read contracts.json, sorted by mainnet code_id
     // Contracts without mainnet go to the end
-    contractsData.sort((a, b) => {
-        const aCodeId = a.mainnet ? parseInt(a.mainnet.code_id) : Infinity;
-        const bCodeId = b.mainnet ? parseInt(b.mainnet.code_id) : Infinity;
-        return aCodeId - bCodeId;
-    });
+    const contractsData = loadRegistry({ sort: true });
+    const { network: networkName, lcd, rpc } = parseNetworkArgs(process.argv.slice(2));
+    if (lcd || rpc) {
+        throw new Error('--lcd and --rpc are not supported; the site is built from the endpoints in networks.json');
+    }
+    const networkData = resolveNetwork(networkName, { env: {} });
     
     // Generate JavaScript file with contract data
     const jsContent = `// Auto-generated from contracts.json - DO NOT EDIT DIRECTLY
@@ -41,22 +45,29 @@ try {
 // Total contracts: ${contractsData.length}
 
 const contractsData = ${JSON.stringify(contractsData, null, 2)};
+
+// Network used for explorer links (from networks.json)
+const networkData = ${JSON.stringify(networkData, null, 2)};
 `;
 
     // Write to output file
     fs.writeFileSync(OUTPUT_FILE, jsContent);
     
     // Generate statistics
+    const mainnet = c => deploymentOn(c, networkData.chain_id);
+    const hasTestnet = c => otherDeployments(c, networkData.chain_id).length > 0;
     const stats = {
         total: contractsData.length,
         deprecated: contractsData.filter(c => c.deprecated).length,
         active: contractsData.filter(c => !c.deprecated).length,
-        genesis: contractsData.filter(c => c.mainnet && c.mainnet.governance === 'Genesis').length,
-        proposal: contractsData.filter(c => c.mainnet && c.mainnet.governance !== 'Genesis').length,
-        withMainnet: contractsData.filter(c => c.mainnet).length,
-        withoutMainnet: contractsData.filter(c => !c.mainnet).length,
-        withTestnet: contractsData.filter(c => c.testnet).length,
-        withoutTestnet: contractsData.filter(c => !c.testnet).length,
+        genesis: contractsData.filter(c => mainnet(c) && mainnet(c).governance === 'Genesis').length,
+        proposal: contractsData.filter(c => mainnet(c) && mainnet(c).governance !== 'Genesis').length,
+        withMainnet: contractsData.filter(c => mainnet(c)).length,
+        withoutMainnet: contractsData.filter(c => !mainnet(c)).length,
+        withTestnet: contractsData.filter(hasTestnet).length,
+        withoutTestnet: contractsData.filter(c => !hasTestnet(c)).length,
+        instances: contractsData.reduce((sum, c) =>
+            sum + deploymentsOf(c).reduce((count, [, deployment]) => count + instancesOf(deployment).length, 0), 0),
         authors: [...new Set(contractsData.map(c => c.author.name))].length
     };
     
@@ -67,7 +78,9 @@ const contractsData = ${JSON.stringify(contractsData, null, 2)};
     console.log(`   Genesis: ${stats.genesis} | Via Proposal: ${stats.proposal}`);
     console.log(`   With Mainnet: ${stats.withMainnet} | Without Mainnet: ${stats.withoutMainnet}`);
     console.log(`   With Testnet: ${stats.withTestnet} | Without Testnet: ${stats.withoutTestnet}`);
+    console.log(`   Contract Instances: ${stats.instances}`);
     console.log(`   Unique Authors: ${stats.authors}`);
+    console.log(`\n🔗 Network: ${networkData.chain_id} (${networkData.lcd})`);
     console.log(`\n📁 Output: ${OUTPUT_FILE}`);
     
 } catch (error) {
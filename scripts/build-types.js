@@ -0,0 +1,128 @@
+#!/usr/bin/env node
+
+/**
+ * build-types.js
+ *
+ * Generates index.d.ts, the TypeScript declarations for the published
+ * package, from contracts.schema.json. Every entry in `$defs` becomes a
+ * named interface (object schemas) or type alias (everything else).
+ *
+ * Usage:
+ *   node scripts/build-types.js
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { registrySchema } = require('./lib/registry');
+
+const OUTPUT_FILE = path.join(__dirname, '..', 'index.d.ts');
+
+function refName(ref) {
+    const match = /^#\/\$defs\/(.+)$/.exec(ref);
+    if (!match) {
+        throw new Error(`Only #/$defs references can be turned into types: ${ref}`);
+    }
+    return match[1];
+}
+
+function typeOf(schema) {
+    if (schema.$ref) {
+        return refName(schema.$ref);
+    }
+    if (schema.enum) {
+        return schema.enum.map(value => JSON.stringify(value)).join(' | ');
+    }
+    if (schema.oneOf || schema.anyOf) {
+        const members = [...new Set((schema.oneOf || schema.anyOf).map(typeOf))];
+        // A plain `string` member already covers any string literals
+        const union = members.includes('string')
+            ? members.filter(member => !member.startsWith('"'))
+            : members;
+        return union.join(' | ');
+    }
+    switch (schema.type) {
+        case 'object':
+            if (typeof schema.additionalProperties === 'object') {
+                const keyType = schema.propertyNames ? typeOf(schema.propertyNames) : 'string';
+                return `Record<${keyType}, ${typeOf(schema.additionalProperties)}>`;
+            }
+            return 'Record<string, unknown>';
+        case 'array':
+            return `${typeOf(schema.items)}[]`;
+        case 'string':
+            return 'string';
+        case 'boolean':
+            return 'boolean';
+        case 'number':
+        case 'integer':
+            return 'number';
+        default:
+            throw new Error(`Unknown schema type: ${schema.type}`);
+    }
+}
+
+function docComment(schema, indent = '') {
+    return schema.description ? `${indent}/** ${schema.description} */\n` : '';
+}
+
+function renderDefinition(name, schema) {
+    if (schema.type !== 'object' || !schema.properties) {
+        return `${docComment(schema)}export type ${name} = ${typeOf(schema)};\n`;
+    }
+    const required = new Set(schema.required || []);
+    const lines = Object.entries(schema.properties).map(([key, property]) => {
+        const optional = required.has(key) ? '' : '?';
+        return `${docComment(property, '    ')}    ${key}${optional}: ${typeOf(property)};`;
+    });
+    return `${docComment(schema)}export interface ${name} {\n${lines.join('\n')}\n}\n`;
+}
+
+const api = `/** A network name from networks.json ('mainnet', 'testnet') or a chain ID such as 'xion-testnet-2'. */
+export type Network = 'mainnet' | 'testnet' | (string & {});
+
+export interface GetContractOptions {
+    /** Only return the contract if it is deployed on this network */
+    network?: Network;
+}
+
+export interface ListOptions {
+    /** Only list contracts deployed on this network */
+    network?: Network;
+}
+
+/** Every entry in contracts.json, in registry order. */
+export declare const contracts: readonly Contract[];
+
+/** Strip a trailing version suffix, e.g. "MetaAccount (v2)" -> "MetaAccount". */
+export declare function contractFamily(name: string): string;
+
+export declare function getContract(name: string, options?: GetContractOptions): Contract | undefined;
+
+export declare function findByCodeId(network: Network, codeId: string | number): Contract | undefined;
+
+export declare function findByHash(hash: string): Contract | undefined;
+
+/** The contract whose deployment lists this instance address. */
+export declare function findByAddress(address: string): Contract | undefined;
+
+export declare function listActive(options?: ListOptions): Contract[];
+
+export declare function latestVersion(family: string): Contract | undefined;
+
+export declare function deploymentOf(contract: Contract, network: Network): Deployment | undefined;
+`;
+
+try {
+    const content = [
+        '// Auto-generated by scripts/build-types.js from contracts.schema.json - DO NOT EDIT DIRECTLY',
+        '',
+        ...Object.entries(registrySchema.$defs).map(([name, schema]) => renderDefinition(name, schema)),
+        api
+    ].join('\n');
+
+    fs.writeFileSync(OUTPUT_FILE, content);
+    console.log(`✅ Type declarations generated: ${OUTPUT_FILE}`);
+} catch (error) {
+    console.error('❌ Error building types:', error.message);
+    process.exit(1);
+}
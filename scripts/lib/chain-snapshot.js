@@ -0,0 +1,109 @@
+/**
+ * chain-snapshot.js
+ *
+ * JSON fetching for the verifiers, with optional recording and replay of
+ * chain responses:
+ *
+ *   - snapshot mode (--snapshot=DIR) fetches from the LCD as usual and also
+ *     writes every response to DIR
+ *   - offline mode (--offline=DIR) never touches the network and answers
+ *     each request from a response previously recorded in DIR
+ *
+ * Every page of a paginated endpoint is its own request, so each page is
+ * recorded separately. Files are named after the request URL:
+ *
+ *   DIR/api.xion-mainnet-1.burnt.com/cosmwasm_wasm_v1_code.json
+ *   DIR/api.xion-mainnet-1.burnt.com/cosmwasm_wasm_v1_code-3f2a9c01b4de.json
+ *
+ * where the suffix is a hash of the query string (e.g. `pagination.key=...`).
+ *
+ * Network requests go through lib/http.js (timeouts, retries, concurrency
+ * cap and the optional response cache).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { createHttpClient } = require('./http');
+
+function snapshotFile(dir, url) {
+    const { host, pathname, search } = new URL(url);
+    const slug = pathname.replace(/^\/+|\/+$/g, '').replace(/[^A-Za-z0-9.-]+/g, '_') || 'index';
+    const suffix = search
+        ? `-${crypto.createHash('sha256').update(search).digest('hex').slice(0, 12)}`
+        : '';
+    return path.join(dir, host.replace(/[^A-Za-z0-9.-]+/g, '_'), `${slug}${suffix}.json`);
+}
+
+/**
+ * @param {Object} [options]
+ * @param {string} [options.snapshotDir]  Record responses to this directory
+ * @param {string} [options.offlineDir]   Replay responses from this directory
+ * @param {Object} [options.http]         Options for createHttpClient (lib/http.js)
+ * @returns {{ mode: 'online'|'snapshot'|'offline', dir: string|null, cacheDir: string|null, fetchJson: (url: string) => Promise<*> }}
+ *          `cacheDir` is the response cache directory, when there is one
+ */
+function createChainClient({ snapshotDir, offlineDir, http } = {}) {
+    if (snapshotDir && offlineDir) {
+        throw new Error('--snapshot and --offline cannot be used together');
+    }
+
+    if (offlineDir) {
+        const dir = path.resolve(offlineDir);
+        return {
+            mode: 'offline',
+            dir,
+            cacheDir: null,
+            async fetchJson(url) {
+                const file = snapshotFile(dir, url);
+                if (!fs.existsSync(file)) {
+                    throw new Error(`No recorded response for ${url} in ${dir} (record one with --snapshot=${offlineDir})`);
+                }
+                return JSON.parse(fs.readFileSync(file, 'utf8')).body;
+            }
+        };
+    }
+
+    const fetchJsonFromNetwork = createHttpClient(http).fetchJson;
+    const cacheDir = http && http.cacheDir ? path.resolve(http.cacheDir) : null;
+
+    if (snapshotDir) {
+        const dir = path.resolve(snapshotDir);
+        return {
+            mode: 'snapshot',
+            dir,
+            cacheDir,
+            async fetchJson(url) {
+                const body = await fetchJsonFromNetwork(url);
+                const file = snapshotFile(dir, url);
+                fs.mkdirSync(path.dirname(file), { recursive: true });
+                fs.writeFileSync(file, JSON.stringify({ url, recordedAt: new Date().toISOString(), body }, null, 2) + '\n');
+                return body;
+            }
+        };
+    }
+
+    return { mode: 'online', dir: null, cacheDir, fetchJson: fetchJsonFromNetwork };
+}
+
+/**
+ * Pull `--snapshot=DIR` / `--offline=DIR` out of a CLI argument list.
+ * @returns {{ snapshotDir?: string, offlineDir?: string }}
+ */
+function parseSnapshotArgs(args) {
+    const options = {};
+    args.forEach(arg => {
+        if (arg.startsWith('--snapshot=')) {
+            options.snapshotDir = arg.slice('--snapshot='.length);
+        } else if (arg.startsWith('--offline=')) {
+            options.offlineDir = arg.slice('--offline='.length);
+        }
+    });
+    return options;
+}
+
+module.exports = {
+    snapshotFile,
+    createChainClient,
+    parseSnapshotArgs
+};
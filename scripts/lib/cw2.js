@@ -0,0 +1,147 @@
+/**
+ * cw2.js
+ *
+ * Reads the cw2 contract version of the instances listed under a deployment
+ * and compares it with the entry. Contracts built with cw2 store
+ * `{ "contract": "crates.io:cw1-subkeys", "version": "2.0.0" }` under the
+ * raw storage key `contract_info`, which the LCD serves base64 encoded at
+ * /cosmwasm/wasm/v1/contract/{address}/raw/{base64 key}.
+ *
+ * The version is compared with `release.version` when that looks like a
+ * semver tag (`v1.1.0`, `2.0.0`), and the contract name loosely with the
+ * entry's name, since registry names are written for people
+ * ("Polytone Note" for crates.io:polytone-note).
+ */
+
+const { deploymentOn, instancesOf } = require('./registry');
+
+const CONTRACT_INFO_KEY = Buffer.from('contract_info').toString('base64');
+
+// Rule id (see lib/report.js) for each kind of issue
+const VERSION_RULES = {
+    'version-mismatch': 'cw2/version-mismatch',
+    'name-mismatch': 'cw2/name-mismatch'
+};
+
+/**
+ * @typedef {Object} VersionIssue
+ * @property {string} chainId
+ * @property {string} codeId         Code ID of the deployment the instance is listed under
+ * @property {string} name           Contract name
+ * @property {string} address
+ * @property {string} label
+ * @property {'version-mismatch'|'name-mismatch'} kind
+ * @property {string} contract       cw2 contract name on chain
+ * @property {string} version        cw2 version on chain
+ * @property {string} issue          Human readable description
+ */
+
+// `1.1.0` for `v1.1.0`, null for versions that aren't release tags (`pr40`)
+function semver(version) {
+    const match = typeof version === 'string' && /^v?(\d+\.\d+(\.\d+)?([-+][0-9A-Za-z.-]+)?)$/.exec(version.trim());
+    return match ? match[1] : null;
+}
+
+// Lowercase letters and digits of a name, without the crates.io: prefix or a trailing "(v2)"
+function nameKey(name) {
+    return `${name || ''}`.replace(/^crates\.io:/i, '').replace(/\s*\([^)]*\)\s*$/, '').toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+/**
+ * Read the cw2 version of a contract.
+ * @param {Object} chain    Client from lib/chain-snapshot.js
+ * @param {string} lcd      LCD base URL
+ * @param {string} address
+ * @returns {Promise<{ contract: string, version: string }|null>}  Null when the contract doesn't set one
+ * @throws When the request fails or the stored value isn't cw2 contract info
+ */
+async function readContractVersion(chain, lcd, address) {
+    const url = `${lcd}/cosmwasm/wasm/v1/contract/${encodeURIComponent(address)}/raw/${encodeURIComponent(CONTRACT_INFO_KEY)}`;
+    const { data } = await chain.fetchJson(url);
+    if (!data) {
+        return null;
+    }
+    const info = JSON.parse(Buffer.from(data, 'base64').toString('utf8'));
+    if (!info || typeof info.contract !== 'string' || typeof info.version !== 'string') {
+        throw new Error('contract_info is not a cw2 { contract, version }');
+    }
+    return { contract: info.contract, version: info.version };
+}
+
+/**
+ * Differences between an entry and the cw2 version its instance reports.
+ * @param {Object} contract                          Registry entry
+ * @param {{ contract: string, version: string }} info
+ * @returns {{ kind: 'version-mismatch'|'name-mismatch', issue: string }[]}
+ */
+function compareContractVersion(contract, info) {
+    const problems = [];
+    const recorded = contract.release && contract.release.version;
+    if (semver(recorded) && semver(info.version) !== semver(recorded)) {
+        problems.push({ kind: 'version-mismatch', issue: `Reports ${info.contract} version ${info.version}, but release.version is ${recorded}` });
+    }
+    const onChain = nameKey(info.contract);
+    const local = nameKey(contract.name);
+    if (onChain && local && !onChain.includes(local) && !local.includes(onChain)) {
+        problems.push({ kind: 'name-mismatch', issue: `Reports contract ${info.contract}, which does not look like ${contract.name}` });
+    }
+    return problems;
+}
+
+/**
+ * Check the cw2 version of every instance listed on `network`.
+ * @param {Object[]} contracts       Registry entries
+ * @param {Object} options
+ * @param {Object} options.chain     Client from lib/chain-snapshot.js
+ * @param {Object} options.network   Resolved network from lib/networks.js
+ * @returns {Promise<{ checked: number, withoutVersion: number, issues: VersionIssue[], unverified: { address: string, error: string }[] }>}
+ *          `withoutVersion` counts instances that don't store a cw2 version;
+ *          addresses the chain doesn't know are left to lib/instances.js
+ */
+async function verifyContractVersions(contracts, { chain, network }) {
+    const chainId = network.chain_id;
+    const result = { checked: 0, withoutVersion: 0, issues: [], unverified: [] };
+
+    for (const contract of contracts) {
+        const deployment = deploymentOn(contract, chainId);
+        for (const instance of instancesOf(deployment)) {
+            let info;
+            try {
+                info = await readContractVersion(chain, network.lcd, instance.address);
+            } catch (error) {
+                if (error.status !== 404 && error.status !== 400) {
+                    result.unverified.push({ address: instance.address, error: error.message });
+                }
+                continue;
+            }
+
+            result.checked++;
+            if (!info) {
+                result.withoutVersion++;
+                continue;
+            }
+            compareContractVersion(contract, info).forEach(({ kind, issue }) => {
+                result.issues.push({
+                    chainId,
+                    codeId: deployment.code_id,
+                    name: contract.name,
+                    address: instance.address,
+                    label: instance.label,
+                    kind,
+                    contract: info.contract,
+                    version: info.version,
+                    issue
+                });
+            });
+        }
+    }
+    return result;
+}
+
+module.exports = {
+    CONTRACT_INFO_KEY,
+    VERSION_RULES,
+    readContractVersion,
+    compareContractVersion,
+    verifyContractVersions
+};
@@ -0,0 +1,84 @@
+/**
+ * drafts.js
+ *
+ * Stub contracts.json entries for code that exists on chain but isn't listed
+ * (the verifiers' `missingFromJson` bucket), written to contracts.draft.json
+ * with --draft-missing. Everything the chain knows is pre-filled: code ID,
+ * hash and, when a governance proposal stored the code, its ID. The rest is
+ * left as TODO for a human, and `governance` is left out when no proposal
+ * matched. What helps with that research (creator, proposal title) isn't
+ * part of the entry; draftNote() describes it for the verifiers to print.
+ * Fill in every TODO before moving an entry into contracts.json.
+ */
+
+const path = require('path');
+const { REPO_ROOT, writeRegistry, getStatusString } = require('./registry');
+
+const DRAFT_PATH = path.join(REPO_ROOT, 'contracts.draft.json');
+const TODO = 'TODO';
+
+/**
+ * @typedef {Object} MissingCode
+ * @property {string} codeId
+ * @property {string} hash
+ * @property {string} [creator]
+ * @property {{ proposalId: string, proposalTitle: string, status: string }} [proposal]
+ */
+
+/**
+ * A stub entry for one code ID missing from contracts.json.
+ * @param {MissingCode} missing
+ * @param {string} chainId
+ */
+function draftEntry({ codeId, hash, creator, proposal }, chainId) {
+    return {
+        name: `${TODO}: name of code ID ${codeId}`,
+        description: `${TODO}: what the contract does`,
+        release: { url: TODO, version: TODO },
+        author: { name: TODO, url: TODO },
+        deprecated: false,
+        deployments: {
+            [chainId]: {
+                code_id: `${codeId}`,
+                hash: hash.toUpperCase(),
+                ...(proposal ? { governance: `${proposal.proposalId}` } : {})
+            }
+        }
+    };
+}
+
+/**
+ * Research notes for one missing code ID, e.g.
+ * 'Code ID 8: created by xion1...; stored by proposal 12 "Store code" (Passed)'
+ * @param {MissingCode} missing
+ * @returns {string}
+ */
+function draftNote({ codeId, creator, proposal }) {
+    const stored = proposal
+        ? `stored by proposal ${proposal.proposalId} "${proposal.proposalTitle}" (${getStatusString(proposal.status)})`
+        : 'no store code proposal found, add governance by hand';
+    return `Code ID ${codeId}: created by ${creator || 'unknown'}; ${stored}`;
+}
+
+/**
+ * Write stub entries for every missing code ID, by ascending code ID.
+ * @param {MissingCode[]} missing
+ * @param {Object} options
+ * @param {string} options.chainId
+ * @param {string} [options.file]   Defaults to contracts.draft.json next to contracts.json
+ * @returns {Object[]} The entries written
+ */
+function writeDrafts(missing, { chainId, file = DRAFT_PATH }) {
+    const entries = [...missing]
+        .sort((a, b) => Number(a.codeId) - Number(b.codeId))
+        .map(item => draftEntry(item, chainId));
+    writeRegistry(entries, { path: file });
+    return entries;
+}
+
+module.exports = {
+    DRAFT_PATH,
+    draftEntry,
+    draftNote,
+    writeDrafts
+};
@@ -0,0 +1,132 @@
+/**
+ * fix.js
+ *
+ * Corrections for the mechanical problems `validate.js --fix` can repair
+ * without a human: lowercase hashes, timestamps without milliseconds, and
+ * entries out of order (code_id order, entries without a mainnet deployment
+ * before mainnet ones). Everything else, duplicate code IDs included, is
+ * left for validation to report.
+ */
+
+const { mainnetDeployment, deploymentsOf, instancesOf, checkOrdering, sortContracts } = require('./registry');
+
+// A UTC or offset timestamp without milliseconds, e.g. 2025-04-08T18:22:41Z
+const TIMESTAMP_WITHOUT_MS = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(Z|[+-]\d{2}:\d{2})$/;
+
+/**
+ * @typedef {Object} Fix
+ * @property {string} name     Name of the entry that was changed
+ * @property {string} field    Path of the changed value within the entry, e.g. 'deployments/xion-mainnet-1/hash'
+ * @property {string} rule     Rule the original value broke (see lib/report.js)
+ * @property {string} message  What changed
+ */
+
+// The same instant as YYYY-MM-DDTHH:mm:ss.sssZ, or null when not fixable
+function withMilliseconds(timestamp) {
+    if (typeof timestamp !== 'string' || !TIMESTAMP_WITHOUT_MS.test(timestamp)) {
+        return null;
+    }
+    const date = new Date(timestamp);
+    return Number.isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+function fixTimestamp(object, key, name, field, fixes) {
+    const fixed = withMilliseconds(object[key]);
+    if (fixed) {
+        fixes.push({ name, field, rule: 'schema/pattern', message: `${object[key]} -> ${fixed}` });
+        object[key] = fixed;
+    }
+}
+
+// Positions of a longest non-decreasing subsequence of `values`
+function longestOrderedRun(values) {
+    const length = values.map(() => 1);
+    const previous = values.map(() => -1);
+    values.forEach((value, i) => {
+        for (let j = 0; j < i; j++) {
+            if (values[j] <= value && length[j] + 1 > length[i]) {
+                length[i] = length[j] + 1;
+                previous[i] = j;
+            }
+        }
+    });
+    const run = new Set();
+    let i = length.indexOf(Math.max(...length));
+    while (i !== -1) {
+        run.add(i);
+        i = previous[i];
+    }
+    return run;
+}
+
+/**
+ * Fix a registry's mechanical problems. The input isn't modified. Key order
+ * isn't a fix: writeRegistry lays the result out canonically (see
+ * lib/format.js), so writing it can also move keys and reindent.
+ * @param {Object[]} contracts  Parsed contracts.json
+ * @returns {{ contracts: Object[], fixes: Fix[] }}
+ */
+function fixRegistry(contracts) {
+    const fixes = [];
+    if (!Array.isArray(contracts)) {
+        return { contracts, fixes };
+    }
+    const fixed = JSON.parse(JSON.stringify(contracts));
+
+    fixed.forEach(contract => {
+        const name = contract && contract.name;
+        deploymentsOf(contract).forEach(([chainId, deployment]) => {
+            const field = `deployments/${chainId}`;
+            const hash = deployment.hash;
+            if (typeof hash === 'string' && /^[a-fA-F0-9]{64}$/.test(hash) && hash !== hash.toUpperCase()) {
+                deployment.hash = hash.toUpperCase();
+                fixes.push({ name, field: `${field}/hash`, rule: 'style/hash-uppercase', message: 'uppercased' });
+            }
+            fixTimestamp(deployment, 'deployed_at', name, `${field}/deployed_at`, fixes);
+            instancesOf(deployment).forEach((instance, index) => {
+                if (instance && typeof instance === 'object') {
+                    fixTimestamp(instance, 'instantiated_at', name, `${field}/instances/${index}/instantiated_at`, fixes);
+                }
+            });
+        });
+    });
+
+    // sortContracts is stable, so duplicate code IDs keep their order for a human to resolve
+    const orderIssues = checkOrdering(fixed).filter(issue => issue.rule !== 'order/duplicate-code-id');
+    if (orderIssues.length === 0) {
+        return { contracts: fixed, fixes };
+    }
+
+    // Report the entries that are out of place, not every entry around them:
+    // mainnet-less entries followed by a mainnet one, and the fewest mainnet
+    // entries to move so the rest is in code_id order
+    const misplaced = new Map();
+    fixed.forEach((contract, index) => {
+        if (!mainnetDeployment(contract) && fixed.slice(index + 1).some(mainnetDeployment)) {
+            misplaced.set(index, 'order/mainnet-first');
+        }
+    });
+    const mainnetIndexes = fixed.map((contract, index) => index).filter(index => mainnetDeployment(fixed[index]));
+    const inOrder = longestOrderedRun(mainnetIndexes.map(index => Number(mainnetDeployment(fixed[index]).code_id)));
+    mainnetIndexes.forEach((index, position) => {
+        if (!inOrder.has(position)) {
+            misplaced.set(index, 'order/code-id-ascending');
+        }
+    });
+
+    const sorted = sortContracts(fixed);
+    [...misplaced].sort(([a], [b]) => a - b).forEach(([index, rule]) => {
+        const contract = fixed[index];
+        fixes.push({
+            name: contract && contract.name,
+            field: '',
+            rule,
+            message: `moved from position ${index} to ${sorted.indexOf(contract)}`
+        });
+    });
+    return { contracts: sorted, fixes };
+}
+
+module.exports = {
+    fixRegistry
+};
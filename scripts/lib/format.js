@@ -0,0 +1,85 @@
+/**
+ * format.js
+ *
+ * The canonical layout of contracts.json, so PR diffs only show real
+ * changes: keys in the order contracts.schema.json lists them (unknown keys
+ * last, in their original order), deployments with the networks.json chains
+ * first, uppercase hashes, two-space indentation and a trailing newline.
+ * Entry order is up to the caller (see sortContracts in lib/registry.js).
+ */
+
+const registrySchema = require('../../contracts.schema.json');
+const { loadNetworks } = require('./networks');
+
+// Hex checksums that are written in uppercase, by property name
+const HASH_KEYS = ['hash', 'init_msg_hash'];
+const CHAIN_IDS = Object.values(loadNetworks()).map(network => network.chain_id);
+
+function resolveRef(schema) {
+    return schema && schema.$ref ? registrySchema.$defs[schema.$ref.replace('#/$defs/', '')] : schema;
+}
+
+function isObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+// Chain IDs in networks.json order, then any others alphabetically
+function chainOrder(chainIds) {
+    const rank = chainId => (CHAIN_IDS.includes(chainId) ? CHAIN_IDS.indexOf(chainId) : CHAIN_IDS.length);
+    return [...chainIds].sort((a, b) => rank(a) - rank(b) || (rank(a) === CHAIN_IDS.length ? a.localeCompare(b) : 0));
+}
+
+// Copy of `value` laid out per `schema`; values the schema doesn't describe are copied as is
+function canonicalValue(value, schema) {
+    schema = resolveRef(schema);
+    if (Array.isArray(value)) {
+        return value.map(item => canonicalValue(item, schema && schema.items));
+    }
+    if (!isObject(value) || !schema) {
+        return value;
+    }
+
+    const result = {};
+    if (schema.properties) {
+        const known = Object.keys(schema.properties).filter(key => key in value);
+        const unknown = Object.keys(value).filter(key => !(key in schema.properties));
+        [...known, ...unknown].forEach(key => {
+            const item = canonicalValue(value[key], schema.properties[key]);
+            result[key] = HASH_KEYS.includes(key) && typeof item === 'string' && /^[a-fA-F0-9]+$/.test(item)
+                ? item.toUpperCase()
+                : item;
+        });
+    } else if (schema.additionalProperties) {
+        // Deployments, keyed by chain ID
+        chainOrder(Object.keys(value)).forEach(key => {
+            result[key] = canonicalValue(value[key], schema.additionalProperties);
+        });
+    } else {
+        return value;
+    }
+    return result;
+}
+
+/**
+ * Entries with keys in canonical order and uppercase hashes. The input
+ * isn't modified.
+ * @param {Object[]} contracts
+ * @returns {Object[]}
+ */
+function canonicalContracts(contracts) {
+    return canonicalValue(contracts, registrySchema);
+}
+
+/**
+ * contracts.json text in the canonical layout, for the entries in the order given.
+ * @param {Object[]} contracts
+ * @returns {string}
+ */
+function stringifyRegistry(contracts) {
+    return `${JSON.stringify(canonicalContracts(contracts), null, 2)}\n`;
+}
+
+module.exports = {
+    canonicalContracts,
+    stringifyRegistry
+};
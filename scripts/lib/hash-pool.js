@@ -0,0 +1,106 @@
+/**
+ * hash-pool.js
+ *
+ * Computes wasm hashes (see computeWasmHash in lib/registry.js) on a pool
+ * of worker threads, so gunzipping and hashing MsgStoreCode payloads
+ * doesn't block the main thread while the next proposal page downloads.
+ * Workers are started on first use and stay up until close().
+ *
+ * This file is also the worker script.
+ */
+
+const os = require('os');
+const { Worker, isMainThread, parentPort } = require('worker_threads');
+const { computeWasmHash } = require('./registry');
+
+function defaultPoolSize() {
+    const cpus = typeof os.availableParallelism === 'function' ? os.availableParallelism() : os.cpus().length;
+    return Math.max(1, Math.min(4, cpus));
+}
+
+/**
+ * @param {number} [size]  Worker threads; 0 hashes on the main thread
+ * @returns {{ hash: (base64: string) => Promise<string|null>, close: () => Promise<void> }}
+ */
+function createHashPool(size = defaultPoolSize()) {
+    if (size === 0) {
+        return {
+            hash: async base64 => computeWasmHash(base64),
+            close: async () => {}
+        };
+    }
+
+    const workers = [];
+    const idle = [];
+    const queue = [];
+    const pending = new Map(); // job id -> { resolve, reject }
+    let nextId = 0;
+
+    function dispatch() {
+        while (queue.length > 0) {
+            if (idle.length === 0 && workers.length < size) {
+                idle.push(spawn());
+            }
+            if (idle.length === 0) return;
+            const worker = idle.pop();
+            const job = queue.shift();
+            worker.job = job.id;
+            worker.postMessage({ id: job.id, base64: job.base64 });
+        }
+    }
+
+    // Reject the worker's job and drop it; dispatch() starts a replacement when jobs are queued
+    function retire(worker, error) {
+        if (!workers.includes(worker)) return;
+        if (worker.job !== null && pending.has(worker.job)) {
+            pending.get(worker.job).reject(error);
+            pending.delete(worker.job);
+        }
+        workers.splice(workers.indexOf(worker), 1);
+        if (idle.includes(worker)) idle.splice(idle.indexOf(worker), 1);
+        dispatch();
+    }
+
+    function spawn() {
+        const worker = new Worker(__filename);
+        worker.on('message', ({ id, hash }) => {
+            pending.get(id).resolve(hash);
+            pending.delete(id);
+            worker.job = null;
+            idle.push(worker);
+            dispatch();
+        });
+        worker.on('error', error => retire(worker, error));
+        // A worker can also stop without an 'error' event (process.exit, out
+        // of memory); its job would otherwise never settle
+        worker.on('exit', code => retire(worker, new Error(`Hash worker exited with code ${code}`)));
+        worker.job = null;
+        workers.push(worker);
+        return worker;
+    }
+
+    return {
+        hash(base64) {
+            return new Promise((resolve, reject) => {
+                const id = nextId++;
+                pending.set(id, { resolve, reject });
+                queue.push({ id, base64 });
+                dispatch();
+            });
+        },
+        async close() {
+            await Promise.all(workers.splice(0).map(worker => worker.terminate()));
+            idle.length = 0;
+        }
+    };
+}
+
+if (!isMainThread) {
+    parentPort.on('message', ({ id, base64 }) => {
+        parentPort.postMessage({ id, hash: computeWasmHash(base64) });
+    });
+}
+
+module.exports = {
+    createHashPool
+};
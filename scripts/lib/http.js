@@ -0,0 +1,213 @@
+/**
+ * http.js
+ *
+ * The HTTP side of chain-snapshot.js: JSON GETs against the public LCD
+ * nodes, which time out, rate limit and fail now and then.
+ *
+ *   - every request is aborted after `timeout` ms
+ *   - 429s, 5xx responses, timeouts and network errors are retried up to
+ *     `retries` times with exponential backoff (Retry-After is honoured)
+ *   - at most `concurrency` requests are in flight at once
+ *   - with `cacheDir`, successful responses are kept on disk: a response
+ *     younger than `cacheTtl` seconds is reused without a request, an older
+ *     one is revalidated with If-None-Match when the server sent an ETag
+ *
+ * Other 4xx responses fail straight away with `error.status` set, so callers
+ * can tell "not found" from "couldn't ask".
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const DEFAULT_CACHE_DIR = path.join(__dirname, '..', '..', '.cache', 'lcd');
+
+const DEFAULTS = {
+    timeout: 30000,
+    retries: 3,
+    retryDelay: 1000,
+    maxRetryDelay: 30000,
+    concurrency: 4,
+    cacheDir: null,
+    cacheTtl: 3600
+};
+
+function isRetryable(error) {
+    return error.status === undefined
+        ? error.retryable !== false
+        : error.status === 429 || error.status >= 500;
+}
+
+function header(response, name) {
+    return response.headers && typeof response.headers.get === 'function' ? response.headers.get(name) : null;
+}
+
+// Milliseconds a Retry-After header asks for (seconds or an HTTP date), or null
+function retryAfter(value) {
+    if (!value) return null;
+    if (/^\d+$/.test(value.trim())) return Number(value) * 1000;
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Runs at most `limit` tasks at a time, in the order they were queued
+function createLimiter(limit) {
+    let active = 0;
+    const queue = [];
+    const next = () => {
+        if (active >= limit || queue.length === 0) return;
+        active++;
+        const { task, resolve, reject } = queue.shift();
+        task().then(resolve, reject).finally(() => {
+            active--;
+            next();
+        });
+    };
+    return task => new Promise((resolve, reject) => {
+        queue.push({ task, resolve, reject });
+        next();
+    });
+}
+
+function cacheFile(dir, url) {
+    return path.join(dir, `${crypto.createHash('sha256').update(url).digest('hex').slice(0, 32)}.json`);
+}
+
+function readCache(dir, url) {
+    try {
+        const entry = JSON.parse(fs.readFileSync(cacheFile(dir, url), 'utf8'));
+        return entry.url === url ? entry : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+function writeCache(dir, url, etag, body) {
+    const file = cacheFile(dir, url);
+    fs.mkdirSync(dir, { recursive: true });
+    fs.writeFileSync(file, JSON.stringify({ url, etag, storedAt: new Date().toISOString(), body }));
+}
+
+/**
+ * @param {Object} [options]
+ * @param {number} [options.timeout]       Per-request timeout in ms
+ * @param {number} [options.retries]       Retries after the first attempt
+ * @param {number} [options.retryDelay]    Backoff before the first retry in ms, doubled for each one after
+ * @param {number} [options.maxRetryDelay] Upper bound for a single backoff in ms
+ * @param {number} [options.concurrency]   Requests in flight at once
+ * @param {string|null} [options.cacheDir] Keep responses in this directory
+ * @param {number} [options.cacheTtl]      Seconds a cached response is used without revalidating
+ * @returns {{ fetchJson: (url: string) => Promise<*> }}
+ */
+function createHttpClient(options = {}) {
+    const settings = { ...DEFAULTS };
+    Object.entries(options).forEach(([key, value]) => {
+        if (value !== undefined) settings[key] = value;
+    });
+    const limit = createLimiter(Math.max(1, settings.concurrency));
+    const cacheDir = settings.cacheDir ? path.resolve(settings.cacheDir) : null;
+
+    // One attempt; resolves to { body, etag } or { notModified: true }
+    async function attempt(url, etag) {
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), settings.timeout);
+        try {
+            const response = await fetch(url, {
+                signal: controller.signal,
+                headers: etag ? { 'If-None-Match': etag } : {}
+            });
+            if (response.status === 304 && etag) {
+                return { notModified: true };
+            }
+            if (!response.ok) {
+                const error = new Error(`HTTP ${response.status}: ${response.statusText}`);
+                error.status = response.status;
+                error.retryAfter = retryAfter(header(response, 'retry-after'));
+                throw error;
+            }
+            let body;
+            try {
+                body = await response.json();
+            } catch (error) {
+                if (controller.signal.aborted) throw error;
+                error.retryable = false;
+                throw error;
+            }
+            return { body, etag: header(response, 'etag') };
+        } catch (error) {
+            if (controller.signal.aborted) {
+                const timeout = new Error(`Request timed out after ${settings.timeout}ms: ${url}`);
+                timeout.code = 'ETIMEDOUT';
+                throw timeout;
+            }
+            throw error;
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+
+    async function fetchWithRetries(url, etag) {
+        for (let retry = 0; ; retry++) {
+            try {
+                return await limit(() => attempt(url, etag));
+            } catch (error) {
+                if (retry >= settings.retries || !isRetryable(error)) {
+                    throw error;
+                }
+                const backoff = settings.retryDelay * 2 ** retry;
+                await sleep(Math.min(settings.maxRetryDelay, error.retryAfter ?? backoff));
+            }
+        }
+    }
+
+    async function fetchJson(url) {
+        const cached = cacheDir ? readCache(cacheDir, url) : null;
+        if (cached && Date.now() - Date.parse(cached.storedAt) < settings.cacheTtl * 1000) {
+            return cached.body;
+        }
+
+        const result = await fetchWithRetries(url, cached && cached.etag);
+        const body = result.notModified ? cached.body : result.body;
+        if (cacheDir) {
+            writeCache(cacheDir, url, result.notModified ? cached.etag : result.etag, body);
+        }
+        return body;
+    }
+
+    return { fetchJson };
+}
+
+/**
+ * Pull the HTTP client flags out of a CLI argument list: `--timeout=MS`,
+ * `--retries=N`, `--concurrency=N`, `--cache[=DIR]` and `--cache-ttl=SECONDS`.
+ * @returns {Object} Options for createHttpClient
+ */
+function parseHttpArgs(args) {
+    const options = {};
+    const numbers = { '--timeout=': 'timeout', '--retries=': 'retries', '--concurrency=': 'concurrency', '--cache-ttl=': 'cacheTtl' };
+    args.forEach(arg => {
+        const prefix = Object.keys(numbers).find(flag => arg.startsWith(flag));
+        if (prefix) {
+            const value = Number(arg.slice(prefix.length));
+            if (!Number.isInteger(value) || value < 0) {
+                throw new Error(`${prefix.slice(0, -1)} expects a non-negative integer, got "${arg.slice(prefix.length)}"`);
+            }
+            options[numbers[prefix]] = value;
+        } else if (arg === '--cache') {
+            options.cacheDir = DEFAULT_CACHE_DIR;
+        } else if (arg.startsWith('--cache=')) {
+            options.cacheDir = arg.slice('--cache='.length);
+        }
+    });
+    return options;
+}
+
+module.exports = {
+    DEFAULT_CACHE_DIR,
+    createHttpClient,
+    parseHttpArgs
+};
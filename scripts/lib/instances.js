@@ -0,0 +1,79 @@
+/**
+ * instances.js
+ *
+ * On-chain checks for the instantiated contracts listed under a deployment's
+ * `instances`: every address must exist on the deployment's chain
+ * (/cosmwasm/wasm/v1/contract/{address}) and run the deployment's code ID.
+ */
+
+const { deploymentOn, instancesOf } = require('./registry');
+
+/**
+ * @typedef {Object} InstanceIssue
+ * @property {string} chainId
+ * @property {string} codeId         Code ID of the deployment the instance is listed under
+ * @property {string} name           Contract name
+ * @property {string} address
+ * @property {string} label
+ * @property {string} issue          Human readable description
+ * @property {string} [actualCodeId] Code ID the address runs on chain, when it differs
+ */
+
+/**
+ * Check every instance listed on `network` against that chain.
+ * @param {Object[]} contracts       Registry entries
+ * @param {Object} options
+ * @param {Object} options.chain     Client from lib/chain-snapshot.js
+ * @param {Object} options.network   Resolved network from lib/networks.js
+ * @returns {Promise<{ checked: number, issues: InstanceIssue[], unverified: { address: string, error: string }[] }>}
+ *          `unverified` lists addresses that couldn't be fetched for reasons
+ *          other than the chain not knowing them (network errors, no recorded response)
+ */
+async function verifyInstances(contracts, { chain, network }) {
+    const chainId = network.chain_id;
+    const result = { checked: 0, issues: [], unverified: [] };
+
+    for (const contract of contracts) {
+        const deployment = deploymentOn(contract, chainId);
+        for (const instance of instancesOf(deployment)) {
+            const item = {
+                chainId,
+                codeId: deployment.code_id,
+                name: contract.name,
+                address: instance.address,
+                label: instance.label
+            };
+
+            let contractInfo;
+            try {
+                const data = await chain.fetchJson(`${network.lcd}/cosmwasm/wasm/v1/contract/${encodeURIComponent(instance.address)}`);
+                contractInfo = data.contract_info;
+            } catch (error) {
+                // The LCD answers 404 for unknown addresses and 400 for malformed ones
+                if (error.status === 404 || error.status === 400) {
+                    result.checked++;
+                    result.issues.push({ ...item, issue: `Contract not found on ${chainId}` });
+                } else {
+                    result.unverified.push({ address: instance.address, error: error.message });
+                }
+                continue;
+            }
+
+            result.checked++;
+            if (!contractInfo) {
+                result.issues.push({ ...item, issue: `Contract not found on ${chainId}` });
+            } else if (`${contractInfo.code_id}` !== `${deployment.code_id}`) {
+                result.issues.push({
+                    ...item,
+                    issue: `Runs code ID ${contractInfo.code_id} on ${chainId}, not ${deployment.code_id}`,
+                    actualCodeId: `${contractInfo.code_id}`
+                });
+            }
+        }
+    }
+    return result;
+}
+
+module.exports = {
+    verifyInstances
+};
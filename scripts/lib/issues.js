@@ -0,0 +1,146 @@
+/**
+ * issues.js
+ *
+ * Helpers for validation issues. An issue is a plain object:
+ *
+ *   {
+ *     path: '/42/deployments/xion-mainnet-1/hash',  // JSON pointer into contracts.json ('' = whole file)
+ *     severity: 'error',                            // 'error' | 'warning'
+ *     rule: 'schema/pattern',                       // stable rule id
+ *     message: 'must be 64 hex characters long',
+ *     params: { ... },                              // optional, e.g. { additionalProperty: 'foo' }
+ *     location: {                                   // optional, added by attachLocations()
+ *       file: 'contracts.json', line: 57, column: 15,
+ *       excerpt: ['57 |       "hash": "abc",', '   |               ^']
+ *     }
+ *   }
+ */
+
+const { locate, excerpt } = require('./json-source');
+
+const SEVERITY_ORDER = { error: 0, warning: 1 };
+
+function createIssue(path, rule, message, severity = 'error', params) {
+    const issue = { path, severity, rule, message };
+    if (params) issue.params = params;
+    return issue;
+}
+
+/**
+ * Resolve each issue's JSON pointer to a line/column in the parsed source
+ * (see lib/json-source.js). Unknown properties point at their key.
+ */
+function attachLocations(issues, source, file) {
+    issues.forEach(issue => {
+        if (issue.location) return;
+        const property = issue.params && (issue.params.additionalProperty || issue.params.propertyName);
+        const position = locate(source, issue.path, property);
+        if (position) {
+            issue.location = { file, ...position, excerpt: excerpt(source, position) };
+        }
+    });
+    return issues;
+}
+
+function formatLocation(location) {
+    return `${location.file}:${location.line}:${location.column}`;
+}
+
+function hasErrors(issues) {
+    return issues.some(issue => issue.severity === 'error');
+}
+
+function countBySeverity(issues) {
+    return issues.reduce((counts, issue) => {
+        counts[issue.severity] = (counts[issue.severity] || 0) + 1;
+        return counts;
+    }, { error: 0, warning: 0 });
+}
+
+// Index of the contract a pointer such as '/42/deployments/xion-mainnet-1/hash' refers to, or null
+function contractIndexFromPath(path) {
+    const match = /^\/(\d+)(\/|$)/.exec(path);
+    return match ? parseInt(match[1]) : null;
+}
+
+function displayPath(path) {
+    return path || '/';
+}
+
+/**
+ * Group issues by the contract they belong to, in registry order.
+ * Issues that don't point into a single entry are grouped under 'Registry'.
+ * @returns {{ index: number|null, label: string, issues: Object[] }[]}
+ */
+function groupByContract(issues, contracts) {
+    const groups = new Map();
+    issues.forEach(issue => {
+        const index = contractIndexFromPath(issue.path);
+        const key = index === null ? -1 : index;
+        if (!groups.has(key)) {
+            const contract = Array.isArray(contracts) && index !== null ? contracts[index] : null;
+            const name = contract && typeof contract.name === 'string' ? contract.name : 'unnamed entry';
+            groups.set(key, {
+                index,
+                label: index === null ? 'Registry' : `[${index}] ${name}`,
+                issues: []
+            });
+        }
+        groups.get(key).issues.push(issue);
+    });
+    return [...groups.entries()]
+        .sort(([a], [b]) => a - b)
+        .map(([, group]) => {
+            group.issues.sort((a, b) => SEVERITY_ORDER[a.severity] - SEVERITY_ORDER[b.severity]);
+            return group;
+        });
+}
+
+function formatIssue(issue) {
+    const prefix = issue.location ? `${formatLocation(issue.location)} ` : '';
+    return `${prefix}${displayPath(issue.path)} ${issue.message} (${issue.rule})`;
+}
+
+// Workflow command escaping, see
+// https://docs.github.com/actions/reference/workflow-commands-for-github-actions
+function escapeAnnotationData(value) {
+    return String(value).replace(/%/g, '%25').replace(/\r/g, '%0D').replace(/\n/g, '%0A');
+}
+
+function escapeAnnotationProperty(value) {
+    return escapeAnnotationData(value).replace(/:/g, '%3A').replace(/,/g, '%2C');
+}
+
+/**
+ * Format an issue as a GitHub Actions `::error`/`::warning` workflow command,
+ * so it shows up as an inline annotation on the PR diff.
+ * @param {Object} issue
+ * @param {string} [defaultFile] File to annotate when the issue has no location
+ */
+function formatGithubAnnotation(issue, defaultFile) {
+    const properties = [];
+    const file = issue.location ? issue.location.file : defaultFile;
+    if (file) {
+        properties.push(`file=${escapeAnnotationProperty(file)}`);
+    }
+    if (issue.location) {
+        properties.push(`line=${issue.location.line}`, `col=${issue.location.column}`);
+    }
+    properties.push(`title=${escapeAnnotationProperty(issue.rule)}`);
+    const command = issue.severity === 'error' ? 'error' : 'warning';
+    const message = issue.path ? `${issue.path} ${issue.message}` : issue.message;
+    return `::${command} ${properties.join(',')}::${escapeAnnotationData(message)}`;
+}
+
+module.exports = {
+    createIssue,
+    attachLocations,
+    formatLocation,
+    hasErrors,
+    countBySeverity,
+    contractIndexFromPath,
+    displayPath,
+    groupByContract,
+    formatIssue,
+    formatGithubAnnotation
+};
@@ -0,0 +1,229 @@
+/**
+ * json-schema.js
+ *
+ * Small dependency-free JSON Schema (draft 2020-12) validator covering the
+ * keywords used by contracts.schema.json:
+ *
+ *   $ref (local "#/..." pointers), $defs, type, enum, const, required,
+ *   properties, additionalProperties, propertyNames, minProperties, items,
+ *   minItems, minLength, maxLength, pattern, format (date-time), oneOf, anyOf,
+ *   allOf
+ *
+ * A non-standard `errorMessage` keyword replaces the default message when a
+ * `pattern` doesn't match. Unknown keywords are ignored, as the spec requires.
+ */
+
+const DATE_TIME_PATTERN = /^\d{4}-\d{2}-\d{2}[Tt]\d{2}:\d{2}:\d{2}(\.\d+)?([Zz]|[+-]\d{2}:\d{2})$/;
+
+const formats = {
+    'date-time': value => DATE_TIME_PATTERN.test(value) && !Number.isNaN(Date.parse(value))
+};
+
+function escapePointerToken(token) {
+    return String(token).replace(/~/g, '~0').replace(/\//g, '~1');
+}
+
+function unescapePointerToken(token) {
+    return token.replace(/~1/g, '/').replace(/~0/g, '~');
+}
+
+function resolveRef(ref, root) {
+    if (!ref.startsWith('#')) {
+        throw new Error(`Only local $ref values are supported: ${ref}`);
+    }
+    const tokens = ref.slice(1).split('/').filter(Boolean).map(unescapePointerToken);
+    let target = root;
+    for (const token of tokens) {
+        if (target === undefined || target === null) break;
+        target = target[token];
+    }
+    if (target === undefined) {
+        throw new Error(`Unresolvable $ref: ${ref}`);
+    }
+    return target;
+}
+
+function typeOf(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (typeof value === 'number' && Number.isInteger(value)) return 'integer';
+    return typeof value;
+}
+
+function matchesType(value, type) {
+    const actual = typeOf(value);
+    if (type === 'number') return actual === 'number' || actual === 'integer';
+    return actual === type;
+}
+
+function describeType(type) {
+    const article = /^[aeiou]/.test(type) ? 'an' : 'a';
+    return `${article} ${type}`;
+}
+
+function validateNode(data, schema, root, instancePath, errors) {
+    if (schema === true) return;
+    if (schema === false) {
+        errors.push({ instancePath, keyword: 'false', message: 'is not allowed' });
+        return;
+    }
+
+    if (schema.$ref) {
+        validateNode(data, resolveRef(schema.$ref, root), root, instancePath, errors);
+    }
+
+    if (schema.type !== undefined) {
+        const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+        if (!types.some(type => matchesType(data, type))) {
+            errors.push({
+                instancePath,
+                keyword: 'type',
+                message: `must be ${types.map(describeType).join(' or ')}`
+            });
+            // Further keywords would only produce noise for the wrong type
+            return;
+        }
+    }
+
+    if (schema.const !== undefined && JSON.stringify(data) !== JSON.stringify(schema.const)) {
+        errors.push({ instancePath, keyword: 'const', message: `must be equal to ${JSON.stringify(schema.const)}` });
+    }
+
+    if (schema.enum && !schema.enum.some(option => JSON.stringify(option) === JSON.stringify(data))) {
+        errors.push({
+            instancePath,
+            keyword: 'enum',
+            message: `must be one of: ${schema.enum.map(option => JSON.stringify(option)).join(', ')}`
+        });
+    }
+
+    if (typeof data === 'string') {
+        if (schema.minLength !== undefined && data.length < schema.minLength) {
+            errors.push({ instancePath, keyword: 'minLength', message: `must be at least ${schema.minLength} characters` });
+        }
+        if (schema.maxLength !== undefined && data.length > schema.maxLength) {
+            errors.push({ instancePath, keyword: 'maxLength', message: `must be at most ${schema.maxLength} characters` });
+        }
+        if (schema.format && formats[schema.format] && !formats[schema.format](data)) {
+            errors.push({ instancePath, keyword: 'format', message: `must be a valid ${schema.format}` });
+        }
+        if (schema.pattern && !new RegExp(schema.pattern).test(data)) {
+            errors.push({
+                instancePath,
+                keyword: 'pattern',
+                message: schema.errorMessage || `must match pattern: ${schema.pattern}`
+            });
+        }
+    }
+
+    if (Array.isArray(data) && schema.minItems !== undefined && data.length < schema.minItems) {
+        errors.push({
+            instancePath,
+            keyword: 'minItems',
+            message: `must have at least ${schema.minItems} ${schema.minItems === 1 ? 'item' : 'items'}`
+        });
+    }
+
+    if (Array.isArray(data) && schema.items !== undefined) {
+        data.forEach((item, index) => {
+            validateNode(item, schema.items, root, `${instancePath}/${index}`, errors);
+        });
+    }
+
+    if (typeOf(data) === 'object') {
+        for (const required of schema.required || []) {
+            if (!(required in data)) {
+                errors.push({
+                    instancePath,
+                    keyword: 'required',
+                    message: `missing required property: ${required}`,
+                    params: { missingProperty: required }
+                });
+            }
+        }
+
+        if (schema.minProperties !== undefined && Object.keys(data).length < schema.minProperties) {
+            errors.push({
+                instancePath,
+                keyword: 'minProperties',
+                message: `must have at least ${schema.minProperties} ${schema.minProperties === 1 ? 'property' : 'properties'}`
+            });
+        }
+
+        const properties = schema.properties || {};
+        for (const [key, value] of Object.entries(data)) {
+            const childPath = `${instancePath}/${escapePointerToken(key)}`;
+            if (schema.propertyNames !== undefined) {
+                collect(key, schema.propertyNames, root, childPath).forEach(error => {
+                    errors.push({
+                        instancePath,
+                        keyword: 'propertyNames',
+                        message: `has invalid property name "${key}": ${error.message}`,
+                        params: { propertyName: key }
+                    });
+                });
+            }
+            if (key in properties) {
+                validateNode(value, properties[key], root, childPath, errors);
+            } else if (schema.additionalProperties === false) {
+                errors.push({
+                    instancePath,
+                    keyword: 'additionalProperties',
+                    message: `has unknown property: ${key}`,
+                    params: { additionalProperty: key }
+                });
+            } else if (typeof schema.additionalProperties === 'object') {
+                validateNode(value, schema.additionalProperties, root, childPath, errors);
+            }
+        }
+    }
+
+    if (schema.allOf) {
+        schema.allOf.forEach(subschema => validateNode(data, subschema, root, instancePath, errors));
+    }
+
+    if (schema.anyOf) {
+        const branchErrors = schema.anyOf.map(subschema => collect(data, subschema, root, instancePath));
+        if (!branchErrors.some(branch => branch.length === 0)) {
+            errors.push({ instancePath, keyword: 'anyOf', message: 'must match at least one schema in anyOf' });
+        }
+    }
+
+    if (schema.oneOf) {
+        const branchErrors = schema.oneOf.map(subschema => collect(data, subschema, root, instancePath));
+        const matches = branchErrors.filter(branch => branch.length === 0).length;
+        if (matches !== 1) {
+            errors.push({
+                instancePath,
+                keyword: 'oneOf',
+                message: matches === 0
+                    ? `must match exactly one schema in oneOf (${branchErrors.map(branch => branch[0].message).join('; ')})`
+                    : `matches ${matches} schemas in oneOf, expected exactly one`
+            });
+        }
+    }
+}
+
+function collect(data, schema, root, instancePath) {
+    const errors = [];
+    validateNode(data, schema, root, instancePath, errors);
+    return errors;
+}
+
+/**
+ * Validate `data` against a JSON Schema.
+ * @param {*} data
+ * @param {Object} schema  Schema to apply; may be a subschema of `root`
+ * @param {Object} [root]  Document used to resolve $ref (default: `schema`)
+ * @returns {{ instancePath: string, keyword: string, message: string, params?: Object }[]}
+ *          Every error found, with `instancePath` as a JSON pointer
+ */
+function validate(data, schema, root = schema) {
+    return collect(data, schema, root, '');
+}
+
+module.exports = {
+    validate,
+    resolveRef,
+    escapePointerToken
+};
@@ -0,0 +1,244 @@
+/**
+ * json-source.js
+ *
+ * Position-tracking JSON parser. Produces the same value as JSON.parse plus
+ * a map from JSON pointer to source offsets, so validation issues can be
+ * reported as `contracts.json:LINE:COL` with a short code excerpt.
+ */
+
+const { escapePointerToken } = require('./json-schema');
+
+class JsonSyntaxError extends SyntaxError {
+    constructor(message, offset, source) {
+        const { line, column } = positionAt(source, offset);
+        super(`${message} at line ${line} column ${column}`);
+        this.name = 'JsonSyntaxError';
+        this.reason = message;
+        this.offset = offset;
+        this.line = line;
+        this.column = column;
+    }
+}
+
+function lineStartsOf(text) {
+    const starts = [0];
+    for (let i = 0; i < text.length; i++) {
+        if (text[i] === '\n') starts.push(i + 1);
+    }
+    return starts;
+}
+
+// 1-based line/column for an offset
+function positionAt(source, offset) {
+    const lineStarts = source.lineStarts || lineStartsOf(source.text);
+    let low = 0;
+    let high = lineStarts.length - 1;
+    while (low < high) {
+        const mid = Math.ceil((low + high) / 2);
+        if (lineStarts[mid] <= offset) low = mid;
+        else high = mid - 1;
+    }
+    return { line: low + 1, column: offset - lineStarts[low] + 1 };
+}
+
+const ESCAPES = { '"': '"', '\\': '\\', '/': '/', b: '\b', f: '\f', n: '\n', r: '\r', t: '\t' };
+
+/**
+ * Parse JSON text, recording where each value (and object key) starts.
+ * @param {string} text
+ * @returns {{ value: *, text: string, lineStarts: number[],
+ *             pointers: Map<string, { value: number, valueEnd: number, key?: number }> }}
+ * @throws {JsonSyntaxError}
+ */
+function parse(text) {
+    const source = { text, lineStarts: lineStartsOf(text), pointers: new Map() };
+    let pos = 0;
+
+    const fail = (message, at = pos) => {
+        throw new JsonSyntaxError(message, at, source);
+    };
+
+    const skipWhitespace = () => {
+        while (pos < text.length && ' \t\n\r'.includes(text[pos])) pos++;
+    };
+
+    const expect = (char) => {
+        if (text[pos] !== char) {
+            fail(pos >= text.length ? `Expected '${char}' but reached end of input` : `Expected '${char}' but found '${text[pos]}'`);
+        }
+        pos++;
+    };
+
+    const parseString = () => {
+        const start = pos;
+        expect('"');
+        let result = '';
+        while (true) {
+            if (pos >= text.length) fail('Unterminated string', start);
+            const char = text[pos];
+            if (char === '"') {
+                pos++;
+                return result;
+            }
+            if (char === '\\') {
+                const escape = text[pos + 1];
+                if (escape === 'u') {
+                    const hex = text.slice(pos + 2, pos + 6);
+                    if (!/^[0-9a-fA-F]{4}$/.test(hex)) fail('Invalid unicode escape');
+                    result += String.fromCharCode(parseInt(hex, 16));
+                    pos += 6;
+                } else if (escape in ESCAPES) {
+                    result += ESCAPES[escape];
+                    pos += 2;
+                } else {
+                    fail('Invalid escape sequence');
+                }
+                continue;
+            }
+            if (char < ' ') fail('Control character in string');
+            result += char;
+            pos++;
+        }
+    };
+
+    const parseNumber = () => {
+        const match = /^-?(0|[1-9]\d*)(\.\d+)?([eE][+-]?\d+)?/.exec(text.slice(pos, pos + 64));
+        if (!match) fail(`Unexpected character '${text[pos]}'`);
+        pos += match[0].length;
+        return Number(match[0]);
+    };
+
+    const parseLiteral = (word, value) => {
+        if (text.startsWith(word, pos)) {
+            pos += word.length;
+            return value;
+        }
+        return fail(`Unexpected character '${text[pos]}'`);
+    };
+
+    const parseValue = (pointer, keyOffset) => {
+        skipWhitespace();
+        const start = pos;
+        let value;
+        const char = text[pos];
+
+        if (char === '{') {
+            pos++;
+            value = {};
+            skipWhitespace();
+            if (text[pos] === '}') {
+                pos++;
+            } else {
+                while (true) {
+                    skipWhitespace();
+                    const keyStart = pos;
+                    if (text[pos] !== '"') fail('Expected property name');
+                    const key = parseString();
+                    skipWhitespace();
+                    expect(':');
+                    value[key] = parseValue(`${pointer}/${escapePointerToken(key)}`, keyStart);
+                    skipWhitespace();
+                    if (text[pos] === ',') {
+                        pos++;
+                        continue;
+                    }
+                    expect('}');
+                    break;
+                }
+            }
+        } else if (char === '[') {
+            pos++;
+            value = [];
+            skipWhitespace();
+            if (text[pos] === ']') {
+                pos++;
+            } else {
+                while (true) {
+                    value.push(parseValue(`${pointer}/${value.length}`));
+                    skipWhitespace();
+                    if (text[pos] === ',') {
+                        pos++;
+                        continue;
+                    }
+                    expect(']');
+                    break;
+                }
+            }
+        } else if (char === '"') {
+            value = parseString();
+        } else if (char === 't') {
+            value = parseLiteral('true', true);
+        } else if (char === 'f') {
+            value = parseLiteral('false', false);
+        } else if (char === 'n') {
+            value = parseLiteral('null', null);
+        } else if (char === '-' || (char >= '0' && char <= '9')) {
+            value = parseNumber();
+        } else {
+            fail(pos >= text.length ? 'Unexpected end of input' : `Unexpected character '${char}'`);
+        }
+
+        const entry = { value: start, valueEnd: pos };
+        if (keyOffset !== undefined) entry.key = keyOffset;
+        source.pointers.set(pointer, entry);
+        return value;
+    };
+
+    const value = parseValue('');
+    skipWhitespace();
+    if (pos < text.length) fail(`Unexpected character '${text[pos]}' after JSON value`);
+
+    source.value = value;
+    return source;
+}
+
+/**
+ * Find the source position for a JSON pointer. When `property` is given and
+ * exists, the position of that key is used (e.g. for an unknown property);
+ * otherwise the closest existing ancestor value is used.
+ * @returns {{ line: number, column: number }|null}
+ */
+function locate(source, pointer, property) {
+    if (property !== undefined) {
+        const child = source.pointers.get(`${pointer}/${escapePointerToken(property)}`);
+        if (child && child.key !== undefined) {
+            return positionAt(source, child.key);
+        }
+    }
+    let current = pointer;
+    while (true) {
+        const entry = source.pointers.get(current);
+        if (entry) {
+            return positionAt(source, entry.value);
+        }
+        if (current === '') return null;
+        current = current.slice(0, current.lastIndexOf('/'));
+    }
+}
+
+/**
+ * A short excerpt of the source around a position, with a caret under the column.
+ * @returns {string[]} Lines such as ['57 |       "hash": "abc",', '   |               ^']
+ */
+function excerpt(source, position, contextLines = 0) {
+    const lines = source.text.split('\n');
+    const first = Math.max(1, position.line - contextLines);
+    const last = Math.min(lines.length, position.line + contextLines);
+    const width = String(last).length;
+    const output = [];
+    for (let line = first; line <= last; line++) {
+        output.push(`${String(line).padStart(width)} | ${lines[line - 1].replace(/\r$/, '')}`);
+        if (line === position.line) {
+            output.push(`${' '.repeat(width)} | ${' '.repeat(position.column - 1)}^`);
+        }
+    }
+    return output;
+}
+
+module.exports = {
+    JsonSyntaxError,
+    parse,
+    positionAt,
+    locate,
+    excerpt
+};
@@ -0,0 +1,112 @@
+/**
+ * lookup.js
+ *
+ * Read-only helpers for finding entries in contracts.json: deployments by
+ * chain ID, instances, and maps by code ID or hash. This is the part of the
+ * library the npm package (index.js) needs, so it must stay loadable in a
+ * browser bundle: no fs, path, crypto or zlib, and networks.json is taken
+ * with a plain require that bundlers inline. Loading, validation and
+ * hashing live in lib/registry.js, which re-exports everything here.
+ */
+
+const networks = require('../../networks.json');
+
+// Registry ordering and the governance rule are based on the mainnet deployment
+const MAINNET_CHAIN_ID = networks.mainnet.chain_id;
+
+/**
+ * The contract's deployment on a chain, or undefined. Safe to call on
+ * entries that haven't been validated yet.
+ * @returns {Deployment|undefined}
+ */
+function deploymentOn(contract, chainId) {
+    const deployments = contract && typeof contract === 'object' ? contract.deployments : undefined;
+    if (!deployments || typeof deployments !== 'object' || Array.isArray(deployments)) {
+        return undefined;
+    }
+    const deployment = deployments[chainId];
+    return deployment && typeof deployment === 'object' ? deployment : undefined;
+}
+
+function mainnetDeployment(contract) {
+    return deploymentOn(contract, MAINNET_CHAIN_ID);
+}
+
+/**
+ * Every deployment of a contract, in file order.
+ * @returns {[string, Deployment][]} [chainId, deployment] pairs
+ */
+function deploymentsOf(contract) {
+    const deployments = contract && typeof contract === 'object' ? contract.deployments : undefined;
+    if (!deployments || typeof deployments !== 'object' || Array.isArray(deployments)) {
+        return [];
+    }
+    return Object.entries(deployments).filter(([, deployment]) => deployment && typeof deployment === 'object');
+}
+
+// Deployments on any chain other than `chainId` (default: mainnet)
+function otherDeployments(contract, chainId = MAINNET_CHAIN_ID) {
+    return deploymentsOf(contract).filter(([deploymentChainId]) => deploymentChainId !== chainId);
+}
+
+// A deployment's instances (possibly not yet validated), in file order
+function instancesOf(deployment) {
+    return deployment && Array.isArray(deployment.instances) ? deployment.instances : [];
+}
+
+function normalizeHash(hash) {
+    return typeof hash === 'string' ? hash.toUpperCase() : hash;
+}
+
+/**
+ * @param {Contract[]} contracts
+ * @param {string} chainId
+ * @returns {Map<string, Contract>} code_id on that chain -> contract
+ */
+function byCodeId(contracts, chainId) {
+    const map = new Map();
+    contracts.forEach(contract => {
+        const deployment = deploymentOn(contract, chainId);
+        if (deployment) {
+            map.set(deployment.code_id, contract);
+        }
+    });
+    return map;
+}
+
+/**
+ * @param {Contract[]} contracts
+ * @returns {Map<string, Contract>} mainnet code_id -> contract
+ */
+function byMainnetCodeId(contracts) {
+    return byCodeId(contracts, MAINNET_CHAIN_ID);
+}
+
+/**
+ * @param {Contract[]} contracts
+ * @param {string} [chainId]  Defaults to the mainnet chain ID
+ * @returns {Map<string, Contract>} uppercase hash -> contract
+ */
+function byHash(contracts, chainId = MAINNET_CHAIN_ID) {
+    const map = new Map();
+    contracts.forEach(contract => {
+        const deployment = deploymentOn(contract, chainId);
+        if (deployment) {
+            map.set(normalizeHash(deployment.hash), contract);
+        }
+    });
+    return map;
+}
+
+module.exports = {
+    MAINNET_CHAIN_ID,
+    deploymentOn,
+    mainnetDeployment,
+    deploymentsOf,
+    otherDeployments,
+    instancesOf,
+    normalizeHash,
+    byCodeId,
+    byMainnetCodeId,
+    byHash
+};
@@ -0,0 +1,209 @@
+/**
+ * migrations.js
+ *
+ * Detects well-known contracts that were migrated to new code. The addresses
+ * to watch come from a side file (--addresses=FILE); the `instances` listed
+ * in contracts.json are already checked against their deployment's code ID
+ * by lib/instances.js.
+ *
+ *   [
+ *     { "address": "xion1...", "label": "Treasury factory", "expected": "Treasury (v2)" },
+ *     { "address": "xion1...", "network": "testnet" }
+ *   ]
+ *
+ * `expected` names the contracts.json entry the address should be running;
+ * without it, the entry the contract was instantiated from is expected.
+ * `network` is a networks.json name or a chain ID (default: the network being
+ * verified). For every address the code history
+ * (/cosmwasm/wasm/v1/contract/{address}/history) is fetched and its current
+ * code ID looked up in contracts.json.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { validate } = require('./json-schema');
+const { deploymentOn, byCodeId } = require('./registry');
+
+const WATCH_LIST_SCHEMA = {
+    type: 'array',
+    items: {
+        type: 'object',
+        required: ['address'],
+        additionalProperties: false,
+        properties: {
+            address: { type: 'string', pattern: '^[a-z0-9]+1[a-z0-9]+$' },
+            label: { type: 'string', minLength: 1 },
+            expected: { type: 'string', minLength: 1 },
+            network: { type: 'string', minLength: 1 }
+        }
+    }
+};
+
+/**
+ * @typedef {Object} WatchedAddress
+ * @property {string} address
+ * @property {string|null} label
+ * @property {string} chainId
+ * @property {Object|null} expected  contracts.json entry the address should run, if known
+ * @property {string} source         The side file's path
+ */
+
+/**
+ * @typedef {Object} MigrationIssue
+ * @property {'unregistered'|'different-entry'} kind
+ * @property {string} chainId
+ * @property {string} address
+ * @property {string|null} label
+ * @property {string} source
+ * @property {string} codeId               Code ID the contract runs now
+ * @property {string|null} currentName     Entry registered for that code ID
+ * @property {string|null} expectedName
+ * @property {string|null} expectedCodeId
+ * @property {string|null} migratedAt      Block height of the latest migration
+ * @property {string} issue                Human readable description
+ */
+
+/**
+ * Read and validate a side file of addresses to watch.
+ * @param {string} file
+ * @param {Object} options
+ * @param {Object[]} options.contracts       Registry entries, to resolve `expected`
+ * @param {Object} options.networks          networks.json, to resolve `network` names
+ * @param {string} options.defaultChainId    Chain for entries without `network`
+ * @returns {WatchedAddress[]}
+ */
+function loadWatchList(file, { contracts, networks, defaultChainId }) {
+    const name = path.basename(file);
+    let entries;
+    try {
+        entries = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+        throw new Error(`Cannot read ${name}: ${error.message}`);
+    }
+    const errors = validate(entries, WATCH_LIST_SCHEMA);
+    if (errors.length > 0) {
+        const details = errors.map(error => `${error.instancePath || '/'} ${error.message}`).join('; ');
+        throw new Error(`Invalid ${name}: ${details}`);
+    }
+
+    return entries.map((entry, index) => {
+        const chainId = !entry.network
+            ? defaultChainId
+            : (networks[entry.network] ? networks[entry.network].chain_id : entry.network);
+        let expected = null;
+        if (entry.expected) {
+            expected = contracts.find(contract => contract.name === entry.expected && deploymentOn(contract, chainId));
+            if (!expected) {
+                throw new Error(`Invalid ${name}: /${index}/expected "${entry.expected}" has no ${chainId} deployment in contracts.json`);
+            }
+        }
+        return {
+            address: entry.address,
+            label: entry.label || null,
+            chainId,
+            expected,
+            source: file
+        };
+    });
+}
+
+/**
+ * Every code history entry of a contract, oldest first.
+ * @returns {Promise<{ operation: string, code_id: string, updated?: { block_height: string } }[]>}
+ */
+async function fetchCodeHistory(chain, network, address) {
+    const entries = [];
+    let paginationKey = null;
+    do {
+        const base = `${network.lcd}/cosmwasm/wasm/v1/contract/${encodeURIComponent(address)}/history`;
+        const data = await chain.fetchJson(paginationKey
+            ? `${base}?pagination.key=${encodeURIComponent(paginationKey)}`
+            : base);
+        entries.push(...(data.entries || []));
+        paginationKey = data.pagination?.next_key;
+    } while (paginationKey);
+    return entries;
+}
+
+/**
+ * Compare the code each watched address runs now with what contracts.json expects.
+ * @param {Object[]} contracts               Registry entries
+ * @param {WatchedAddress[]} watchList
+ * @param {Object} options
+ * @param {Object} options.chain             Client from lib/chain-snapshot.js
+ * @param {(chainId: string) => Object|null} options.networkFor  Resolved network for a chain ID
+ * @returns {Promise<{ checked: number, issues: MigrationIssue[], unverified: { address: string, chainId: string, error: string }[] }>}
+ */
+async function checkMigrations(contracts, watchList, { chain, networkFor }) {
+    const result = { checked: 0, issues: [], unverified: [] };
+    const codeIdMaps = new Map();
+    const entryFor = (chainId, codeId) => {
+        if (!codeIdMaps.has(chainId)) {
+            codeIdMaps.set(chainId, byCodeId(contracts, chainId));
+        }
+        return codeIdMaps.get(chainId).get(`${codeId}`) || null;
+    };
+
+    for (const watched of watchList) {
+        const network = networkFor(watched.chainId);
+        if (!network) {
+            result.unverified.push({ address: watched.address, chainId: watched.chainId, error: `${watched.chainId} is not in networks.json` });
+            continue;
+        }
+
+        let history;
+        try {
+            history = await fetchCodeHistory(chain, network, watched.address);
+        } catch (error) {
+            result.unverified.push({ address: watched.address, chainId: watched.chainId, error: error.message });
+            continue;
+        }
+        if (history.length === 0) {
+            result.unverified.push({ address: watched.address, chainId: watched.chainId, error: 'empty code history' });
+            continue;
+        }
+        result.checked++;
+
+        const latest = history[history.length - 1];
+        const codeId = `${latest.code_id}`;
+        const current = entryFor(watched.chainId, codeId);
+        // Without an explicit expectation, the entry it was instantiated from is expected
+        const expected = watched.expected || entryFor(watched.chainId, history[0].code_id);
+        const expectedDeployment = expected && deploymentOn(expected, watched.chainId);
+        const migratedAt = /MIGRATE/.test(latest.operation) && latest.updated ? `${latest.updated.block_height}` : null;
+        const item = {
+            chainId: watched.chainId,
+            address: watched.address,
+            label: watched.label,
+            source: watched.source,
+            codeId,
+            currentName: current ? current.name : null,
+            expectedName: expected ? expected.name : null,
+            expectedCodeId: expectedDeployment ? expectedDeployment.code_id : null,
+            migratedAt
+        };
+        const when = migratedAt ? ` (migrated at block ${migratedAt})` : '';
+
+        if (!current) {
+            result.issues.push({
+                ...item,
+                kind: 'unregistered',
+                issue: `Runs code ID ${codeId}${when}, which is not in contracts.json`
+            });
+        } else if (expectedDeployment && `${expectedDeployment.code_id}` !== codeId) {
+            result.issues.push({
+                ...item,
+                kind: 'different-entry',
+                issue: `Runs code ID ${codeId} (${current.name})${when}, expected ${expected.name} (code ID ${item.expectedCodeId})`
+            });
+        }
+    }
+    return result;
+}
+
+module.exports = {
+    WATCH_LIST_SCHEMA,
+    loadWatchList,
+    fetchCodeHistory,
+    checkMigrations
+};
@@ -0,0 +1,157 @@
+/**
+ * networks.js
+ *
+ * Loads networks.json, the chains the scripts talk to, and resolves a
+ * network by name with overrides applied. Precedence, highest first:
+ *
+ *   1. explicit options (--lcd=URL / --rpc=URL on the command line)
+ *   2. environment: XION_<NAME>_LCD / XION_<NAME>_RPC, e.g. XION_MAINNET_LCD
+ *   3. networks.json
+ *
+ * XION_NETWORK picks the default network name when --network isn't given.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { validate } = require('./json-schema');
+
+// Not taken from registry.js, which itself needs the mainnet chain ID from here
+const NETWORKS_PATH = path.join(__dirname, '..', '..', 'networks.json');
+const networksSchema = require('../../networks.schema.json');
+const DEFAULT_NETWORK = 'mainnet';
+
+/**
+ * @typedef {Object} Network
+ * @property {string} name           Key in networks.json, e.g. 'mainnet'
+ * @property {string} chain_id       e.g. 'xion-mainnet-1'
+ * @property {string} lcd            REST endpoint, without a trailing slash
+ * @property {string} rpc            Tendermint RPC endpoint
+ * @property {string} bech32_prefix  e.g. 'xion'
+ * @property {Object<string, string>} explorer   Links to block explorer pages, {lcd}/{rpc} expanded
+ * @property {Object<string, string>} api_links  Links to raw JSON on the API, {lcd}/{rpc} expanded
+ */
+
+/**
+ * Read and validate networks.json.
+ * @param {Object} [options]
+ * @param {string} [options.path]  Defaults to networks.json in the repository root
+ * @returns {Object<string, Object>}
+ */
+function loadNetworks({ path: filePath = NETWORKS_PATH } = {}) {
+    const networks = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    const errors = validate(networks, networksSchema);
+    if (errors.length > 0) {
+        const details = errors.map(error => `${error.instancePath || '/'} ${error.message}`).join('; ');
+        throw new Error(`Invalid ${path.basename(filePath)}: ${details}`);
+    }
+    return networks;
+}
+
+// XION_<NAME>_<SUFFIX>, e.g. ('local-devnet', 'LCD') -> XION_LOCAL_DEVNET_LCD
+function envKey(name, suffix) {
+    return `XION_${name.toUpperCase().replace(/[^A-Z0-9]+/g, '_')}_${suffix}`;
+}
+
+function defaultNetworkName(env = process.env) {
+    return env.XION_NETWORK || DEFAULT_NETWORK;
+}
+
+/**
+ * @param {string} [name]  Network name; defaults to $XION_NETWORK or 'mainnet'
+ * @param {Object} [options]
+ * @param {string} [options.lcd]       Overrides the LCD endpoint
+ * @param {string} [options.rpc]       Overrides the RPC endpoint
+ * @param {Object} [options.env]       Environment to read overrides from
+ * @param {Object} [options.networks]  Already loaded networks.json
+ * @returns {Network}
+ */
+function resolveNetwork(name, { lcd, rpc, env = process.env, networks = loadNetworks() } = {}) {
+    const networkName = name || defaultNetworkName(env);
+    const config = networks[networkName];
+    if (!config) {
+        throw new Error(`Unknown network "${networkName}" (expected one of: ${Object.keys(networks).join(', ')})`);
+    }
+
+    const endpoints = {
+        lcd: (lcd || env[envKey(networkName, 'LCD')] || config.lcd).replace(/\/+$/, ''),
+        rpc: (rpc || env[envKey(networkName, 'RPC')] || config.rpc).replace(/\/+$/, '')
+    };
+    const expandEndpoints = templates => {
+        const links = {};
+        Object.entries(templates).forEach(([kind, template]) => {
+            links[kind] = template.replace(/\{(lcd|rpc)\}/g, (match, key) => endpoints[key]);
+        });
+        return links;
+    };
+
+    return {
+        name: networkName,
+        chain_id: config.chain_id,
+        ...endpoints,
+        bech32_prefix: config.bech32_prefix,
+        explorer: expandEndpoints(config.explorer),
+        api_links: expandEndpoints(config.api_links)
+    };
+}
+
+/**
+ * Name of the network in networks.json with the given chain ID, or null.
+ */
+function networkNameForChainId(chainId, networks = loadNetworks()) {
+    const entry = Object.entries(networks).find(([, config]) => config.chain_id === chainId);
+    return entry ? entry[0] : null;
+}
+
+function fillTemplate(network, templates, kind, params) {
+    const template = templates[kind];
+    if (!template) {
+        throw new Error(`Network "${network.name}" has no ${kind} link template`);
+    }
+    return template.replace(/\{(\w+)\}/g, (match, key) =>
+        params[key] === undefined ? match : encodeURIComponent(params[key]));
+}
+
+/**
+ * Fill in a block explorer link template, e.g.
+ * explorerUrl(network, 'proposal', { id: 12 })
+ */
+function explorerUrl(network, kind, params = {}) {
+    return fillTemplate(network, network.explorer, kind, params);
+}
+
+/**
+ * Fill in an API link template, e.g.
+ * apiUrl(network, 'proposal', { id: 12 })
+ */
+function apiUrl(network, kind, params = {}) {
+    return fillTemplate(network, network.api_links, kind, params);
+}
+
+/**
+ * Pull `--network=NAME`, `--lcd=URL` and `--rpc=URL` out of a CLI argument list.
+ * @returns {{ network?: string, lcd?: string, rpc?: string }}
+ */
+function parseNetworkArgs(args) {
+    const options = {};
+    args.forEach(arg => {
+        const match = /^--(network|lcd|rpc)=(.*)$/.exec(arg);
+        if (match) {
+            options[match[1]] = match[2];
+        }
+    });
+    return options;
+}
+
+module.exports = {
+    NETWORKS_PATH,
+    DEFAULT_NETWORK,
+    networksSchema,
+    loadNetworks,
+    envKey,
+    defaultNetworkName,
+    resolveNetwork,
+    networkNameForChainId,
+    explorerUrl,
+    apiUrl,
+    parseNetworkArgs
+};
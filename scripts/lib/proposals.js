@@ -0,0 +1,154 @@
+/**
+ * proposals.js
+ *
+ * Streams every governance proposal from /cosmos/gov/v1/proposals page by
+ * page. The wasm of each MsgStoreCode message is hashed as its page arrives
+ * and replaced by `wasm_hash`, so only one page of bytecode is held at a
+ * time:
+ *
+ *   { '@type': '/cosmwasm.wasm.v1.MsgStoreCode', sender, wasm_hash: 'ABC...' }
+ *
+ * Proposals from before gov v1 uploaded code with a StoreCodeProposal, which
+ * the v1 endpoint returns wrapped in a MsgExecLegacyContent; its `content`
+ * is hashed the same way. storeCodeOf() gives either kind's payload.
+ *
+ * Hashing runs on a worker pool (lib/hash-pool.js) while the next page
+ * downloads. With a memo file, hashes are remembered by proposal ID, since
+ * a proposal's messages never change once submitted.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { computeWasmHash } = require('./registry');
+const { createHashPool } = require('./hash-pool');
+
+const STORE_CODE = '/cosmwasm.wasm.v1.MsgStoreCode';
+const LEGACY_STORE_CODE = '/cosmwasm.wasm.v1.StoreCodeProposal';
+const EXEC_LEGACY_CONTENT = '/cosmos.gov.v1.MsgExecLegacyContent';
+
+/**
+ * The part of a proposal message that uploads code: a MsgStoreCode itself,
+ * or the StoreCodeProposal content of a MsgExecLegacyContent.
+ * @param {Object} msg
+ * @returns {Object|null}  Null for messages that don't store code
+ */
+function storeCodeOf(msg) {
+    if (msg['@type'] === STORE_CODE) {
+        return msg;
+    }
+    if (msg['@type'] === EXEC_LEGACY_CONTENT && msg.content && msg.content['@type'] === LEGACY_STORE_CODE) {
+        return msg.content;
+    }
+    return null;
+}
+
+/**
+ * Hash of the code a MsgStoreCode (or storeCodeOf payload) uploads, whether
+ * or not its proposal came through scanProposals.
+ * @param {Object} msg
+ * @param {(base64: string) => string|null} [hashOf]  Used when the message still carries its wasm
+ * @returns {string|null}
+ */
+function storeCodeHash(msg, hashOf = computeWasmHash) {
+    return msg.wasm_hash !== undefined ? msg.wasm_hash : hashOf(msg.wasm_byte_code);
+}
+
+/**
+ * Where the hash memo for a chain lives inside a cache directory.
+ * @param {string} cacheDir
+ * @param {string} chainId
+ */
+function memoFile(cacheDir, chainId) {
+    return path.join(cacheDir, 'wasm-hashes', `${chainId}.json`);
+}
+
+function loadMemo(file) {
+    try {
+        return JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+        return {};
+    }
+}
+
+// Memo entries record the payload size too, as a guard against a memo from another chain
+function memoized(memo, proposal, index, base64) {
+    const entry = (memo[proposal.id] || []).find(item => item.index === index);
+    return entry && entry.size === base64.length ? entry.hash : undefined;
+}
+
+// `proposal` with its MsgStoreCode and StoreCodeProposal wasm replaced by hashes
+async function hashProposal(proposal, { pool, memo }) {
+    const messages = proposal.messages || [];
+    const hashed = await Promise.all(messages.map(async (msg, index) => {
+        const payload = storeCodeOf(msg);
+        if (!payload || typeof payload.wasm_byte_code !== 'string') {
+            return msg;
+        }
+        const { wasm_byte_code: base64, ...rest } = payload;
+        let hash = memoized(memo.entries, proposal, index, base64);
+        if (hash === undefined) {
+            hash = await pool.hash(base64);
+            memo.entries[proposal.id] = [
+                ...(memo.entries[proposal.id] || []).filter(item => item.index !== index),
+                { index, size: base64.length, hash }
+            ];
+            memo.changed = true;
+        }
+        return payload === msg ? { ...rest, wasm_hash: hash } : { ...msg, content: { ...rest, wasm_hash: hash } };
+    }));
+    return proposal.messages ? { ...proposal, messages: hashed } : proposal;
+}
+
+/**
+ * Fetch every proposal, following pagination.next_key, with stored wasm
+ * replaced by `wasm_hash`.
+ * @param {Object} chain            Client from lib/chain-snapshot.js
+ * @param {string} lcd              LCD base URL
+ * @param {Object} [options]
+ * @param {string|null} [options.memoFile]  Remember hashes by proposal ID in this file
+ * @param {number} [options.workers]        Hashing threads, see lib/hash-pool.js
+ * @param {(page: number, count: number) => void} [options.onPage]  Called after each page
+ * @returns {Promise<{ proposals: Object[], pageCount: number }>}
+ */
+async function scanProposals(chain, lcd, { memoFile: file = null, workers, onPage } = {}) {
+    const base = `${lcd}/cosmos/gov/v1/proposals?proposal_status=0`;
+    const pageUrl = key => (key ? `${base}&pagination.key=${encodeURIComponent(key)}` : base);
+    const memo = { entries: file ? loadMemo(file) : {}, changed: false };
+    const pool = createHashPool(workers);
+    const proposals = [];
+    let pageCount = 0;
+
+    try {
+        let nextPage = chain.fetchJson(pageUrl(null));
+        while (nextPage) {
+            const data = await nextPage;
+            pageCount++;
+            // Download the next page while this one is hashed
+            const key = data.pagination?.next_key;
+            nextPage = key ? chain.fetchJson(pageUrl(key)) : null;
+            nextPage?.catch(() => {}); // Surfaced when awaited
+
+            const page = data.proposals || [];
+            proposals.push(...await Promise.all(page.map(proposal => hashProposal(proposal, { pool, memo }))));
+            if (onPage) onPage(pageCount, page.length);
+        }
+    } finally {
+        await pool.close();
+    }
+
+    if (file && memo.changed) {
+        fs.mkdirSync(path.dirname(file), { recursive: true });
+        fs.writeFileSync(file, JSON.stringify(memo.entries));
+    }
+    return { proposals, pageCount };
+}
+
+module.exports = {
+    STORE_CODE,
+    LEGACY_STORE_CODE,
+    EXEC_LEGACY_CONTENT,
+    storeCodeOf,
+    storeCodeHash,
+    memoFile,
+    scanProposals
+};
@@ -0,0 +1,130 @@
+/**
+ * provenance.js
+ *
+ * Checks that the proposal a deployment names in `governance` really stored
+ * its code: the proposal exists, it passed, and one of its MsgStoreCode
+ * messages (or legacy StoreCodeProposals) hashes to the deployment's hash. Genesis deployments are the
+ * other direction, see UnifiedValidator#analyzeGovernanceIssues.
+ */
+
+const { deploymentOn, normalizeHash, computeWasmHash, getStatusString } = require('./registry');
+const { storeCodeOf, storeCodeHash } = require('./proposals');
+
+// Rule id (see lib/report.js) for each kind of issue
+const PROVENANCE_RULES = {
+    'unknown-proposal': 'governance/unknown-proposal',
+    'not-passed': 'governance/proposal-not-passed',
+    'wrong-proposal': 'governance/wrong-proposal',
+    'wasm-mismatch': 'governance/wasm-mismatch'
+};
+
+/**
+ * @typedef {Object} ProvenanceIssue
+ * @property {'unknown-proposal'|'not-passed'|'wrong-proposal'|'wasm-mismatch'} kind
+ * @property {string} codeId
+ * @property {string} name
+ * @property {string} hash
+ * @property {string} governance              Proposal ID the entry names
+ * @property {string|null} actualProposalId   Proposal that stored this hash, when another one did
+ * @property {string} [status]                Proposal status, for 'not-passed'
+ * @property {string[]} [proposalHashes]      Hashes the proposal stored, for 'wasm-mismatch'
+ * @property {string} issue                   Human readable description
+ */
+
+// Hashes of the code each store-code message of a proposal uploads
+function storeCodeHashes(proposal, hashOf) {
+    return (proposal.messages || [])
+        .map(storeCodeOf)
+        .filter(Boolean)
+        .map(payload => storeCodeHash(payload, hashOf))
+        .filter(Boolean);
+}
+
+/**
+ * Verify the governance proposal of every deployment on `chainId` that names one.
+ * @param {Object[]} contracts                 Registry entries
+ * @param {Object[]} proposals                 Proposals from /cosmos/gov/v1/proposals
+ * @param {Object} options
+ * @param {string} options.chainId
+ * @param {(id: string) => Promise<Object|null>} [options.fetchProposal]
+ *        Looks up a proposal missing from `proposals`; errors with `status` 404 mean it doesn't exist
+ * @param {(base64: string) => string|null} [options.hashOf]  Wasm hash of a MsgStoreCode payload
+ * @returns {Promise<{ checked: number, issues: ProvenanceIssue[], unverified: { governance: string, error: string }[] }>}
+ */
+async function checkProvenance(contracts, proposals, { chainId, fetchProposal, hashOf = computeWasmHash }) {
+    const result = { checked: 0, issues: [], unverified: [] };
+    const byId = new Map(proposals.map(proposal => [`${proposal.id}`, proposal]));
+    const storedBy = new Map(); // hash -> IDs of the proposals that stored it
+    proposals.forEach(proposal => {
+        storeCodeHashes(proposal, hashOf).forEach(hash => {
+            storedBy.set(hash, [...(storedBy.get(hash) || []), `${proposal.id}`]);
+        });
+    });
+
+    for (const contract of contracts) {
+        const deployment = deploymentOn(contract, chainId);
+        if (!deployment || !/^[0-9]+$/.test(`${deployment.governance}`)) {
+            continue;
+        }
+        const governance = `${deployment.governance}`;
+        const hash = normalizeHash(deployment.hash);
+        const otherProposal = (storedBy.get(hash) || []).find(id => id !== governance) || null;
+        const item = {
+            codeId: deployment.code_id,
+            name: contract.name,
+            hash,
+            governance,
+            actualProposalId: otherProposal
+        };
+        const storedElsewhere = otherProposal ? ` (the code was stored by proposal ${otherProposal})` : '';
+
+        let proposal = byId.get(governance);
+        if (!proposal && fetchProposal) {
+            try {
+                proposal = await fetchProposal(governance);
+            } catch (error) {
+                if (error.status !== 404) {
+                    result.unverified.push({ governance, error: error.message });
+                    continue;
+                }
+            }
+        }
+        result.checked++;
+
+        if (!proposal) {
+            result.issues.push({ ...item, kind: 'unknown-proposal', issue: `Proposal ${governance} does not exist${storedElsewhere}` });
+            continue;
+        }
+        if (proposal.status !== 'PROPOSAL_STATUS_PASSED') {
+            const status = getStatusString(proposal.status);
+            result.issues.push({ ...item, kind: 'not-passed', status, issue: `Proposal ${governance} did not pass (${status})` });
+        }
+
+        const proposalHashes = storeCodeHashes(proposal, hashOf);
+        if (proposalHashes.includes(hash)) {
+            continue;
+        }
+        if (otherProposal || proposalHashes.length === 0) {
+            result.issues.push({
+                ...item,
+                kind: 'wrong-proposal',
+                issue: proposalHashes.length === 0
+                    ? `Proposal ${governance} does not store any code${storedElsewhere}`
+                    : `Proposal ${governance} stores other code${storedElsewhere}`
+            });
+        } else {
+            result.issues.push({
+                ...item,
+                kind: 'wasm-mismatch',
+                proposalHashes,
+                issue: `Proposal ${governance} stores code with hash ${proposalHashes.join(', ')}, not ${hash}`
+            });
+        }
+    }
+    return result;
+}
+
+module.exports = {
+    PROVENANCE_RULES,
+    checkProvenance
+};
@@ -0,0 +1,502 @@
+/**
+ * registry.js
+ *
+ * Shared library for working with contracts.json. Every script in this
+ * repository (validate.js, verify-contracts.js, unified-validator.js and
+ * build-site.js) builds on this module so that schema and ordering rules
+ * only live in one place.
+ *
+ * The lookup helpers (deploymentOn, byCodeId, byHash, ...) live in
+ * lib/lookup.js so the npm package can use them without fs, and are
+ * re-exported here.
+ *
+ * The module is CommonJS with a static export list, so it can be loaded
+ * with either `require('./lib/registry')` or
+ * `import { loadRegistry } from './lib/registry.js'`.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const zlib = require('zlib');
+const { validate, escapePointerToken } = require('./json-schema');
+const { createIssue, attachLocations } = require('./issues');
+const jsonSource = require('./json-source');
+const { loadNetworks } = require('./networks');
+const { stringifyRegistry } = require('./format');
+const { checkWasmSummary } = require('./wasm');
+const {
+    MAINNET_CHAIN_ID,
+    deploymentOn,
+    mainnetDeployment,
+    deploymentsOf,
+    otherDeployments,
+    instancesOf,
+    normalizeHash,
+    byCodeId,
+    byMainnetCodeId,
+    byHash
+} = require('./lookup');
+
+const REPO_ROOT = path.join(__dirname, '..', '..');
+const REGISTRY_PATH = path.join(REPO_ROOT, 'contracts.json');
+const SCHEMA_PATH = path.join(REPO_ROOT, 'contracts.schema.json');
+
+// Validated here; lookup.js reads the same file without fs for the npm package
+const networks = loadNetworks();
+
+/**
+ * @typedef {Object} Deployment
+ * @property {string} code_id        Numeric code ID as a string
+ * @property {string} hash           64 hex character checksum
+ * @property {string} [governance]   'Genesis' or a proposal ID (required on mainnet)
+ * @property {string} [deployed_by]  Deployer address (required off mainnet)
+ * @property {string} [deployed_at]  ISO 8601 timestamp with milliseconds (required off mainnet)
+ * @property {Instance[]} [instances] Canonical contracts instantiated from this code
+ */
+
+/**
+ * @typedef {Object} Instance
+ * @property {string} address            Contract address
+ * @property {string} label              Label given at instantiation
+ * @property {string} [admin]            Admin address, when the contract has one
+ * @property {string} [instantiated_at]  ISO 8601 timestamp with milliseconds
+ * @property {string} [init_msg_hash]    SHA256 of the instantiate message JSON
+ */
+
+/**
+ * @typedef {Object} Contract
+ * @property {string} name
+ * @property {string} description
+ * @property {{ url: string, version: string }} release
+ * @property {{ name: string, url: string }} author
+ * @property {boolean} deprecated
+ * @property {Object<string, Deployment>} [deployments]  Keyed by chain ID
+ */
+
+// contracts.schema.json is the single source of truth for entry structure
+const registrySchema = require('../../contracts.schema.json');
+const contractSchema = registrySchema.$defs.Contract;
+const deploymentSchema = registrySchema.$defs.Deployment;
+
+/**
+ * Validate `data` against contracts.schema.json, or one of its subschemas.
+ * @returns {{ instancePath: string, keyword: string, message: string }[]} Every schema error found
+ */
+function validateJson(data, schema = registrySchema) {
+    return validate(data, schema, registrySchema);
+}
+
+// JSON pointer to a deployment, e.g. '/42/deployments/xion-mainnet-1'
+function deploymentPointer(index, chainId) {
+    return `/${index}/deployments/${escapePointerToken(chainId)}`;
+}
+
+function mainnetCodeIdOf(contract) {
+    const deployment = mainnetDeployment(contract);
+    return deployment && deployment.code_id;
+}
+
+/**
+ * Check the registry-wide rules that a per-entry schema can't express:
+ * unique mainnet code IDs, ascending code_id order, and entries without a
+ * mainnet deployment placed after every mainnet entry.
+ * @returns {Object[]} Issues (see lib/issues.js)
+ */
+function checkOrdering(contracts) {
+    const issues = [];
+
+    // Check for duplicate code IDs
+    const codeIds = new Map();
+    contracts.forEach((contract, index) => {
+        const codeId = mainnetCodeIdOf(contract);
+        if (codeId && codeIds.has(codeId)) {
+            issues.push(createIssue(`${deploymentPointer(index, MAINNET_CHAIN_ID)}/code_id`, 'order/duplicate-code-id',
+                `Duplicate code_id ${codeId} found (also used by entry ${codeIds.get(codeId)})`));
+        }
+        if (codeId && !codeIds.has(codeId)) codeIds.set(codeId, index);
+    });
+
+    // Contracts without mainnet should come after contracts with mainnet
+    let foundContractWithoutMainnet = false;
+    for (let i = 0; i < contracts.length; i++) {
+        const hasMainnet = mainnetCodeIdOf(contracts[i]);
+        const name = contracts[i] && contracts[i].name;
+
+        // If we've already seen a contract without mainnet, all subsequent contracts should also be without mainnet
+        if (foundContractWithoutMainnet && hasMainnet) {
+            issues.push(createIssue(`/${i}`, 'order/mainnet-first',
+                `Contracts not in correct order: ${name} has mainnet but comes after a contract without mainnet. Contracts without mainnet should be placed at the end.`));
+        }
+
+        if (!hasMainnet) {
+            foundContractWithoutMainnet = true;
+        }
+
+        // Check code_id ordering for contracts with mainnet
+        // Note: This validation ensures contracts are in ascending order by code_id, but does not
+        // require consecutive code_ids. Gaps in the sequence are acceptable as:
+        // 1. Code IDs are assigned by the blockchain and may not be consecutive
+        // 2. The registry may not include all contracts deployed on the chain
+        // 3. We only validate that listed contracts are properly ordered
+        if (i > 0 && mainnetCodeIdOf(contracts[i-1]) && hasMainnet) {
+            const prevCodeId = parseInt(mainnetCodeIdOf(contracts[i-1]));
+            const currentCodeId = parseInt(hasMainnet);
+            if (currentCodeId < prevCodeId) {
+                issues.push(createIssue(`${deploymentPointer(i, MAINNET_CHAIN_ID)}/code_id`, 'order/code-id-ascending',
+                    `Contracts not in code_id order: ${contracts[i-1].name} (${prevCodeId}) comes before ${name} (${currentCodeId})`));
+            }
+        }
+    }
+
+    return issues;
+}
+
+/**
+ * Check the per-chain rules of each deployment: mainnet needs `governance`,
+ * other chains need `deployed_by`/`deployed_at`, deployer and instance
+ * addresses use the chain's bech32 prefix, an instance address is listed
+ * only once per chain, and chains missing from networks.json can't be
+ * verified. Also flags the pre-`deployments` mainnet/testnet blocks.
+ * @returns {Object[]} Issues (see lib/issues.js)
+ */
+function checkDeployments(contracts) {
+    const issues = [];
+    const prefixes = new Map(Object.values(networks).map(network => [network.chain_id, network.bech32_prefix]));
+    const seenInstances = new Map(); // `${chainId} ${address}` -> pointer of the first listing
+
+    contracts.forEach((contract, index) => {
+        if (!contract || typeof contract !== 'object') return;
+
+        ['mainnet', 'testnet'].forEach(legacyKey => {
+            if (legacyKey in contract) {
+                issues.push(createIssue(`/${index}`, 'deployments/legacy-block',
+                    `has a "${legacyKey}" block; deployments are now keyed by chain ID under "deployments" (run \`node scripts/registry.js migrate\`)`,
+                    'error', { additionalProperty: legacyKey }));
+            }
+        });
+
+        deploymentsOf(contract).forEach(([chainId, deployment]) => {
+            const pointer = deploymentPointer(index, chainId);
+            if (chainId === MAINNET_CHAIN_ID) {
+                if (!('governance' in deployment)) {
+                    issues.push(createIssue(pointer, 'deployments/governance-required',
+                        `mainnet deployment is missing governance ('Genesis' or a proposal ID)`));
+                }
+            } else {
+                ['deployed_by', 'deployed_at'].forEach(field => {
+                    if (!(field in deployment)) {
+                        issues.push(createIssue(pointer, 'deployments/deployer-required',
+                            `${chainId} deployment is missing ${field}`));
+                    }
+                });
+            }
+
+            if (!prefixes.has(chainId)) {
+                issues.push(createIssue(pointer, 'deployments/unknown-network',
+                    `chain ${chainId} is not in networks.json, so this deployment can't be verified`, 'warning'));
+            } else if (typeof deployment.deployed_by === 'string' &&
+                !deployment.deployed_by.startsWith(`${prefixes.get(chainId)}1`)) {
+                issues.push(createIssue(`${pointer}/deployed_by`, 'deployments/deployer-prefix',
+                    `must be a ${prefixes.get(chainId)}1... address on ${chainId}`));
+            }
+
+            instancesOf(deployment).forEach((instance, instanceIndex) => {
+                if (!instance || typeof instance !== 'object') return;
+                const instancePath = `${pointer}/instances/${instanceIndex}`;
+                ['address', 'admin'].forEach(field => {
+                    if (prefixes.has(chainId) && typeof instance[field] === 'string' &&
+                        !instance[field].startsWith(`${prefixes.get(chainId)}1`)) {
+                        issues.push(createIssue(`${instancePath}/${field}`, 'deployments/address-prefix',
+                            `must be a ${prefixes.get(chainId)}1... address on ${chainId}`));
+                    }
+                });
+
+                const key = `${chainId} ${instance.address}`;
+                if (typeof instance.address !== 'string') return;
+                if (seenInstances.has(key)) {
+                    issues.push(createIssue(`${instancePath}/address`, 'deployments/duplicate-instance',
+                        `${instance.address} is already listed at ${seenInstances.get(key)}`));
+                } else {
+                    seenInstances.set(key, instancePath);
+                }
+            });
+        });
+    });
+    return issues;
+}
+
+/**
+ * Hashes may be written in either case, but chain data and the verifiers
+ * use uppercase, so lowercase hex is reported as a warning.
+ */
+function checkHashCase(contracts) {
+    const issues = [];
+    contracts.forEach((contract, index) => {
+        deploymentsOf(contract).forEach(([chainId, deployment]) => {
+            const hash = deployment.hash;
+            if (typeof hash === 'string' && /^[a-fA-F0-9]{64}$/.test(hash) && hash !== hash.toUpperCase()) {
+                issues.push(createIssue(`${deploymentPointer(index, chainId)}/hash`, 'style/hash-uppercase',
+                    'should be uppercase hex', 'warning'));
+            }
+        });
+    });
+    return issues;
+}
+
+/**
+ * Recorded wasm summaries (see lib/wasm.js) that contradict their entry,
+ * e.g. an entry about IBC whose code has no IBC entry points.
+ */
+function checkWasmSummaries(contracts) {
+    const issues = [];
+    contracts.forEach((contract, index) => {
+        deploymentsOf(contract).forEach(([chainId, deployment]) => {
+            const wasm = deployment.wasm;
+            if (!wasm || typeof wasm !== 'object' || Array.isArray(wasm)) return;
+            checkWasmSummary(contract, wasm).forEach(({ rule, message }) => {
+                issues.push(createIssue(`${deploymentPointer(index, chainId)}/wasm`, rule, message, 'warning'));
+            });
+        });
+    });
+    return issues;
+}
+
+/**
+ * A `build` must name what was built: a tag, a commit or both. The schema
+ * can only say this with an anyOf, whose message doesn't help.
+ */
+function checkBuilds(contracts) {
+    const issues = [];
+    contracts.forEach((contract, index) => {
+        const build = contract && typeof contract === 'object' ? contract.build : undefined;
+        if (build && typeof build === 'object' && !Array.isArray(build) && !('tag' in build) && !('commit' in build)) {
+            issues.push(createIssue(`/${index}/build`, 'build/ref-required',
+                'needs the git tag or commit that was built'));
+        }
+    });
+    return issues;
+}
+
+/**
+ * Validate a parsed registry against the schema and ordering rules.
+ * Walks the whole registry instead of stopping at the first problem.
+ * @returns {Object[]} Every issue found (see lib/issues.js); empty when valid
+ */
+function validateRegistry(contracts) {
+    const issues = validateJson(contracts)
+        // Legacy mainnet/testnet blocks get a more helpful deployments/legacy-block issue
+        .filter(error => !(error.keyword === 'additionalProperties' &&
+            ['mainnet', 'testnet'].includes(error.params.additionalProperty) &&
+            /^\/\d+$/.test(error.instancePath)))
+        .map(error => createIssue(error.instancePath, `schema/${error.keyword}`, error.message, 'error', error.params));
+    if (Array.isArray(contracts)) {
+        issues.push(...checkOrdering(contracts), ...checkDeployments(contracts), ...checkBuilds(contracts),
+            ...checkWasmSummaries(contracts), ...checkHashCase(contracts));
+    }
+    return issues;
+}
+
+/**
+ * Read and parse contracts.json.
+ * @param {Object} [options]
+ * @param {string} [options.path]  Path to the registry file (default: repo contracts.json)
+ * @param {boolean} [options.sort] Return entries sorted by mainnet code_id
+ * @returns {Contract[]}
+ */
+function loadRegistry(options = {}) {
+    const registryPath = options.path || REGISTRY_PATH;
+    const contracts = JSON.parse(fs.readFileSync(registryPath, 'utf8'));
+    return options.sort ? sortContracts(contracts) : contracts;
+}
+
+/**
+ * Write contracts.json in its canonical layout (see lib/format.js). Entries
+ * are written in the order given.
+ */
+function writeRegistry(contracts, options = {}) {
+    fs.writeFileSync(options.path || REGISTRY_PATH, stringifyRegistry(contracts));
+}
+
+/**
+ * Read contracts.json with the position-tracking parser, so issues can be
+ * mapped back to a line and column.
+ * @returns {{ contracts: Contract[], source: Object, file: string }}
+ * @throws {JsonSyntaxError} When the file isn't valid JSON
+ */
+function loadRegistrySource(options = {}) {
+    const registryPath = options.path || REGISTRY_PATH;
+    const text = fs.readFileSync(registryPath, 'utf8');
+    const file = path.relative(REPO_ROOT, registryPath);
+    const source = jsonSource.parse(text);
+    return { contracts: source.value, source, file };
+}
+
+/**
+ * Load and validate contracts.json in one step. Every issue carries a
+ * `location` (file, line, column, excerpt). A JSON syntax error is reported
+ * as a single issue instead of being thrown.
+ * @returns {{ contracts: Contract[]|null, issues: Object[], file: string }}
+ */
+function validateRegistryFile(options = {}) {
+    const registryPath = options.path || REGISTRY_PATH;
+    const file = path.relative(REPO_ROOT, registryPath);
+    let loaded;
+    try {
+        loaded = loadRegistrySource({ path: registryPath });
+    } catch (error) {
+        if (!(error instanceof jsonSource.JsonSyntaxError)) throw error;
+        const position = { line: error.line, column: error.column };
+        const text = fs.readFileSync(registryPath, 'utf8');
+        const issue = createIssue('', 'syntax', error.reason);
+        issue.location = { file, ...position, excerpt: jsonSource.excerpt({ text }, position) };
+        return { contracts: null, issues: [issue], file };
+    }
+    const issues = attachLocations(validateRegistry(loaded.contracts), loaded.source, file);
+    return { contracts: loaded.contracts, issues, file };
+}
+
+/**
+ * Convert an entry from the old format, with a single `mainnet` block and a
+ * single `testnet` block (chain ID in `testnet.network`), to `deployments`
+ * keyed by chain ID. Entries already using `deployments` are returned as is.
+ * @returns {Contract}
+ */
+function migrateLegacyContract(contract, mainnetChainId = MAINNET_CHAIN_ID) {
+    if (!('mainnet' in contract) && !('testnet' in contract)) {
+        return contract;
+    }
+    const { mainnet, testnet, ...rest } = contract;
+    const deployments = { ...(rest.deployments || {}) };
+    if (mainnet) {
+        deployments[mainnetChainId] = mainnet;
+    }
+    if (testnet) {
+        const { network, ...deployment } = testnet;
+        if (!network) {
+            throw new Error(`${contract.name}: testnet block has no network (chain ID)`);
+        }
+        deployments[network] = deployment;
+    }
+    const migrated = { ...rest };
+    delete migrated.deployments;
+    if (Object.keys(deployments).length > 0) {
+        migrated.deployments = deployments;
+    }
+    return migrated;
+}
+
+/**
+ * Sort contracts by mainnet code_id (numeric sort).
+ * Contracts without mainnet go to the end, keeping their relative order.
+ */
+function sortContracts(contracts) {
+    return [...contracts].sort((a, b) => {
+        const aCodeId = mainnetCodeIdOf(a) ? parseInt(mainnetCodeIdOf(a)) : Infinity;
+        const bCodeId = mainnetCodeIdOf(b) ? parseInt(mainnetCodeIdOf(b)) : Infinity;
+        if (aCodeId === bCodeId) return 0;
+        return aCodeId - bCodeId;
+    });
+}
+
+/**
+ * Calculate the SHA256 checksum of base64 wasm byte code, as stored on chain.
+ * Gzipped payloads (as submitted in MsgStoreCode) are unzipped first.
+ * @returns {string|null} Uppercase hex hash, or null if the input can't be decoded
+ */
+function computeWasmHash(base64WasmCode) {
+    try {
+        const wasmBuffer = Buffer.from(base64WasmCode, 'base64');
+        let bytes = wasmBuffer;
+
+        // Try to gunzip the buffer; if that fails assume it's plain wasm
+        try {
+            bytes = zlib.gunzipSync(wasmBuffer);
+        } catch (gzipError) {
+            bytes = wasmBuffer;
+        }
+
+        return crypto.createHash('sha256')
+            .update(bytes)
+            .digest('hex')
+            .toUpperCase();
+    } catch (error) {
+        return null;
+    }
+}
+
+// Helper function to get human readable status
+function getStatusString(status) {
+    const statusMap = {
+        'PROPOSAL_STATUS_UNSPECIFIED': 'Unspecified',
+        'PROPOSAL_STATUS_DEPOSIT_PERIOD': 'Deposit Period',
+        'PROPOSAL_STATUS_VOTING_PERIOD': 'Voting Period',
+        'PROPOSAL_STATUS_PASSED': 'Passed',
+        'PROPOSAL_STATUS_REJECTED': 'Rejected',
+        'PROPOSAL_STATUS_FAILED': 'Failed'
+    };
+    return statusMap[status] || status;
+}
+
+/**
+ * JSON pointer to the deployment on `chainId` of the entry with the given
+ * code ID, e.g. '/42/deployments/xion-mainnet-1', or null when no entry has
+ * that code ID.
+ */
+function pointerForCodeId(contracts, chainId, codeId) {
+    const index = contracts.findIndex(contract => {
+        const deployment = deploymentOn(contract, chainId);
+        return deployment && `${deployment.code_id}` === `${codeId}`;
+    });
+    return index === -1 ? null : deploymentPointer(index, chainId);
+}
+
+/**
+ * JSON pointer to the instance on `chainId` with the given address, e.g.
+ * '/42/deployments/xion-mainnet-1/instances/0', or null when it isn't listed.
+ */
+function pointerForInstance(contracts, chainId, address) {
+    for (let index = 0; index < contracts.length; index++) {
+        const instanceIndex = instancesOf(deploymentOn(contracts[index], chainId))
+            .findIndex(instance => instance && instance.address === address);
+        if (instanceIndex !== -1) {
+            return `${deploymentPointer(index, chainId)}/instances/${instanceIndex}`;
+        }
+    }
+    return null;
+}
+
+module.exports = {
+    REPO_ROOT,
+    REGISTRY_PATH,
+    SCHEMA_PATH,
+    MAINNET_CHAIN_ID,
+    deploymentSchema,
+    contractSchema,
+    registrySchema,
+    validateJson,
+    deploymentOn,
+    mainnetDeployment,
+    deploymentsOf,
+    otherDeployments,
+    deploymentPointer,
+    instancesOf,
+    checkOrdering,
+    checkDeployments,
+    checkHashCase,
+    validateRegistry,
+    loadRegistry,
+    writeRegistry,
+    loadRegistrySource,
+    validateRegistryFile,
+    migrateLegacyContract,
+    sortContracts,
+    normalizeHash,
+    computeWasmHash,
+    getStatusString,
+    byCodeId,
+    byMainnetCodeId,
+    byHash,
+    pointerForCodeId,
+    pointerForInstance
+};
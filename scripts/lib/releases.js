@@ -0,0 +1,218 @@
+/**
+ * releases.js
+ *
+ * Checks that the wasm published with an entry's `release` is the code
+ * registered for its deployments. Artifacts are read from a local
+ * directory, either a flat folder of downloaded files or a release
+ * artifact cache laid out by release:
+ *
+ *   DIR/<owner>/<repo>/<version>/cw721_base.wasm
+ *   DIR/some_download.wasm.gz
+ *
+ * where <owner>/<repo> is the GitHub repository of `release.url` and
+ * <version> is `release.version`. Files in the cache layout count only for
+ * their own release; flat files count for any entry.
+ *
+ * An entry is judged by its deployment on one chain, mainnet by default:
+ * testnet code is often built differently (other features, a debug build),
+ * so its hash not matching the release is reported but isn't a failure.
+ *
+ * Entries with a `build` can also be checked against the checksums.txt the
+ * CosmWasm optimizer writes next to its artifacts (`<sha256>  <file>` per
+ * line), without the wasm itself.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { MAINNET_CHAIN_ID, deploymentOn, deploymentsOf, normalizeHash } = require('./registry');
+const { createHashPool } = require('./hash-pool');
+
+const ARTIFACT_PATTERN = /\.wasm(\.gz)?$/i;
+
+/**
+ * @typedef {Object} Artifact
+ * @property {string} file            Path relative to the artifact directory
+ * @property {string|null} release    Release key (see releaseKey) from the cache layout, null for flat files
+ * @property {string|null} hash       Uppercase hex hash, null if the file couldn't be decoded
+ */
+
+/**
+ * @typedef {Object} ReleaseCheck
+ * @property {string} name
+ * @property {string|null} release    The entry's release key
+ * @property {string} chainId         Chain of the deployment the entry is judged by
+ * @property {string} hash            That deployment's hash
+ * @property {'reproducible'|'mismatch'|'other-release'|'missing'} status
+ *           reproducible: the hash matches an artifact of the release;
+ *           mismatch: the release has artifacts, but not this code;
+ *           other-release: the code is only among another release's artifacts;
+ *           missing: no artifacts for the release
+ * @property {Object<string, string|null>} deployments
+ *           Artifact matching each deployment's hash by chain ID, or null
+ * @property {string[]} [otherReleases]  Releases whose artifacts have the code, for 'other-release'
+ * @property {string} issue           Human readable description
+ */
+
+/**
+ * @typedef {Object} BuildCheck
+ * @property {string} name
+ * @property {Object} build           The entry's `build`
+ * @property {string} chainId         Chain of the deployment compared
+ * @property {string} hash            That deployment's hash
+ * @property {'verified'|'mismatch'|'not-listed'} status
+ *           verified: the artifact's checksum is the deployment's hash;
+ *           mismatch: it differs;
+ *           not-listed: checksums.txt has no line for the artifact
+ * @property {string|null} checksum   The artifact's checksum, uppercase
+ * @property {string} issue           Human readable description
+ */
+
+/**
+ * `owner/repo@version` for a release, lowercased, or null when its URL
+ * isn't a GitHub repository link.
+ * @param {{ url?: string, version?: string }} release
+ */
+function releaseKey(release) {
+    const match = release && /^https:\/\/github\.com\/([^/]+)\/([^/#?]+)/i.exec(release.url || '');
+    return match && release.version ? `${match[1]}/${match[2]}@${release.version}`.toLowerCase() : null;
+}
+
+// Every artifact below `dir`, sorted, with its release from the cache layout
+function findArtifacts(dir) {
+    const artifacts = [];
+    const walk = relative => {
+        fs.readdirSync(path.join(dir, relative), { withFileTypes: true }).forEach(dirent => {
+            const file = path.join(relative, dirent.name);
+            if (dirent.isDirectory()) {
+                walk(file);
+            } else if (dirent.isFile() && ARTIFACT_PATTERN.test(dirent.name)) {
+                const segments = file.split(path.sep);
+                const release = segments.length >= 4
+                    ? `${segments[0]}/${segments[1]}@${segments[2]}`.toLowerCase()
+                    : null;
+                artifacts.push({ file: segments.join('/'), release });
+            }
+        });
+    };
+    walk('');
+    return artifacts.sort((a, b) => a.file.localeCompare(b.file));
+}
+
+/**
+ * Find and hash the artifacts in a directory, the same way code stored on
+ * chain is hashed (gzipped files are unzipped first).
+ * @param {string} dir
+ * @param {Object} [options]
+ * @param {number} [options.workers]  Hashing threads, see lib/hash-pool.js
+ * @returns {Promise<Artifact[]>}
+ */
+async function hashArtifacts(dir, { workers } = {}) {
+    const artifacts = findArtifacts(dir);
+    const pool = createHashPool(workers);
+    try {
+        return await Promise.all(artifacts.map(async artifact => ({
+            ...artifact,
+            hash: await pool.hash(fs.readFileSync(path.join(dir, artifact.file)).toString('base64'))
+        })));
+    } finally {
+        await pool.close();
+    }
+}
+
+/**
+ * Match every entry with a release and a deployment on `chainId` against
+ * the artifacts.
+ * @param {Object[]} contracts   Registry entries
+ * @param {Artifact[]} artifacts
+ * @param {Object} [options]
+ * @param {string} [options.chainId]  Chain whose deployment decides the status (default: mainnet)
+ * @returns {ReleaseCheck[]}
+ */
+function checkReleases(contracts, artifacts, { chainId = MAINNET_CHAIN_ID } = {}) {
+    return contracts.filter(contract => contract && contract.release && deploymentOn(contract, chainId)).map(contract => {
+        const release = releaseKey(contract.release);
+        const ownArtifacts = artifacts.filter(artifact => artifact.release === null || artifact.release === release);
+        const deployments = {};
+        deploymentsOf(contract).forEach(([deploymentChainId, deployment]) => {
+            const match = ownArtifacts.find(artifact => artifact.hash === normalizeHash(deployment.hash));
+            deployments[deploymentChainId] = match ? match.file : null;
+        });
+        const hash = normalizeHash(deploymentOn(contract, chainId).hash);
+        const result = { name: contract.name, release, chainId, hash, deployments };
+
+        if (deployments[chainId]) {
+            return { ...result, status: 'reproducible', issue: `Matches ${deployments[chainId]}` };
+        }
+        const otherReleases = [...new Set(artifacts
+            .filter(artifact => artifact.release !== null && artifact.release !== release && artifact.hash === hash)
+            .map(artifact => artifact.release))];
+        if (otherReleases.length > 0) {
+            return { ...result, status: 'other-release', otherReleases, issue: `Code is published in ${otherReleases.join(', ')}, not ${release || contract.release.url}` };
+        }
+        if (artifacts.some(artifact => artifact.release !== null && artifact.release === release)) {
+            return { ...result, status: 'mismatch', issue: `No artifact of ${release} hashes to ${hash}` };
+        }
+        return { ...result, status: 'missing', issue: `No artifacts for ${release || contract.release.url}` };
+    });
+}
+
+/**
+ * Parse an optimizer checksums.txt (sha256sum output).
+ * @param {string} text
+ * @returns {Map<string, string>} Uppercase checksum by artifact file name
+ */
+function parseChecksums(text) {
+    const checksums = new Map();
+    text.split(/\r?\n/).forEach(line => {
+        const match = /^([a-fA-F0-9]{64})\s+\*?(.+?)\s*$/.exec(line);
+        if (match) {
+            checksums.set(path.posix.basename(match[2].replace(/\\/g, '/')), match[1].toUpperCase());
+        }
+    });
+    return checksums;
+}
+
+/**
+ * Compare the checksum of each entry's `build.artifact` to the hash of its
+ * deployment on one chain. Only entries deployed there whose build matches
+ * every filter given are checked, since artifact names repeat across
+ * releases.
+ * @param {Object[]} contracts               Registry entries
+ * @param {Map<string, string>} checksums    From parseChecksums
+ * @param {Object} [filter]
+ * @param {string} [filter.chainId]         Chain of the deployment to compare (default: mainnet)
+ * @param {string} [filter.repository]      Build repository URL
+ * @param {string} [filter.tag]
+ * @param {string} [filter.commit]          Full SHA or a prefix of it
+ * @returns {BuildCheck[]}
+ */
+function checkBuildChecksums(contracts, checksums, { chainId = MAINNET_CHAIN_ID, repository, tag, commit } = {}) {
+    const sameRepository = (a, b) => a.replace(/(\.git)?\/*$/, '').toLowerCase() === b.replace(/(\.git)?\/*$/, '').toLowerCase();
+    return contracts
+        .filter(contract => contract && contract.build && typeof contract.build.artifact === 'string' && deploymentOn(contract, chainId))
+        .filter(({ build }) => (!repository || (typeof build.repository === 'string' && sameRepository(build.repository, repository))) &&
+            (!tag || build.tag === tag) &&
+            (!commit || (typeof build.commit === 'string' && build.commit.startsWith(commit.toLowerCase()))))
+        .map(contract => {
+            const { build } = contract;
+            const checksum = checksums.get(build.artifact) || null;
+            const hash = normalizeHash(deploymentOn(contract, chainId).hash);
+            const result = { name: contract.name, build, chainId, hash, checksum };
+            if (!checksum) {
+                return { ...result, status: 'not-listed', issue: `${build.artifact} is not in checksums.txt` };
+            }
+            if (hash !== checksum) {
+                return { ...result, status: 'mismatch', issue: `${build.artifact} has checksum ${checksum}, but ${chainId} has ${hash}` };
+            }
+            return { ...result, status: 'verified', issue: `${build.artifact} matches ${checksum}` };
+        });
+}
+
+module.exports = {
+    releaseKey,
+    findArtifacts,
+    hashArtifacts,
+    checkReleases,
+    parseChecksums,
+    checkBuildChecksums
+};
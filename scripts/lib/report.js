@@ -0,0 +1,150 @@
+/**
+ * report.js
+ *
+ * Machine-readable reports for unified-validator.js:
+ *
+ *   - buildJsonReport()  the validator's results in a stable, versioned shape
+ *   - buildSarifReport() SARIF 2.1.0 for GitHub code scanning and other
+ *                        dashboards that ingest static analysis results
+ *
+ * Bump JSON_REPORT_VERSION whenever a field is removed, renamed or changes
+ * meaning; adding fields is backwards compatible and doesn't need a bump.
+ */
+
+const { version: PACKAGE_VERSION } = require('../../package.json');
+const { countBySeverity } = require('./issues');
+
+// 2: entries moved from `mainnet`/`testnet` blocks to `deployments` keyed by
+//    chain ID, so issue paths read /N/deployments/<chainId>/hash instead of
+//    /N/mainnet/hash, summary.totalTestnetContracts counts every non-primary
+//    chain (split up in summary.testnetContractsByChain) and testnet issues
+//    name their chainId
+const JSON_REPORT_VERSION = 2;
+const TOOL_NAME = 'xion-unified-validator';
+const INFORMATION_URI = 'https://github.com/burnt-labs/deployed-contract-listings';
+const SARIF_SCHEMA = 'https://json.schemastore.org/sarif-2.1.0.json';
+
+// Short descriptions for rule ids that aren't derived from a schema keyword
+const RULE_DESCRIPTIONS = {
+    'syntax': 'contracts.json must be valid JSON',
+    'order/duplicate-code-id': 'Mainnet code IDs must be unique',
+    'order/mainnet-first': 'Entries without mainnet must come after all mainnet entries',
+    'order/code-id-ascending': 'Mainnet entries must be sorted by ascending code ID',
+    'style/hash-uppercase': 'Hashes should be uppercase',
+    'deployments/legacy-block': 'Deployments must be keyed by chain ID under "deployments"',
+    'deployments/governance-required': 'Mainnet deployments must record their governance origin',
+    'deployments/deployer-required': 'Non-mainnet deployments must record who deployed them and when',
+    'deployments/deployer-prefix': 'Deployer addresses must use the chain\'s bech32 prefix',
+    'deployments/unknown-network': 'Deployment chain IDs should be listed in networks.json',
+    'deployments/address-prefix': 'Instance and admin addresses must use the chain\'s bech32 prefix',
+    'deployments/duplicate-instance': 'An instance address must be listed only once per chain',
+    'build/ref-required': 'A build must name the git tag or commit that was built',
+    'wasm/no-instantiate': 'Contract code should export an instantiate entry point',
+    'wasm/ibc-without-entry-points': 'Entries described as IBC-capable should have code with IBC entry points',
+    'chain/hash-mismatch': 'Registry hash must match the on-chain code hash',
+    'chain/missing-from-chain': 'Registry code ID must exist on chain',
+    'chain/missing-from-json': 'On-chain code should be listed in the registry',
+    'chain/deprecated-on-chain': 'Deprecated contract still exists on chain',
+    'chain/instance-missing': 'Listed contract instances must exist on chain',
+    'chain/instance-code-id-mismatch': 'Listed contract instances must run the code ID of their deployment',
+    'governance/genesis-with-proposal': 'Code marked as Genesis was uploaded via a governance proposal',
+    'governance/unknown-proposal': 'The governance proposal an entry names must exist',
+    'governance/proposal-not-passed': 'The governance proposal an entry names must have passed',
+    'governance/wrong-proposal': 'The governance proposal an entry names must be the one that stored its code',
+    'governance/wasm-mismatch': 'The code stored by an entry\'s governance proposal must match its hash',
+    'cw2/version-mismatch': 'The cw2 version listed instances report should match release.version',
+    'cw2/name-mismatch': 'The cw2 contract name listed instances report should match the entry',
+    'migration/unregistered-code': 'Watched contracts must run code listed in contracts.json',
+    'migration/different-entry': 'Watched contracts should run the code of the entry they are expected to be',
+    'testnet/mismatch': 'Non-mainnet deployments must exist on their chain with a matching hash'
+};
+
+function describeRule(rule) {
+    if (RULE_DESCRIPTIONS[rule]) return RULE_DESCRIPTIONS[rule];
+    if (rule.startsWith('schema/')) return `contracts.json must satisfy the schema (${rule.slice('schema/'.length)})`;
+    return rule;
+}
+
+/**
+ * @param {Object} results  UnifiedValidator#results
+ * @param {Object} options
+ * @param {boolean} options.success     Overall outcome (also the exit code)
+ * @param {Object[]} options.issues     Every issue found, see lib/issues.js
+ * @param {string[]} options.checks     Checks that ran: 'json' and/or 'chain'
+ */
+function buildJsonReport(results, { success, issues, checks }) {
+    return {
+        version: JSON_REPORT_VERSION,
+        tool: { name: TOOL_NAME, version: PACKAGE_VERSION },
+        generatedAt: new Date().toISOString(),
+        checks,
+        success,
+        counts: countBySeverity(issues),
+        jsonValidation: {
+            valid: results.jsonValidation.valid,
+            errors: results.jsonValidation.errors,
+            issues: results.jsonValidation.issues
+        },
+        onChainVerification: {
+            success: results.onChainVerification.success,
+            discrepancies: results.onChainVerification.discrepancies
+        },
+        summary: results.summary,
+        recommendations: results.recommendations,
+        issues
+    };
+}
+
+function sarifResult(issue, defaultFile) {
+    const physicalLocation = {
+        artifactLocation: { uri: issue.location ? issue.location.file : defaultFile }
+    };
+    if (issue.location) {
+        physicalLocation.region = {
+            startLine: issue.location.line,
+            startColumn: issue.location.column
+        };
+    }
+    const result = {
+        ruleId: issue.rule,
+        level: issue.severity === 'error' ? 'error' : 'warning',
+        message: { text: issue.path ? `${issue.path} ${issue.message}` : issue.message },
+        locations: [{ physicalLocation }]
+    };
+    if (issue.path) {
+        result.properties = { path: issue.path };
+    }
+    return result;
+}
+
+/**
+ * @param {Object[]} issues       Every issue found, see lib/issues.js
+ * @param {string} defaultFile    Artifact for issues without a source location
+ */
+function buildSarifReport(issues, defaultFile = 'contracts.json') {
+    const ruleIds = [...new Set(issues.map(issue => issue.rule))].sort();
+    return {
+        $schema: SARIF_SCHEMA,
+        version: '2.1.0',
+        runs: [{
+            tool: {
+                driver: {
+                    name: TOOL_NAME,
+                    version: PACKAGE_VERSION,
+                    informationUri: INFORMATION_URI,
+                    rules: ruleIds.map(id => ({
+                        id,
+                        shortDescription: { text: describeRule(id) }
+                    }))
+                }
+            },
+            results: issues.map(issue => sarifResult(issue, defaultFile))
+        }]
+    };
+}
+
+module.exports = {
+    JSON_REPORT_VERSION,
+    buildJsonReport,
+    buildSarifReport
+};
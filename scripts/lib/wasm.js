@@ -0,0 +1,213 @@
+/**
+ * wasm.js
+ *
+ * Static inspection of CosmWasm contract code: reads the import and export
+ * sections of a wasm module (gzipped or not, as submitted in MsgStoreCode)
+ * without running it or pulling in a wasm runtime.
+ *
+ * A CosmWasm contract exports its entry points (instantiate, execute, ibc_*,
+ * ...) as functions, an empty `interface_version_N` function naming the VM
+ * interface it was built for, and an empty `requires_X` function for every
+ * capability it needs from the chain (iterator, stargate, cosmwasm_2_0, ...).
+ * It imports its host functions (db_read, addr_validate, ...) from `env`.
+ */
+
+const zlib = require('zlib');
+
+const WASM_MAGIC = Buffer.from([0x00, 0x61, 0x73, 0x6d]);
+const GZIP_MAGIC = Buffer.from([0x1f, 0x8b]);
+
+const SECTION_IMPORT = 2;
+const SECTION_EXPORT = 7;
+const KIND_FUNCTION = 0;
+const KIND_TABLE = 1;
+const KIND_MEMORY = 2;
+const KIND_GLOBAL = 3;
+
+// Entry points the VM calls, besides every ibc_* / ibc2_* export
+const ENTRY_POINTS = ['instantiate', 'execute', 'query', 'migrate', 'sudo', 'reply'];
+
+class WasmParseError extends Error {
+    constructor(message, offset) {
+        super(`${message} at byte ${offset}`);
+        this.name = 'WasmParseError';
+        this.reason = message;
+        this.offset = offset;
+    }
+}
+
+// Cursor over the module bytes
+function reader(bytes, start = 0, end = bytes.length) {
+    let offset = start;
+    const fail = message => {
+        throw new WasmParseError(message, offset);
+    };
+    const byte = () => {
+        if (offset >= end) fail('unexpected end of data');
+        return bytes[offset++];
+    };
+    const u32 = () => {
+        let result = 0;
+        for (let shift = 0; shift < 35; shift += 7) {
+            const b = byte();
+            result += (b & 0x7f) * 2 ** shift;
+            if ((b & 0x80) === 0) return result;
+        }
+        return fail('malformed LEB128 integer');
+    };
+    const name = () => {
+        const length = u32();
+        if (offset + length > end) fail('name runs past the end of its section');
+        const value = bytes.toString('utf8', offset, offset + length);
+        offset += length;
+        return value;
+    };
+    const limits = () => {
+        const flags = byte();
+        u32();
+        if (flags & 0x01) u32();
+    };
+    return {
+        byte,
+        u32,
+        name,
+        limits,
+        skip: length => {
+            if (offset + length > end) fail('section runs past the end of the module');
+            offset += length;
+        },
+        get offset() {
+            return offset;
+        },
+        fail
+    };
+}
+
+function parseImports(bytes, start, end) {
+    const r = reader(bytes, start, end);
+    const imports = [];
+    for (let count = r.u32(); count > 0; count--) {
+        const module = r.name();
+        const field = r.name();
+        const kind = r.byte();
+        if (kind === KIND_FUNCTION) {
+            r.u32();
+            imports.push(`${module}.${field}`);
+        } else if (kind === KIND_TABLE) {
+            r.byte();
+            r.limits();
+        } else if (kind === KIND_MEMORY) {
+            r.limits();
+        } else if (kind === KIND_GLOBAL) {
+            r.byte();
+            r.byte();
+        } else {
+            r.fail(`unknown import kind ${kind}`);
+        }
+    }
+    return imports;
+}
+
+function parseFunctionExports(bytes, start, end) {
+    const r = reader(bytes, start, end);
+    const exports = [];
+    for (let count = r.u32(); count > 0; count--) {
+        const field = r.name();
+        const kind = r.byte();
+        r.u32();
+        if (kind === KIND_FUNCTION) exports.push(field);
+    }
+    return exports;
+}
+
+/**
+ * Function imports and exports of a wasm module.
+ * @param {Buffer} bytes  Uncompressed module
+ * @returns {{ imports: string[], exports: string[] }}  Imports as `module.field`
+ * @throws {WasmParseError} When the bytes aren't a wasm module
+ */
+function parseModule(bytes) {
+    if (bytes.length < 8 || !bytes.subarray(0, 4).equals(WASM_MAGIC)) {
+        throw new WasmParseError('not a wasm module (missing \\0asm header)', 0);
+    }
+    if (bytes.readUInt32LE(4) !== 1) {
+        throw new WasmParseError(`unsupported wasm version ${bytes.readUInt32LE(4)}`, 4);
+    }
+    const r = reader(bytes, 8);
+    let imports = [];
+    let exports = [];
+    while (r.offset < bytes.length) {
+        const id = r.byte();
+        const size = r.u32();
+        const start = r.offset;
+        r.skip(size);
+        if (id === SECTION_IMPORT) imports = parseImports(bytes, start, start + size);
+        if (id === SECTION_EXPORT) exports = parseFunctionExports(bytes, start, start + size);
+    }
+    return { imports, exports };
+}
+
+/**
+ * @typedef {Object} WasmSummary
+ * @property {number} size                     Uncompressed size in bytes
+ * @property {boolean} gzipped                 Whether the input was gzipped
+ * @property {string[]} entryPoints            Exported entry points, in module order
+ * @property {number|null} interfaceVersion    N of the interface_version_N export
+ * @property {string[]} capabilities           X of every requires_X export, sorted
+ * @property {string[]} imports                Imported host functions as `module.field`, sorted
+ */
+
+/**
+ * Inspect contract code.
+ * @param {Buffer|string} input  Module bytes, gzipped or not, or their base64 (as in MsgStoreCode)
+ * @returns {WasmSummary}
+ * @throws {WasmParseError}
+ */
+function inspectWasm(input) {
+    let bytes = Buffer.isBuffer(input) ? input : Buffer.from(input, 'base64');
+    const gzipped = bytes.subarray(0, 2).equals(GZIP_MAGIC);
+    if (gzipped) {
+        try {
+            bytes = zlib.gunzipSync(bytes);
+        } catch (error) {
+            throw new WasmParseError(`could not gunzip: ${error.message}`, 0);
+        }
+    }
+    const { imports, exports } = parseModule(bytes);
+    const version = exports.map(name => /^interface_version_(\d+)$/.exec(name)).find(Boolean);
+    return {
+        size: bytes.length,
+        gzipped,
+        entryPoints: exports.filter(name => ENTRY_POINTS.includes(name) || /^ibc2?_/.test(name)),
+        interfaceVersion: version ? Number(version[1]) : null,
+        capabilities: exports.filter(name => name.startsWith('requires_')).map(name => name.slice('requires_'.length)).sort(),
+        imports: [...imports].sort()
+    };
+}
+
+/**
+ * Contradictions between an entry and the entry points of its code.
+ * @param {Object} contract                  Registry entry
+ * @param {{ entry_points: string[] }} wasm  Recorded summary (see the schema's WasmSummary)
+ * @returns {{ rule: string, message: string }[]}
+ */
+function checkWasmSummary(contract, wasm) {
+    const problems = [];
+    const entryPoints = Array.isArray(wasm.entry_points) ? wasm.entry_points : [];
+    const text = `${contract.name || ''} ${contract.description || ''}`;
+    if (!entryPoints.includes('instantiate')) {
+        problems.push({ rule: 'wasm/no-instantiate', message: 'code has no instantiate entry point, so it can\'t be instantiated' });
+    }
+    if (/\bIBC\b/i.test(text) && !entryPoints.includes('ibc_channel_open')) {
+        problems.push({ rule: 'wasm/ibc-without-entry-points', message: 'entry mentions IBC, but its code has no ibc_channel_open entry point' });
+    }
+    return problems;
+}
+
+module.exports = {
+    WasmParseError,
+    ENTRY_POINTS,
+    parseModule,
+    inspectWasm,
+    checkWasmSummary
+};
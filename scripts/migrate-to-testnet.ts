@@ -5,21 +5,29 @@ const { GasPrice } = require("@cosmjs/stargate");
 const fs = require('fs');
 const axios = require('axios');
 const path = require('path');
-
-// Configuration
-const MAINNET_API = "https://api.xion-mainnet-1.burnt.com";
-const MAINNET_RPC = "https://rpc.xion-mainnet-1.burnt.com:443";
-const TESTNET_RPC = "https://rpc.xion-testnet-2.burnt.com:443";
+const { resolveNetwork } = require('./lib/networks');
+const { writeRegistry } = require('./lib/registry');
+
+// Configuration (endpoints from networks.json, overridable via XION_<NAME>_LCD / XION_<NAME>_RPC)
+const MAINNET = resolveNetwork('mainnet');
+const TESTNET = resolveNetwork('testnet');
+const MAINNET_API = MAINNET.lcd;
+const MAINNET_RPC = MAINNET.rpc;
+const TESTNET_RPC = TESTNET.rpc;
 const CONTRACTS_FILE = path.join(__dirname, '../contracts.json');
 
+// Keyed by chain ID, e.g. "xion-mainnet-1"
+interface Deployment {
+  code_id: string;
+  hash: string;
+  governance?: string;
+  deployed_by?: string;
+  deployed_at?: string;
+}
+
 interface ContractInfo {
   name: string;
   description: string;
-  mainnet?: {
-    code_id: string;
-    hash: string;
-    governance: string;
-  };
   release: {
     url: string;
     version: string;
@@ -29,13 +37,7 @@ interface ContractInfo {
     url: string;
   };
   deprecated: boolean;
-  testnet?: {
-    code_id: string;
-    hash: string;
-    network: string;
-    deployed_by: string;
-    deployed_at: string;
-  };
+  deployments?: Record<string, Deployment>;
 }
 
 async function downloadWasm(
@@ -80,7 +82,10 @@ async function main() {
 
   // Process only non-deprecated contracts that have mainnet but don't have testnet information
   const contractsToProcess = contractsData.filter(
-    (contract) => contract.mainnet && !contract.testnet && !contract.deprecated
+    (contract) =>
+      contract.deployments?.[MAINNET.chain_id] &&
+      !contract.deployments[TESTNET.chain_id] &&
+      !contract.deprecated
   );
   console.log(
     `Processing non-deprecated contracts with mainnet but without testnet deployments: ${contractsToProcess
@@ -100,7 +105,7 @@ async function main() {
   }
 
   const wallet = await DirectSecp256k1HdWallet.fromMnemonic(mnemonic, {
-    prefix: "xion",
+    prefix: TESTNET.bech32_prefix,
   });
   const [account] = await wallet.getAccounts();
 
@@ -120,7 +125,7 @@ async function main() {
   for (const contract of contractsToProcess) {
     try {
       console.log(`Processing contract: ${contract.name}`);
-      const codeId = parseInt(contract.mainnet.code_id);
+      const codeId = parseInt(contract.deployments![MAINNET.chain_id].code_id);
 
       console.log(`Downloading WASM for code ID: ${codeId}`);
       const wasmBinary = await downloadWasm(codeId, contract.name);
@@ -135,16 +140,15 @@ async function main() {
       );
 
       // Update contract with testnet information
-      contract.testnet = {
+      contract.deployments![TESTNET.chain_id] = {
         code_id: storeResult.codeId.toString(),
         hash: storeResult.transactionHash,
-        network: "xion-testnet-2",
         deployed_by: account.address,
         deployed_at: new Date().toISOString(),
       };
 
       // Save updated contracts
-      fs.writeFileSync(CONTRACTS_FILE, JSON.stringify(contractsData, null, 2));
+      writeRegistry(contractsData, { path: CONTRACTS_FILE });
 
       console.log(`Code stored on testnet with ID: ${storeResult.codeId}`);
       console.log(`Transaction hash: ${storeResult.transactionHash}`);
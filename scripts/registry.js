@@ -0,0 +1,564 @@
+#!/usr/bin/env node
+
+/**
+ * registry.js
+ *
+ * Maintenance commands for contracts.json.
+ *
+ * Usage:
+ *   node scripts/registry.js migrate [--dry-run] [--file=PATH]
+ *   node scripts/registry.js add --mainnet-code-id ID [--dry-run] [--file=PATH]
+ *                                [--lcd=URL] [--snapshot=DIR | --offline=DIR]
+ *                                [--name=NAME] [--description=TEXT]
+ *                                [--release-url=URL] [--release-version=VERSION]
+ *                                [--author-name=NAME] [--author-url=URL]
+ *                                [--governance=Genesis|PROPOSAL_ID]
+ *   node scripts/registry.js format [--check] [--file=PATH]
+ *   node scripts/registry.js verify-release --dir=DIR [--chain=CHAIN_ID] [--verbose] [--file=PATH]
+ *   node scripts/registry.js verify-release --checksums=FILE [--chain=CHAIN_ID] [--repository=URL]
+ *                                [--tag=TAG] [--commit=SHA] [--verbose] [--file=PATH]
+ *   node scripts/registry.js inspect (--wasm=FILE | --dir=DIR | --proposal=ID)
+ *                                [--write] [--verbose] [--file=PATH]
+ *                                [--lcd=URL] [--snapshot=DIR | --offline=DIR]
+ *
+ * Commands:
+ *   migrate   Convert entries from the single `mainnet`/`testnet` blocks to
+ *             `deployments` keyed by chain ID (chain IDs from networks.json
+ *             for mainnet, `testnet.network` for testnet). Entries that
+ *             already use `deployments` are left untouched.
+ *   add       Scaffold an entry for a mainnet code ID: the hash comes from
+ *             the LCD's code info and the governance proposal is found by
+ *             hashing the MsgStoreCode messages of past proposals (Genesis
+ *             when none did; if proposals can't be fetched the command fails
+ *             unless --governance is given). Fields not given as options are
+ *             prompted for, then the entry is inserted at its sorted position.
+ *   format    Rewrite the file in the canonical layout (lib/format.js), with
+ *             entries sorted by mainnet code ID. With --check nothing is
+ *             written; the command fails if the file isn't formatted.
+ *   verify-release
+ *             Hash the .wasm/.wasm.gz artifacts in DIR and report which
+ *             entries' deployments match the artifacts of their `release`
+ *             (layout in lib/releases.js). Entries are judged by their
+ *             mainnet deployment, or the one on --chain; other deployments
+ *             that match no artifact are listed but don't fail the command.
+ *             Fails if an entry's release has artifacts but none of them is
+ *             its code. Entries without artifacts are only counted, or
+ *             listed with --verbose.
+ *             With --checksums, the checksum an optimizer checksums.txt
+ *             lists for each entry's `build.artifact` is compared to the
+ *             hash of its mainnet (or --chain) deployment instead;
+ *             --repository, --tag and --commit limit the
+ *             check to entries built from that source. Fails on a mismatch.
+ *   inspect   Parse contract code without running it (lib/wasm.js): entry
+ *             points, interface version, required capabilities, host
+ *             imports (with --verbose) and size. Code comes from a .wasm or
+ *             .wasm.gz file, every such file below DIR, or the MsgStoreCode
+ *             messages of a mainnet proposal. Code registered in
+ *             contracts.json is checked against its entry; --write records
+ *             the summary as `wasm` on every deployment with its hash.
+ *             Fails if code can't be parsed.
+ *
+ * Options take their value either as `--name=value` or `--name value`.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const {
+    REGISTRY_PATH,
+    MAINNET_CHAIN_ID,
+    contractSchema,
+    validateJson,
+    loadRegistry,
+    writeRegistry,
+    migrateLegacyContract,
+    validateRegistry,
+    mainnetDeployment,
+    byMainnetCodeId,
+    deploymentsOf,
+    normalizeHash,
+    computeWasmHash,
+    sortContracts
+} = require('./lib/registry');
+const { stringifyRegistry } = require('./lib/format');
+const { hasErrors, formatIssue } = require('./lib/issues');
+const { UnifiedValidator } = require('./unified-validator');
+const { storeCodeOf, storeCodeHash, scanProposals } = require('./lib/proposals');
+const { findArtifacts, hashArtifacts, checkReleases, parseChecksums, checkBuildChecksums } = require('./lib/releases');
+const { WasmParseError, inspectWasm, checkWasmSummary } = require('./lib/wasm');
+
+// Options each command accepts; flags take no value
+const COMMAND_OPTIONS = {
+    migrate: { flags: ['dry-run'], values: ['file'] },
+    add: {
+        flags: ['dry-run'],
+        values: [
+            'file', 'mainnet-code-id', 'lcd', 'snapshot', 'offline',
+            'name', 'description', 'release-url', 'release-version',
+            'author-name', 'author-url', 'governance'
+        ]
+    },
+    format: { flags: ['check'], values: ['file'] },
+    'verify-release': { flags: ['verbose'], values: ['file', 'dir', 'chain', 'checksums', 'repository', 'tag', 'commit'] },
+    inspect: { flags: ['write', 'verbose'], values: ['file', 'wasm', 'dir', 'proposal', 'lcd', 'snapshot', 'offline'] }
+};
+
+// 'release-url' -> 'releaseUrl'
+function camelCase(name) {
+    return name.replace(/-([a-z])/g, (match, letter) => letter.toUpperCase());
+}
+
+function parseOptions(command, args) {
+    const { flags, values } = COMMAND_OPTIONS[command];
+    const options = { dryRun: false, file: REGISTRY_PATH };
+    for (let i = 0; i < args.length; i++) {
+        const match = /^--([a-z-]+)(?:=(.*))?$/.exec(args[i]);
+        if (match && flags.includes(match[1]) && match[2] === undefined) {
+            options[camelCase(match[1])] = true;
+        } else if (match && values.includes(match[1])) {
+            const value = match[2] !== undefined ? match[2] : args[++i];
+            if (value === undefined) {
+                throw new Error(`Missing value for --${match[1]}`);
+            }
+            options[camelCase(match[1])] = value;
+        } else {
+            throw new Error(`Unknown option for ${command}: ${args[i]}`);
+        }
+    }
+    options.file = path.resolve(options.file);
+    return options;
+}
+
+function migrate(options) {
+    const contracts = loadRegistry({ path: options.file });
+    let changed = 0;
+    const migrated = contracts.map(contract => {
+        const result = migrateLegacyContract(contract);
+        if (result !== contract) changed++;
+        return result;
+    });
+
+    if (changed === 0) {
+        console.log('✅ Nothing to migrate: every entry already uses deployments');
+        return true;
+    }
+
+    const issues = validateRegistry(migrated).filter(issue => issue.severity === 'error');
+    if (hasErrors(issues)) {
+        console.error(`❌ Migrated registry would not be valid, not writing ${options.file}:`);
+        issues.forEach(issue => console.error(`   ${formatIssue(issue)}`));
+        return false;
+    }
+
+    if (options.dryRun) {
+        console.log(`Would migrate ${changed} of ${migrated.length} entries (dry run, nothing written)`);
+        return true;
+    }
+    writeRegistry(migrated, { path: options.file });
+    console.log(`✅ Migrated ${changed} of ${migrated.length} entries to deployments in ${options.file}`);
+    return true;
+}
+
+/**
+ * The passed proposal whose MsgStoreCode uploaded code with this hash, or
+ * the latest matching proposal when none passed.
+ */
+function findStoreCodeProposal(validator, proposals, hash) {
+    const matches = proposals.filter(proposal => (proposal.messages || []).map(storeCodeOf).some(payload =>
+        payload && storeCodeHash(payload, base64 => validator.calculateWasmHash(base64)) === hash));
+    const passed = matches.filter(proposal => proposal.status === 'PROPOSAL_STATUS_PASSED');
+    const pool = passed.length > 0 ? passed : matches;
+    return pool[pool.length - 1] || null;
+}
+
+// Index the new entry goes to: after every entry with a lower mainnet code ID
+function insertionIndex(contracts, codeId) {
+    const index = contracts.findIndex(contract => {
+        const deployment = mainnetDeployment(contract);
+        return !deployment || Number(deployment.code_id) > Number(codeId);
+    });
+    return index === -1 ? contracts.length : index;
+}
+
+async function add(options) {
+    const codeId = options.mainnetCodeId;
+    if (!codeId || !/^[0-9]+$/.test(codeId)) {
+        throw new Error('add needs --mainnet-code-id with a numeric code ID');
+    }
+
+    const contracts = loadRegistry({ path: options.file });
+    const existing = byMainnetCodeId(contracts).get(codeId);
+    if (existing) {
+        throw new Error(`Code ID ${codeId} is already listed as "${existing.name}"`);
+    }
+
+    const validator = new UnifiedValidator({
+        network: 'mainnet',
+        lcd: options.lcd,
+        snapshotDir: options.snapshot,
+        offlineDir: options.offline
+    });
+    const network = validator.network;
+
+    console.log(`🔗 Fetching code ${codeId} from ${network.chain_id} (${network.lcd})...`);
+    let codeInfo;
+    try {
+        codeInfo = (await validator.chain.fetchJson(`${network.lcd}/cosmwasm/wasm/v1/code/${codeId}`)).code_info;
+    } catch (error) {
+        if (error.status === 404) {
+            throw new Error(`Code ID ${codeId} does not exist on ${network.chain_id}`);
+        }
+        throw new Error(`Could not fetch code ${codeId} from ${network.chain_id}: ${error.message}`);
+    }
+    if (!codeInfo) {
+        throw new Error(`Code ID ${codeId} does not exist on ${network.chain_id}`);
+    }
+    const hash = normalizeHash(codeInfo.data_hash);
+    console.log(`   Hash: ${hash}`);
+
+    let governance = options.governance;
+    if (!governance) {
+        // Unlike the verifiers, don't carry on without proposals: that would record Genesis for any code
+        let proposals;
+        try {
+            ({ proposals } = await scanProposals(validator.chain, network.lcd));
+        } catch (error) {
+            throw new Error(`Could not fetch governance proposals from ${network.chain_id} to find the one that stored code ${codeId}: ${error.message} (pass --governance=Genesis|PROPOSAL_ID to set it yourself)`);
+        }
+        const proposal = findStoreCodeProposal(validator, proposals, hash);
+        if (proposal) {
+            governance = `${proposal.id}`;
+            console.log(`   Governance: Proposal ${proposal.id} (${validator.getStatusString(proposal.status)}): ${proposal.title}`);
+        } else {
+            governance = 'Genesis';
+            console.log('   Governance: Genesis (no proposal stored this code; pass --governance to override)');
+        }
+    }
+
+    // Prompt for whatever wasn't given on the command line
+    const fields = [
+        ['name', 'Name'],
+        ['description', 'Description'],
+        ['releaseUrl', 'Release URL (https://...)'],
+        ['releaseVersion', 'Release version'],
+        ['authorName', 'Author name'],
+        ['authorUrl', 'Author URL (https://...)']
+    ];
+    const answers = { ...options };
+    const missing = fields.filter(([key]) => answers[key] === undefined);
+    if (missing.length > 0) {
+        // Read answers line by line so piped input works as well as a terminal
+        const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+        const lines = rl[Symbol.asyncIterator]();
+        try {
+            for (const [key, question] of missing) {
+                // Reuse the URL of an author that is already listed
+                const known = key === 'authorUrl' && contracts.find(contract => contract.author.name === answers.authorName);
+                const suggestion = known ? ` [${known.author.url}]` : '';
+                process.stdout.write(`${question}${suggestion}: `);
+                const { value, done } = await lines.next();
+                const answer = done ? '' : value.trim();
+                answers[key] = answer || (known ? known.author.url : '');
+            }
+        } finally {
+            rl.close();
+        }
+    }
+
+    const entry = {
+        name: answers.name,
+        description: answers.description,
+        release: { url: answers.releaseUrl, version: answers.releaseVersion },
+        author: { name: answers.authorName, url: answers.authorUrl },
+        deprecated: false,
+        deployments: {
+            [MAINNET_CHAIN_ID]: { code_id: codeId, hash, governance }
+        }
+    };
+
+    const entryErrors = validateJson(entry, contractSchema);
+    if (entryErrors.length > 0) {
+        console.error('❌ The new entry is not valid:');
+        entryErrors.forEach(error => console.error(`   ${error.instancePath || '/'} ${error.message}`));
+        return false;
+    }
+
+    const index = insertionIndex(contracts, codeId);
+    const updated = [...contracts.slice(0, index), entry, ...contracts.slice(index)];
+    const issues = validateRegistry(updated).filter(issue => issue.severity === 'error');
+    if (hasErrors(issues)) {
+        console.error(`❌ contracts.json would not be valid with the new entry, not writing ${options.file}:`);
+        issues.forEach(issue => console.error(`   ${formatIssue(issue)}`));
+        return false;
+    }
+
+    console.log(JSON.stringify(entry, null, 2));
+    if (options.dryRun) {
+        console.log(`Would insert "${entry.name}" at position ${index} (dry run, nothing written)`);
+        return true;
+    }
+    writeRegistry(updated, { path: options.file });
+    console.log(`✅ Added "${entry.name}" (code ID ${codeId}) at position ${index} of ${options.file}`);
+    return true;
+}
+
+function format(options) {
+    const text = fs.readFileSync(options.file, 'utf8');
+    let contracts;
+    try {
+        contracts = JSON.parse(text);
+    } catch (error) {
+        throw new Error(`${options.file} is not valid JSON (run \`npm run validate\` for details)`);
+    }
+    if (!Array.isArray(contracts)) {
+        throw new Error(`${options.file} must contain an array of contracts`);
+    }
+
+    const formatted = stringifyRegistry(sortContracts(contracts));
+    if (formatted === text) {
+        console.log(`✅ ${options.file} is formatted`);
+        return true;
+    }
+    if (options.check) {
+        const actual = text.split('\n');
+        const expected = formatted.split('\n');
+        const index = expected.findIndex((expectedLine, i) => actual[i] !== expectedLine);
+        const line = (index === -1 ? expected.length : index) + 1;
+        console.error(`❌ ${options.file} is not formatted (first difference at line ${line}); run \`npm run format\``);
+        return false;
+    }
+    fs.writeFileSync(options.file, formatted);
+    console.log(`✅ Formatted ${options.file}`);
+    return true;
+}
+
+// verify-release --checksums: compare builds to an optimizer checksums.txt
+function verifyBuildChecksums(options) {
+    const file = path.resolve(options.checksums);
+    const checksums = parseChecksums(fs.readFileSync(file, 'utf8'));
+    if (checksums.size === 0) {
+        throw new Error(`${file} has no checksum lines (expected "<sha256>  <file>.wasm")`);
+    }
+
+    const contracts = loadRegistry({ path: options.file });
+    const checks = checkBuildChecksums(contracts, checksums, {
+        chainId: options.chain,
+        repository: options.repository,
+        tag: options.tag,
+        commit: options.commit
+    });
+    console.log(`🔍 ${checksums.size} checksum(s) in ${file}, ${checks.length} entr${checks.length === 1 ? 'y' : 'ies'} with a matching build`);
+
+    const verified = checks.filter(check => check.status === 'verified');
+    const mismatched = checks.filter(check => check.status === 'mismatch');
+    const notListed = checks.filter(check => check.status === 'not-listed');
+    if (verified.length > 0) {
+        console.log(`\n✅ Built artifact matches the registered hash (${verified.length}):`);
+        verified.forEach(check => console.log(`   ${check.name} (${check.build.tag || check.build.commit}): ${check.issue}`));
+    }
+    if (mismatched.length > 0) {
+        console.error(`\n❌ Built artifact does not match (${mismatched.length}):`);
+        mismatched.forEach(check => console.error(`   ${check.name}: ${check.issue}`));
+    }
+    if (notListed.length > 0 && options.verbose) {
+        console.log(`\n⚪ Artifact not in checksums.txt (${notListed.length}):`);
+        notListed.forEach(check => console.log(`   ${check.name}: ${check.issue}`));
+    }
+    console.log(`\n${verified.length} verified, ${mismatched.length} mismatched, ${notListed.length} not listed`);
+    return mismatched.length === 0;
+}
+
+async function verifyRelease(options) {
+    if (options.checksums && options.dir) {
+        throw new Error('verify-release takes either --dir or --checksums, not both');
+    }
+    if (options.checksums) {
+        return verifyBuildChecksums(options);
+    }
+    if (!options.dir) {
+        throw new Error('verify-release needs --dir with the downloaded release artifacts, or --checksums with an optimizer checksums.txt');
+    }
+    if (options.repository || options.tag || options.commit) {
+        throw new Error('--repository, --tag and --commit only apply with --checksums');
+    }
+    const dir = path.resolve(options.dir);
+    if (!fs.existsSync(dir) || !fs.statSync(dir).isDirectory()) {
+        throw new Error(`${dir} is not a directory`);
+    }
+
+    const contracts = loadRegistry({ path: options.file });
+    const artifacts = await hashArtifacts(dir);
+    console.log(`🔍 Hashed ${artifacts.length} artifact(s) in ${dir}`);
+    artifacts.filter(artifact => !artifact.hash).forEach(artifact => {
+        console.warn(`⚠️  Could not hash ${artifact.file}`);
+    });
+
+    const checks = checkReleases(contracts, artifacts, { chainId: options.chain });
+    const byStatus = status => checks.filter(check => check.status === status);
+    const reproducible = byStatus('reproducible');
+    const failed = checks.filter(check => check.status === 'mismatch' || check.status === 'other-release');
+    const missing = byStatus('missing');
+
+    if (reproducible.length > 0) {
+        console.log(`\n✅ Reproducible from their release (${reproducible.length}):`);
+        reproducible.forEach(check => {
+            console.log(`   ${check.name} (${check.release}): ${check.issue}`);
+            Object.entries(check.deployments).filter(([, artifact]) => !artifact).forEach(([chainId]) => {
+                console.log(`      ℹ️  ${chainId} runs other code, which no artifact matches`);
+            });
+        });
+    }
+    if (failed.length > 0) {
+        console.error(`\n❌ Not reproducible from their release (${failed.length}):`);
+        failed.forEach(check => console.error(`   ${check.name}: ${check.issue}`));
+    }
+    if (missing.length > 0 && options.verbose) {
+        console.log(`\n⚪ No artifacts to check (${missing.length}):`);
+        missing.forEach(check => console.log(`   ${check.name}: ${check.issue}`));
+    }
+    console.log(`\n${reproducible.length} reproducible, ${failed.length} not reproducible, ${missing.length} without artifacts`);
+    return failed.length === 0;
+}
+
+// Code to inspect, as { source, base64 }, from whichever of --wasm, --dir and --proposal was given
+async function inspectSources(options) {
+    const given = ['wasm', 'dir', 'proposal'].filter(source => options[source]);
+    if (given.length !== 1) {
+        throw new Error('inspect needs exactly one of --wasm, --dir and --proposal');
+    }
+    if (options.wasm) {
+        const file = path.resolve(options.wasm);
+        return [{ source: path.basename(file), base64: fs.readFileSync(file).toString('base64') }];
+    }
+    if (options.dir) {
+        const dir = path.resolve(options.dir);
+        const artifacts = findArtifacts(dir);
+        if (artifacts.length === 0) {
+            throw new Error(`No .wasm or .wasm.gz files in ${dir}`);
+        }
+        return artifacts.map(({ file }) => ({
+            source: file,
+            base64: fs.readFileSync(path.join(dir, file)).toString('base64')
+        }));
+    }
+
+    if (!/^[0-9]+$/.test(options.proposal)) {
+        throw new Error('--proposal needs a numeric proposal ID');
+    }
+    const validator = new UnifiedValidator({
+        network: 'mainnet',
+        lcd: options.lcd,
+        snapshotDir: options.snapshot,
+        offlineDir: options.offline
+    });
+    const network = validator.network;
+    let proposal;
+    try {
+        proposal = (await validator.chain.fetchJson(`${network.lcd}/cosmos/gov/v1/proposals/${options.proposal}`)).proposal;
+    } catch (error) {
+        if (error.status === 404) {
+            throw new Error(`Proposal ${options.proposal} does not exist on ${network.chain_id}`);
+        }
+        throw new Error(`Could not fetch proposal ${options.proposal} from ${network.chain_id}: ${error.message}`);
+    }
+    const sources = ((proposal && proposal.messages) || [])
+        .map((msg, index) => ({ payload: storeCodeOf(msg), index }))
+        .filter(({ payload }) => payload)
+        .map(({ payload, index }) => ({ source: `proposal ${options.proposal} message ${index + 1}`, base64: payload.wasm_byte_code }));
+    if (sources.length === 0) {
+        throw new Error(`Proposal ${options.proposal} has no MsgStoreCode or StoreCodeProposal messages`);
+    }
+    return sources;
+}
+
+// The part of a summary recorded in contracts.json (schema: WasmSummary)
+function recordedSummary(summary) {
+    const wasm = { size: summary.size };
+    if (summary.interfaceVersion !== null) wasm.interface_version = summary.interfaceVersion;
+    wasm.entry_points = summary.entryPoints;
+    if (summary.capabilities.length > 0) wasm.capabilities = summary.capabilities;
+    return wasm;
+}
+
+async function inspect(options) {
+    const sources = await inspectSources(options);
+    const contracts = loadRegistry({ path: options.file });
+    const list = values => (values.length > 0 ? values.join(', ') : 'none');
+    let failed = 0;
+    let recorded = 0;
+
+    sources.forEach(({ source, base64 }) => {
+        const hash = computeWasmHash(base64);
+        let summary;
+        try {
+            summary = inspectWasm(base64);
+        } catch (error) {
+            if (!(error instanceof WasmParseError)) throw error;
+            failed++;
+            console.error(`❌ ${source}: ${error.message}`);
+            return;
+        }
+
+        console.log(`📦 ${source} (${hash})`);
+        console.log(`   Size: ${summary.size.toLocaleString('en-US')} bytes${summary.gzipped ? ' (uploaded gzipped)' : ''}`);
+        console.log(`   Entry points: ${list(summary.entryPoints)}`);
+        console.log(`   Interface version: ${summary.interfaceVersion === null ? 'none' : summary.interfaceVersion}`);
+        console.log(`   Capabilities: ${list(summary.capabilities)}`);
+        if (options.verbose) {
+            console.log(`   Host imports: ${list(summary.imports)}`);
+        }
+
+        const wasm = recordedSummary(summary);
+        const matches = [];
+        contracts.forEach(contract => {
+            deploymentsOf(contract).forEach(([chainId, deployment]) => {
+                if (normalizeHash(deployment.hash) === hash) matches.push({ contract, chainId, deployment });
+            });
+        });
+        if (matches.length === 0) {
+            console.log('   Not in contracts.json');
+        }
+        matches.forEach(({ contract, chainId, deployment }) => {
+            console.log(`   Registered as ${contract.name} (${chainId} code ${deployment.code_id})`);
+            if (options.write) {
+                deployment.wasm = wasm;
+                recorded++;
+            }
+        });
+        [...new Set(matches.map(match => match.contract))].forEach(contract => {
+            checkWasmSummary(contract, wasm).forEach(({ rule, message }) => {
+                console.warn(`   ⚠️  ${contract.name}: ${message} (${rule})`);
+            });
+        });
+        console.log('');
+    });
+
+    if (options.write && recorded > 0) {
+        writeRegistry(contracts, { path: options.file });
+        console.log(`✅ Recorded ${recorded} wasm summar${recorded === 1 ? 'y' : 'ies'} in ${options.file}`);
+    }
+    return failed === 0;
+}
+
+const commands = { migrate, add, format, 'verify-release': verifyRelease, inspect };
+
+async function main() {
+    const [command, ...args] = process.argv.slice(2);
+    if (!commands[command]) {
+        console.error(`Usage: node scripts/registry.js <${Object.keys(commands).join('|')}> [options]`);
+        process.exit(1);
+    }
+    try {
+        const success = await commands[command](parseOptions(command, args));
+        process.exit(success ? 0 : 1);
+    } catch (error) {
+        console.error(`❌ ${error.message}`);
+        process.exit(1);
+    }
+}
+
+if (require.main === module) {
+    main();
+}
+
+module.exports = { migrate, add, format, verifyRelease, inspect, parseOptions, insertionIndex };
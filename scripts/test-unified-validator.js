@@ -8,13 +8,58 @@
  * in unified-validator.js.
  * 
  * Usage:
- *   node scripts/test-unified-validator.js
+ *   node scripts/test-unified-validator.js [--offline=DIR]
  *   npm run test-validation
+ *
+ * With --offline=DIR the API tests replay chain responses recorded with
+ * `unified-validator.js --snapshot=DIR` instead of calling the live API.
  */
 
 const fs = require('fs');
+const os = require('os');
 const path = require('path');
+const zlib = require('zlib');
+const { EventEmitter } = require('events');
+const workerThreads = require('worker_threads');
 const { UnifiedValidator } = require('./unified-validator');
+const registry = require('./lib/registry');
+const registryPackage = require('..');
+const jsonSchema = require('./lib/json-schema');
+const issuesLib = require('./lib/issues');
+const jsonSource = require('./lib/json-source');
+const report = require('./lib/report');
+const chainSnapshot = require('./lib/chain-snapshot');
+const networks = require('./lib/networks');
+const instancesLib = require('./lib/instances');
+const cw2 = require('./lib/cw2');
+const migrations = require('./lib/migrations');
+const registryCli = require('./registry');
+const drafts = require('./lib/drafts');
+const fixLib = require('./lib/fix');
+const formatLib = require('./lib/format');
+const provenance = require('./lib/provenance');
+const httpLib = require('./lib/http');
+const proposalsLib = require('./lib/proposals');
+const releases = require('./lib/releases');
+const wasmLib = require('./lib/wasm');
+
+/**
+ * A registry entry that passes validation, for test fixtures.
+ * @param {string} name
+ * @param {Object} deployments    Keyed by chain ID
+ * @param {Object} [overrides]    Other top-level fields, e.g. `release` or `build`
+ */
+function fixtureEntry(name, deployments, overrides = {}) {
+    return {
+        name,
+        description: '',
+        release: { url: 'https://example.com', version: 'v1.0.0' },
+        author: { name: 'Burnt Labs', url: 'https://burnt.com' },
+        deprecated: false,
+        deployments,
+        ...overrides
+    };
+}
 
 // Colors for console output
 const colors = {
@@ -36,6 +81,7 @@ function colorLog(color, message) {
 class UnifiedValidatorTester {
     constructor(options = {}) {
         this.verbose = options.verbose || false;
+        this.offlineDir = options.offlineDir;
         this.testResults = {
             passed: 0,
             failed: 0,
@@ -109,7 +155,7 @@ class UnifiedValidatorTester {
     }
 
     async testApiConnectivity() {
-        const validator = new UnifiedValidator();
+        const validator = new UnifiedValidator({ offlineDir: this.offlineDir });
         
         try {
             const contracts = await validator.fetchOnChainContracts();
@@ -121,7 +167,7 @@ class UnifiedValidatorTester {
     }
 
     async testGovernanceProposalsFetch() {
-        const validator = new UnifiedValidator();
+        const validator = new UnifiedValidator({ offlineDir: this.offlineDir });
         
         try {
             const proposals = await validator.fetchGovernanceProposals();
@@ -132,8 +178,127 @@ class UnifiedValidatorTester {
         }
     }
 
+    async testGovernanceProposalPagination() {
+        const originalFetch = global.fetch;
+        const pages = {
+            '': { proposals: [{ id: '1' }, { id: '2' }], pagination: { next_key: 'AAM=' } },
+            'AAM=': { proposals: [{ id: '3' }], pagination: { next_key: null } }
+        };
+        const requested = [];
+
+        try {
+            global.fetch = async (url) => {
+                const params = new URL(url).searchParams;
+                requested.push(params.get('proposal_status'));
+                return { ok: true, status: 200, json: async () => pages[params.get('pagination.key') || ''] };
+            };
+            const validator = new UnifiedValidator();
+            const proposals = await validator.fetchGovernanceProposals();
+
+            return proposals.map(proposal => proposal.id).join(',') === '1,2,3' &&
+                validator.proposalPageCount === 2 &&
+                requested.every(status => status === '0');
+        } finally {
+            global.fetch = originalFetch;
+        }
+    }
+
+    async testStreamingProposalScan() {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'wasm-hashes-'));
+        const wasm = name => Buffer.from(`\0asm ${name}`).toString('base64');
+        const pages = {
+            '': {
+                proposals: [
+                    { id: '1', status: 'PROPOSAL_STATUS_PASSED', messages: [{ '@type': '/cosmwasm.wasm.v1.MsgStoreCode', sender: 'xion1a', wasm_byte_code: wasm('one') }] },
+                    { id: '2', status: 'PROPOSAL_STATUS_REJECTED', messages: [{ '@type': '/cosmos.gov.v1.MsgExecLegacyContent' }] },
+                    { id: '4', status: 'PROPOSAL_STATUS_PASSED', messages: [{ '@type': '/cosmos.gov.v1.MsgExecLegacyContent', content: { '@type': '/cosmwasm.wasm.v1.StoreCodeProposal', wasm_byte_code: wasm('four') } }] }
+                ],
+                pagination: { next_key: 'AAM=' }
+            },
+            'AAM=': {
+                proposals: [{ id: '3', status: 'PROPOSAL_STATUS_PASSED', messages: [{ '@type': '/cosmwasm.wasm.v1.MsgStoreCode', wasm_byte_code: wasm('three') }] }],
+                pagination: { next_key: null }
+            }
+        };
+        const chain = {
+            fetchJson: async url => pages[new URL(url).searchParams.get('pagination.key') || '']
+        };
+        const file = proposalsLib.memoFile(dir, 'xion-mainnet-1');
+
+        try {
+            const scanned = await proposalsLib.scanProposals(chain, 'https://lcd.test', { memoFile: file, workers: 1 });
+            const [first, second, legacy, third] = scanned.proposals;
+            const hashed = scanned.pageCount === 2 && scanned.proposals.length === 4 &&
+                first.messages[0].wasm_hash === registry.computeWasmHash(wasm('one')) &&
+                first.messages[0].sender === 'xion1a' &&
+                !('wasm_byte_code' in first.messages[0]) &&
+                second.messages[0]['@type'] === '/cosmos.gov.v1.MsgExecLegacyContent' &&
+                !('wasm_byte_code' in legacy.messages[0].content) &&
+                proposalsLib.storeCodeHash(proposalsLib.storeCodeOf(legacy.messages[0])) === registry.computeWasmHash(wasm('four')) &&
+                proposalsLib.storeCodeHash(third.messages[0]) === registry.computeWasmHash(wasm('three'));
+
+            // Memoized hashes are reused by proposal ID, unless the payload size differs
+            const memo = JSON.parse(fs.readFileSync(file, 'utf8'));
+            memo['1'][0].hash = 'MEMOIZED';
+            memo['3'][0].hash = 'MEMOIZED';
+            memo['3'][0].size += 1;
+            fs.writeFileSync(file, JSON.stringify(memo));
+            const rescanned = await proposalsLib.scanProposals(chain, 'https://lcd.test', { memoFile: file, workers: 0 });
+
+            const validator = new UnifiedValidator();
+            const discrepancies = { governanceIssues: [] };
+            const proposalHashMap = validator.analyzeGovernanceIssues([], scanned.proposals, discrepancies);
+
+            return hashed &&
+                rescanned.proposals[0].messages[0].wasm_hash === 'MEMOIZED' &&
+                rescanned.proposals[3].messages[0].wasm_hash === registry.computeWasmHash(wasm('three')) &&
+                proposalHashMap.get(registry.computeWasmHash(wasm('one'))).proposalId === '1';
+        } finally {
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+    }
+
+    async testHashPoolWorkerExit() {
+        // The first worker exits without an 'error' event, as on process.exit or out of memory
+        let spawned = 0;
+        class FakeWorker extends EventEmitter {
+            constructor() {
+                super();
+                this.dies = spawned++ === 0;
+            }
+            postMessage({ id, base64 }) {
+                setImmediate(() => this.dies
+                    ? this.emit('exit', 1)
+                    : this.emit('message', { id, hash: registry.computeWasmHash(base64) }));
+            }
+            async terminate() {}
+        }
+        const poolPath = require.resolve('./lib/hash-pool');
+        const OriginalWorker = workerThreads.Worker;
+        workerThreads.Worker = FakeWorker;
+        delete require.cache[poolPath];
+        const { createHashPool } = require('./lib/hash-pool');
+        workerThreads.Worker = OriginalWorker;
+        delete require.cache[poolPath];
+
+        const pool = createHashPool(1);
+        const settle = promise => Promise.race([
+            promise.then(hash => ({ hash }), error => ({ error })),
+            new Promise(resolve => setTimeout(() => resolve({ hung: true }), 2000))
+        ]);
+        try {
+            const wasm = Buffer.from('\0asm').toString('base64');
+            const [lost, next] = await Promise.all([settle(pool.hash(wasm)), settle(pool.hash(wasm))]);
+            return lost.error !== undefined && /exited with code 1/.test(lost.error.message) &&
+                next.hash === registry.computeWasmHash(wasm) &&
+                spawned === 2;
+        } finally {
+            await pool.close();
+        }
+    }
+
     async testTestnetContractsFetch() {
-        const validator = new UnifiedValidator();
+        const validator = new UnifiedValidator({ offlineDir: this.offlineDir });
         
         try {
             const contracts = await validator.fetchTestnetContracts();
@@ -309,12 +474,13 @@ class UnifiedValidatorTester {
                 hash: 'ABCD1234567890ABCD1234567890ABCD1234567890ABCD1234567890ABCD1234',
                 governance: 'Genesis',
                 deprecated: false,
-                testnet: {
-                    code_id: '501',
-                    hash: 'EFGH5678901234EFGH5678901234EFGH5678901234EFGH5678901234EFGH5678',
-                    network: 'xion-testnet-2',
-                    deployed_by: 'xion1test...',
-                    deployed_at: '2025-01-01T00:00:00.000Z'
+                deployments: {
+                    'xion-testnet-2': {
+                        code_id: '501',
+                        hash: 'EFGH5678901234EFGH5678901234EFGH5678901234EFGH5678901234EFGH5678',
+                        deployed_by: 'xion1test...',
+                        deployed_at: '2025-01-01T00:00:00.000Z'
+                    }
                 }
             }
         ];
@@ -331,8 +497,8 @@ class UnifiedValidatorTester {
         const testnetIssues = [];
         
         localContracts.forEach(contract => {
-            if (contract.testnet) {
-                const testnetConfig = contract.testnet;
+            const testnetConfig = contract.deployments['xion-testnet-2'];
+            if (testnetConfig) {
                 const testnetContract = testnetContracts.find(c => c.code_id === testnetConfig.code_id);
                 
                 if (testnetContract && testnetContract.data_hash.toUpperCase() !== testnetConfig.hash) {
@@ -348,7 +514,141 @@ class UnifiedValidatorTester {
             }
         });
 
-        return testnetIssues.length > 0;
+        // Chains that couldn't be fetched (null) leave their deployments unverified
+        const withOtherChain = JSON.parse(JSON.stringify(localContracts));
+        withOtherChain[0].deployments['xion-devnet-9'] = { ...withOtherChain[0].deployments['xion-testnet-2'] };
+        const analyzed = { testnetIssues: [] };
+        validator.analyzeTestnetIssues(withOtherChain, new Map([
+            ['xion-testnet-2', testnetContracts],
+            ['xion-devnet-9', null]
+        ]), analyzed);
+
+        return testnetIssues.length > 0 &&
+            analyzed.testnetIssues.length === 1 &&
+            analyzed.testnetIssues[0].chainId === 'xion-testnet-2' &&
+            analyzed.testnetIssues[0].issue === 'Hash mismatch on xion-testnet-2';
+    }
+
+    async testNestedMainnetVerification() {
+        const validator = new UnifiedValidator();
+        const hashA = 'A'.repeat(64);
+        const hashB = 'B'.repeat(64);
+        const testWasmCode = Buffer.from('genesis wasm').toString('base64');
+        const genesisHash = validator.calculateWasmHash(testWasmCode);
+
+        // Mock data in the real contracts.json format
+        validator.loadLocalContracts = () => [
+            {
+                name: 'Matching Contract',
+                deprecated: false,
+                deployments: { 'xion-mainnet-1': { code_id: '1', hash: hashA, governance: '5' } }
+            },
+            {
+                name: 'Genesis Contract',
+                deprecated: false,
+                deployments: { 'xion-mainnet-1': { code_id: '2', hash: genesisHash, governance: 'Genesis' } }
+            },
+            {
+                name: 'Testnet Only Contract',
+                deprecated: false,
+                deployments: {
+                    'xion-testnet-2': { code_id: '501', hash: hashB, deployed_by: 'xion1test', deployed_at: '2025-01-01T00:00:00.000Z' }
+                }
+            }
+        ];
+        validator.fetchOnChainContracts = async () => [
+            { code_id: '1', data_hash: hashA.toLowerCase() },
+            { code_id: '2', data_hash: genesisHash }
+        ];
+        validator.fetchChainContracts = async (chainId) => chainId === 'xion-testnet-2'
+            ? [{ code_id: '501', data_hash: hashB }]
+            : [];
+        validator.fetchGovernanceProposals = async () => [
+            {
+                id: '9',
+                title: 'Store Genesis Contract',
+                status: 'PROPOSAL_STATUS_PASSED',
+                messages: [{ '@type': '/cosmwasm.wasm.v1.MsgStoreCode', wasm_byte_code: testWasmCode }]
+            }
+        ];
+        // Proposal 5, named by 'Matching Contract', isn't on the proposals page and doesn't exist
+        validator.chain = {
+            mode: 'online',
+            fetchJson: async () => {
+                throw Object.assign(new Error('HTTP 404: Not Found'), { status: 404 });
+            }
+        };
+
+        const success = await validator.verifyOnChainContracts();
+        const discrepancies = validator.results.onChainVerification.discrepancies;
+
+        return success &&
+            discrepancies.provenanceIssues.length === 1 &&
+            discrepancies.provenanceIssues[0].kind === 'unknown-proposal' &&
+            validator.results.summary.provenanceChecked === 1 &&
+            discrepancies.missingFromJson.length === 0 &&
+            discrepancies.missingFromChain.length === 0 &&
+            discrepancies.hashMismatches.length === 0 &&
+            discrepancies.testnetIssues.length === 0 &&
+            discrepancies.governanceIssues.length === 1 &&
+            discrepancies.governanceIssues[0].codeId === '2';
+    }
+
+    async testGovernanceProvenance() {
+        const wasm = name => Buffer.from(`\0asm ${name}`).toString('base64');
+        const hash = name => registry.computeWasmHash(wasm(name));
+        const proposal = (id, status, ...codes) => ({
+            id,
+            title: `Proposal ${id}`,
+            status: `PROPOSAL_STATUS_${status}`,
+            messages: codes.map(code => ({ '@type': '/cosmwasm.wasm.v1.MsgStoreCode', wasm_byte_code: wasm(code) }))
+        });
+        // Pre-v1 proposals stored code with a StoreCodeProposal, as fetched and as scanned
+        const legacy = (id, content) => ({
+            ...proposal(id, 'PASSED'),
+            messages: [{ '@type': '/cosmos.gov.v1.MsgExecLegacyContent', content: { '@type': '/cosmwasm.wasm.v1.StoreCodeProposal', ...content } }]
+        });
+        const entry = (name, codeId, contractHash, governance) =>
+            fixtureEntry(name, { 'xion-mainnet-1': { code_id: codeId, hash: contractHash, governance } });
+        const contracts = [
+            entry('Good', '1', hash('good').toLowerCase(), '10'),
+            entry('Rejected', '2', hash('rejected'), '11'),
+            entry('Wrong ID', '3', hash('moved'), '10'),
+            entry('Mismatch', '4', 'D'.repeat(64), '13'),
+            entry('Missing', '5', hash('missing'), '99'),
+            entry('Fetched', '6', hash('fetched'), '50'),
+            entry('Offline', '7', hash('offline'), '77'),
+            entry('Genesis', '8', hash('genesis'), 'Genesis'),
+            entry('Legacy', '9', hash('legacy'), '14'),
+            entry('Legacy scanned', '10', hash('scanned'), '15')
+        ];
+        const proposals = [
+            proposal('10', 'PASSED', 'good'),
+            proposal('11', 'REJECTED', 'rejected'),
+            proposal('12', 'PASSED', 'moved'),
+            proposal('13', 'PASSED', 'other'),
+            legacy('14', { wasm_byte_code: wasm('legacy') }),
+            legacy('15', { wasm_hash: hash('scanned') })
+        ];
+        const fetchProposal = async id => {
+            if (id === '50') return proposal('50', 'PASSED', 'fetched');
+            if (id === '99') throw Object.assign(new Error('HTTP 404: Not Found'), { status: 404 });
+            throw new Error('fetch failed');
+        };
+
+        const result = await provenance.checkProvenance(contracts, proposals, { chainId: 'xion-mainnet-1', fetchProposal });
+        const byName = Object.fromEntries(result.issues.map(issue => [issue.name, issue]));
+
+        return result.checked === 8 &&
+            result.issues.length === 4 &&
+            byName.Rejected.kind === 'not-passed' &&
+            byName.Rejected.status === 'Rejected' &&
+            byName['Wrong ID'].kind === 'wrong-proposal' &&
+            byName['Wrong ID'].actualProposalId === '12' &&
+            byName.Mismatch.kind === 'wasm-mismatch' &&
+            byName.Mismatch.proposalHashes.join() === hash('other') &&
+            byName.Missing.kind === 'unknown-proposal' &&
+            result.unverified.map(item => item.governance).join() === '77';
     }
 
     async testRecommendationGeneration() {
@@ -376,7 +676,7 @@ class UnifiedValidatorTester {
             }
 
             // Test required fields
-            const requiredFields = ['name', 'description', 'code_id', 'hash', 'release', 'author', 'governance', 'deprecated'];
+            const requiredFields = ['name', 'description', 'release', 'author', 'deprecated'];
             const firstContract = contractsData[0];
             
             for (const field of requiredFields) {
@@ -385,13 +685,19 @@ class UnifiedValidatorTester {
                 }
             }
 
+            // Test mainnet deployment
+            const mainnet = registry.mainnetDeployment(firstContract);
+            if (!mainnet || !mainnet.governance) {
+                return false;
+            }
+
             // Test hash format
-            if (!/^[A-F0-9]{64}$/.test(firstContract.hash)) {
+            if (!/^[a-fA-F0-9]{64}$/.test(mainnet.hash)) {
                 return false;
             }
 
             // Test code_id format
-            if (!/^[0-9]+$/.test(firstContract.code_id)) {
+            if (!/^[0-9]+$/.test(mainnet.code_id)) {
                 return false;
             }
 
@@ -408,10 +714,14 @@ class UnifiedValidatorTester {
             
             const codeIds = new Set();
             for (const contract of contractsData) {
-                if (codeIds.has(contract.code_id)) {
+                const mainnet = registry.mainnetDeployment(contract);
+                if (!mainnet) {
+                    continue;
+                }
+                if (codeIds.has(mainnet.code_id)) {
                     return false; // Found duplicate
                 }
-                codeIds.add(contract.code_id);
+                codeIds.add(mainnet.code_id);
             }
             
             return true; // No duplicates found
@@ -420,6 +730,1052 @@ class UnifiedValidatorTester {
         }
     }
 
+    async testRegistryLibrary() {
+        const contracts = registry.loadRegistry();
+        const issues = registry.validateRegistry(contracts);
+
+        const first = contracts.find(contract => registry.mainnetDeployment(contract));
+        const firstMainnet = registry.mainnetDeployment(first);
+        const codeIdMap = registry.byMainnetCodeId(contracts);
+        const hashMap = registry.byHash(contracts);
+
+        // Out-of-order entries must be rejected
+        const orderingIssues = registry.checkOrdering([...contracts].reverse());
+        const orderingRejected = orderingIssues.length > 0 &&
+            orderingIssues.every(issue => issue.severity === 'error' && issue.rule.startsWith('order/'));
+
+        return issues.filter(issue => issue.severity === 'error').length === 0 &&
+            codeIdMap.get(firstMainnet.code_id) === first &&
+            hashMap.get(registry.normalizeHash(firstMainnet.hash.toLowerCase())) === first &&
+            registry.sortContracts([...contracts].reverse())[0] === first &&
+            orderingRejected;
+    }
+
+    async testDeploymentsModel() {
+        const hash = 'A'.repeat(64);
+        const base = {
+            name: 'Legacy Contract',
+            description: 'Written before deployments existed',
+            release: { url: 'https://example.com', version: 'v1.0.0' },
+            author: { name: 'Burnt Labs', url: 'https://burnt.com' },
+            deprecated: false
+        };
+        const legacy = {
+            ...base,
+            mainnet: { code_id: '1', hash, governance: 'Genesis' },
+            testnet: { code_id: '501', hash, network: 'xion-testnet-2', deployed_by: 'xion1abc', deployed_at: '2025-01-01T00:00:00.000Z' }
+        };
+        const migrated = registry.migrateLegacyContract(legacy);
+        const legacyRules = registry.validateRegistry([legacy]).map(issue => issue.rule);
+
+        const broken = registry.validateRegistry([{
+            ...base,
+            deployments: {
+                'xion-mainnet-1': { code_id: '1', hash },
+                'xion-testnet-2': { code_id: '501', hash, deployed_by: 'cosmos1abc', deployed_at: '2025-01-01T00:00:00.000Z' },
+                'xion-devnet-9': { code_id: '7', hash, deployed_by: 'xion1abc', deployed_at: '2025-01-01T00:00:00.000Z' }
+            }
+        }]);
+        const find = (path, rule) => broken.find(issue => issue.path === path && issue.rule === rule);
+
+        return registry.validateRegistry([migrated]).length === 0 &&
+            migrated.deployments['xion-mainnet-1'].code_id === '1' &&
+            !('network' in migrated.deployments['xion-testnet-2']) &&
+            registry.migrateLegacyContract(migrated) === migrated &&
+            legacyRules.filter(rule => rule === 'deployments/legacy-block').length === 2 &&
+            !legacyRules.includes('schema/additionalProperties') &&
+            find('/0/deployments/xion-mainnet-1', 'deployments/governance-required') !== undefined &&
+            find('/0/deployments/xion-testnet-2/deployed_by', 'deployments/deployer-prefix') !== undefined &&
+            find('/0/deployments/xion-devnet-9', 'deployments/unknown-network').severity === 'warning' &&
+            registry.otherDeployments(migrated).map(([chainId]) => chainId).join() === 'xion-testnet-2';
+    }
+
+    async testInstanceVerification() {
+        const hash = 'A'.repeat(64);
+        const contracts = [fixtureEntry('Factory', {
+            'xion-mainnet-1': {
+                code_id: '5',
+                hash,
+                governance: 'Genesis',
+                instances: [
+                    { address: 'xion1good', label: 'Good', admin: 'xion1admin', instantiated_at: '2025-01-01T00:00:00.000Z' },
+                    { address: 'xion1wrong', label: 'Wrong' },
+                    { address: 'xion1gone', label: 'Gone' },
+                    { address: 'xion1flaky', label: 'Flaky' }
+                ]
+            }
+        }, { description: 'Instantiated once per chain' })];
+        const chain = {
+            async fetchJson(url) {
+                const address = url.split('/').pop();
+                if (address === 'xion1gone') throw Object.assign(new Error('HTTP 404: Not Found'), { status: 404 });
+                if (address === 'xion1flaky') throw new Error('fetch failed');
+                return { address, contract_info: { code_id: address === 'xion1wrong' ? '7' : '5' } };
+            }
+        };
+        const network = networks.resolveNetwork('mainnet', { env: {} });
+        const result = await instancesLib.verifyInstances(contracts, { chain, network });
+
+        // Registry checks: wrong bech32 prefix and the same address listed twice
+        const broken = JSON.parse(JSON.stringify(contracts));
+        broken[0].deployments['xion-mainnet-1'].instances.push(
+            { address: 'cosmos1good', label: 'Prefix' },
+            { address: 'xion1good', label: 'Again' }
+        );
+        const rules = registry.validateRegistry(broken).map(issue => `${issue.path} ${issue.rule}`);
+        const instancePath = index => `/0/deployments/xion-mainnet-1/instances/${index}`;
+
+        return result.checked === 3 &&
+            result.issues.map(issue => issue.address).join() === 'xion1wrong,xion1gone' &&
+            result.issues[0].actualCodeId === '7' &&
+            result.unverified.length === 1 && result.unverified[0].address === 'xion1flaky' &&
+            registry.validateRegistry(contracts).length === 0 &&
+            rules.includes(`${instancePath(4)}/address deployments/address-prefix`) &&
+            rules.includes(`${instancePath(5)}/address deployments/duplicate-instance`) &&
+            registry.pointerForInstance(contracts, 'xion-mainnet-1', 'xion1gone') === instancePath(2) &&
+            registryPackage.findByAddress('xion1not-listed') === undefined;
+    }
+
+    async testContractVersionDetection() {
+        const entry = (name, version, instances) => fixtureEntry(name,
+            { 'xion-mainnet-1': { code_id: '5', hash: 'A'.repeat(64), governance: 'Genesis', instances } },
+            { release: { url: 'https://example.com', version } });
+        const contracts = [
+            entry('cw1 Subkeys', 'v2.0.0', [
+                { address: 'xion1current', label: 'Current' },
+                { address: 'xion1newer', label: 'Newer' },
+                { address: 'xion1other', label: 'Other' },
+                { address: 'xion1plain', label: 'Plain' },
+                { address: 'xion1gone', label: 'Gone' },
+                { address: 'xion1flaky', label: 'Flaky' }
+            ]),
+            entry('MetaAccount (v2)', 'pr40', [{ address: 'xion1account', label: 'Account' }])
+        ];
+        const stored = {
+            xion1current: { contract: 'crates.io:cw1-subkeys', version: '2.0.0' },
+            xion1newer: { contract: 'crates.io:cw1-subkeys', version: '2.1.0' },
+            xion1other: { contract: 'crates.io:cw721-base', version: '2.0.0' },
+            xion1account: { contract: 'account', version: '0.1.0' }
+        };
+        const urls = [];
+        const chain = {
+            async fetchJson(url) {
+                urls.push(url);
+                const address = url.split('/contract/')[1].split('/')[0];
+                if (address === 'xion1gone') throw Object.assign(new Error('HTTP 404: Not Found'), { status: 404 });
+                if (address === 'xion1flaky') throw new Error('fetch failed');
+                const info = stored[address];
+                return { data: info ? Buffer.from(JSON.stringify(info)).toString('base64') : null };
+            }
+        };
+        const network = networks.resolveNetwork('mainnet', { env: {} });
+        const result = await cw2.verifyContractVersions(contracts, { chain, network });
+        const kinds = result.issues.map(issue => `${issue.address} ${issue.kind}`);
+
+        return urls[0] === `${network.lcd}/cosmwasm/wasm/v1/contract/xion1current/raw/Y29udHJhY3RfaW5mbw%3D%3D` &&
+            result.checked === 5 &&
+            result.withoutVersion === 1 &&
+            kinds.join() === 'xion1newer version-mismatch,xion1other name-mismatch' &&
+            result.issues[0].version === '2.1.0' &&
+            result.unverified.length === 1 && result.unverified[0].address === 'xion1flaky' &&
+            cw2.VERSION_RULES[result.issues[1].kind] === 'cw2/name-mismatch' &&
+            cw2.compareContractVersion(contracts[0], { contract: 'cw1-subkeys', version: 'v2.0.0' }).length === 0;
+    }
+
+    async testMigrationDetection() {
+        const entry = (name, codeId, instances) =>
+            fixtureEntry(name, { 'xion-mainnet-1': { code_id: codeId, hash: 'A'.repeat(64), governance: 'Genesis', instances } });
+        const contracts = [
+            entry('Registry', '5', [{ address: 'xion1same', label: 'Same' }, { address: 'xion1moved', label: 'Moved' }]),
+            entry('Registry (v2)', '7')
+        ];
+        const histories = {
+            xion1moved: ['5', '7'],
+            xion1rogue: ['5', '99'],
+            xion1sidemoved: ['5', '7']
+        };
+        const chain = {
+            async fetchJson(url) {
+                const address = /contract\/([^/]+)\/history/.exec(url)[1];
+                if (!histories[address]) throw Object.assign(new Error('HTTP 404: Not Found'), { status: 404 });
+                return {
+                    entries: histories[address].map((codeId, index) => ({
+                        operation: index === 0 ? 'CONTRACT_CODE_HISTORY_OPERATION_TYPE_INIT' : 'CONTRACT_CODE_HISTORY_OPERATION_TYPE_MIGRATE',
+                        code_id: codeId,
+                        updated: { block_height: `${(index + 1) * 100}` }
+                    })),
+                    pagination: { next_key: null }
+                };
+            }
+        };
+
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'watch-list-'));
+        try {
+            const file = path.join(dir, 'addresses.json');
+            fs.writeFileSync(file, JSON.stringify([
+                { address: 'xion1rogue', label: 'Rogue' },
+                { address: 'xion1sidemoved', expected: 'Registry' },
+                { address: 'xion1unknown', network: 'mainnet' }
+            ]));
+            const options = { contracts, networks: networks.loadNetworks(), defaultChainId: 'xion-mainnet-1' };
+            const watchList = [
+                { address: 'xion1moved', label: 'Moved', chainId: 'xion-mainnet-1', expected: null, source: file },
+                ...migrations.loadWatchList(file, options)
+            ];
+            const mainnet = networks.resolveNetwork('mainnet', { env: {} });
+            const result = await migrations.checkMigrations(contracts, watchList, { chain, networkFor: () => mainnet });
+            const byAddress = Object.fromEntries(result.issues.map(issue => [issue.address, issue]));
+
+            // The validator reads the file at startup and leaves listed instances to the instance checks
+            const validatorFile = path.join(dir, 'validator-addresses.json');
+            fs.writeFileSync(validatorFile, JSON.stringify([{ address: 'xion1rogue' }, { address: 'xion1sidemoved' }]));
+            const validator = new UnifiedValidator({ addressesFile: validatorFile });
+            validator.chain = chain;
+            const discrepancies = { migrationIssues: [] };
+            const validatorChecked = await validator.analyzeMigrationIssues([
+                ...contracts,
+                entry('Watched', '11', [{ address: 'xion1rogue', label: 'Rogue' }])
+            ], discrepancies);
+            const skipsInstances = validatorChecked === 1 &&
+                discrepancies.migrationIssues.map(issue => issue.address).join() === 'xion1sidemoved';
+
+            fs.writeFileSync(file, JSON.stringify([{ address: 'xion1x', expected: 'Missing' }]));
+            let unknownRejected = false;
+            try {
+                migrations.loadWatchList(file, options);
+            } catch (error) {
+                unknownRejected = /\/0\/expected "Missing"/.test(error.message);
+            }
+            fs.writeFileSync(file, '[{ "address": ');
+            let badFileRejected = false;
+            try {
+                new UnifiedValidator({ addressesFile: file });
+            } catch (error) {
+                badFileRejected = error.message.startsWith(`--addresses=${file}: Cannot read addresses.json`);
+            }
+
+            return result.checked === 3 &&
+                result.issues.length === 3 &&
+                byAddress.xion1moved.kind === 'different-entry' &&
+                byAddress.xion1moved.currentName === 'Registry (v2)' &&
+                byAddress.xion1moved.migratedAt === '200' &&
+                byAddress.xion1sidemoved.expectedCodeId === '5' &&
+                byAddress.xion1rogue.kind === 'unregistered' &&
+                result.unverified.map(item => item.address).join() === 'xion1unknown' &&
+                skipsInstances &&
+                unknownRejected && badFileRejected;
+        } finally {
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+    }
+
+    async testRegistryAddCommand() {
+        const mainnet = (codeId) => ({ 'xion-mainnet-1': { code_id: codeId, hash: `${codeId}`.repeat(64).slice(0, 64), governance: 'Genesis' } });
+        const contracts = [
+            fixtureEntry('First', mainnet('1')),
+            fixtureEntry('Fifth', mainnet('5')),
+            fixtureEntry('Testnet only', { 'xion-testnet-2': { code_id: '9', hash: 'C'.repeat(64), deployed_by: 'xion1deployer', deployed_at: '2025-01-01T00:00:00.000Z' } })
+        ];
+        const wasm = Buffer.from('\0asm scaffold test').toString('base64');
+        const hash = registry.computeWasmHash(wasm);
+        const storeCode = (id, status) => ({
+            id,
+            status,
+            title: `Store code (${id})`,
+            messages: [{ '@type': '/cosmwasm.wasm.v1.MsgStoreCode', wasm_byte_code: wasm }]
+        });
+
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'registry-add-'));
+        const originalFetch = global.fetch;
+        const originalLog = console.log;
+        let proposalsDown = false;
+        try {
+            global.fetch = async (url) => {
+                if (/\/code\/[36]$/.test(url)) {
+                    return { ok: true, status: 200, json: async () => ({ code_info: { code_id: '3', data_hash: hash.toLowerCase() } }) };
+                }
+                if (/\/gov\/v1\/proposals/.test(url) && !proposalsDown) {
+                    return { ok: true, status: 200, json: async () => ({ proposals: [storeCode('40', 'PROPOSAL_STATUS_PASSED'), storeCode('41', 'PROPOSAL_STATUS_REJECTED')] }) };
+                }
+                return { ok: false, status: 404, statusText: 'Not Found', json: async () => ({}) };
+            };
+            console.log = () => {};
+
+            const file = path.join(dir, 'contracts.json');
+            registry.writeRegistry(contracts, { path: file });
+            const options = {
+                ...registryCli.parseOptions('add', ['--mainnet-code-id', '3', `--file=${file}`]),
+                name: 'Third',
+                description: 'Scaffolded',
+                releaseUrl: 'https://example.com/releases/v3',
+                releaseVersion: 'v3.0.0',
+                authorName: 'Burnt Labs',
+                authorUrl: 'https://burnt.com'
+            };
+            const added = await registryCli.add(options);
+            const written = registry.loadRegistry({ path: file });
+            const deployment = registry.mainnetDeployment(written[1]);
+
+            let duplicateRejected = false;
+            try {
+                await registryCli.add(options);
+            } catch (error) {
+                duplicateRejected = /already listed as "Third"/.test(error.message);
+            }
+            let unknownRejected = false;
+            try {
+                await registryCli.add({ ...options, mainnetCodeId: '4' });
+            } catch (error) {
+                unknownRejected = /does not exist/.test(error.message);
+            }
+
+            // Without proposals the governance can't be told apart from Genesis
+            proposalsDown = true;
+            let unfetchedRejected = false;
+            try {
+                await registryCli.add({ ...options, mainnetCodeId: '6' });
+            } catch (error) {
+                unfetchedRejected = /Could not fetch governance proposals.*--governance/.test(error.message);
+            }
+            const overridden = await registryCli.add({ ...options, mainnetCodeId: '6', governance: 'Genesis', dryRun: true });
+
+            return added &&
+                written.map(contract => contract.name).join() === 'First,Third,Fifth,Testnet only' &&
+                deployment.hash === hash &&
+                deployment.governance === '40' &&
+                duplicateRejected &&
+                unknownRejected &&
+                unfetchedRejected &&
+                overridden &&
+                registry.loadRegistry({ path: file }).length === 4 &&
+                registryCli.insertionIndex(contracts, '7') === 2;
+        } finally {
+            global.fetch = originalFetch;
+            console.log = originalLog;
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+    }
+
+    async testDraftMissingEntries() {
+        const validator = new UnifiedValidator();
+        const wasm = Buffer.from('\0asm draft test').toString('base64');
+        const hash = registry.computeWasmHash(wasm);
+        const proposals = [{
+            id: '12',
+            title: 'Store draft test code',
+            status: 'PROPOSAL_STATUS_PASSED',
+            messages: [{ '@type': '/cosmwasm.wasm.v1.MsgStoreCode', wasm_byte_code: wasm }]
+        }];
+        const discrepancies = { governanceIssues: [] };
+        const proposalHashMap = validator.analyzeGovernanceIssues([], proposals, discrepancies);
+        const missing = [
+            { codeId: '20', hash: 'a'.repeat(64), creator: 'xion1creator' },
+            { codeId: '8', hash, creator: 'xion1creator', proposal: proposalHashMap.get(hash) }
+        ];
+
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'drafts-'));
+        try {
+            const file = path.join(dir, 'contracts.draft.json');
+            drafts.writeDrafts(missing, { chainId: 'xion-mainnet-1', file });
+            const written = JSON.parse(fs.readFileSync(file, 'utf8'));
+            const [fromProposal, unknown] = written.map(entry => registry.mainnetDeployment(entry));
+            const [unknownNote, proposalNote] = missing.map(item => drafts.draftNote(item));
+
+            return path.basename(drafts.DRAFT_PATH) === 'contracts.draft.json' &&
+                written.map(entry => entry.name).join() === 'TODO: name of code ID 8,TODO: name of code ID 20' &&
+                written.every(entry => entry.deprecated === false && /^TODO/.test(entry.description)) &&
+                fromProposal.governance === '12' &&
+                written.every(entry => !('draft' in entry)) &&
+                proposalNote === 'Code ID 8: created by xion1creator; stored by proposal 12 "Store draft test code" (Passed)' &&
+                unknown.hash === 'A'.repeat(64) &&
+                !('governance' in unknown) &&
+                /^Code ID 20: created by xion1creator; no store code proposal found/.test(unknownNote);
+        } finally {
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+    }
+
+    async testRegistryAutofix() {
+        const mainnet = (codeId, hash = 'A'.repeat(64)) => ({ 'xion-mainnet-1': { code_id: codeId, hash, governance: 'Genesis' } });
+        const testnet = { 'xion-testnet-2': { code_id: '9', hash: 'C'.repeat(64), deployed_by: 'xion1deployer', deployed_at: '2025-01-01T00:00:00Z' } };
+        const contracts = [
+            fixtureEntry('Second', mainnet('2', 'b'.repeat(64))),
+            fixtureEntry('Testnet only', testnet),
+            fixtureEntry('First', mainnet('1')),
+            fixtureEntry('Duplicate', mainnet('2')),
+            fixtureEntry('Bad URL', mainnet('3'))
+        ];
+        contracts[4].release.url = 'http://example.com';
+        const before = JSON.stringify(contracts);
+
+        const { contracts: fixed, fixes } = fixLib.fixRegistry(contracts);
+        const remaining = registry.validateRegistry(fixed).map(issue => issue.rule).sort();
+        const rules = fixes.map(fix => `${fix.name}:${fix.rule}`);
+
+        return JSON.stringify(contracts) === before &&
+            fixed.map(contract => contract.name).join() === 'First,Second,Duplicate,Bad URL,Testnet only' &&
+            registry.mainnetDeployment(fixed[1]).hash === 'B'.repeat(64) &&
+            fixed[4].deployments['xion-testnet-2'].deployed_at === '2025-01-01T00:00:00.000Z' &&
+            Object.keys(fixed[4]).join() === 'name,description,release,author,deprecated,deployments' &&
+            rules.join() === [
+                'Second:style/hash-uppercase',
+                'Testnet only:schema/pattern',
+                'Testnet only:order/mainnet-first',
+                'First:order/code-id-ascending'
+            ].join() &&
+            remaining.join() === 'order/duplicate-code-id,schema/pattern' &&
+            fixLib.fixRegistry(fixed).fixes.length === 0;
+    }
+
+    async testRegistryFormatting() {
+        const scrambled = {
+            deployments: {
+                'xion-devnet-9': { hash: 'd'.repeat(64), code_id: '4', deployed_at: '2025-01-01T00:00:00.000Z', deployed_by: 'xion1deployer' },
+                'xion-testnet-2': { deployed_by: 'xion1deployer', code_id: '3', deployed_at: '2025-01-01T00:00:00.000Z', hash: 'c'.repeat(64) },
+                'xion-mainnet-1': {
+                    governance: 'Genesis',
+                    instances: [{ label: 'Main', init_msg_hash: 'e'.repeat(64), address: 'xion1main' }],
+                    hash: 'a'.repeat(64),
+                    code_id: '2'
+                }
+            },
+            deprecated: false,
+            author: { url: 'https://burnt.com', name: 'Burnt Labs' },
+            custom: 'kept',
+            release: { version: 'v1.0.0', url: 'https://example.com' },
+            description: '',
+            name: 'Scrambled'
+        };
+        const first = fixtureEntry('First', { 'xion-mainnet-1': { code_id: '1', hash: 'B'.repeat(64), governance: 'Genesis' } });
+        const before = JSON.stringify(scrambled);
+        const [canonical] = formatLib.canonicalContracts([scrambled]);
+        const mainnet = canonical.deployments['xion-mainnet-1'];
+
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'registry-format-'));
+        const originalLog = console.log;
+        const originalError = console.error;
+        try {
+            console.log = () => {};
+            console.error = () => {};
+            const file = path.join(dir, 'contracts.json');
+            fs.writeFileSync(file, JSON.stringify([scrambled, first], null, 2));
+            const options = registryCli.parseOptions('format', [`--file=${file}`]);
+            const uncheckedFails = registryCli.format({ ...options, check: true }) === false;
+            const formatted = registryCli.format(options);
+            const text = fs.readFileSync(file, 'utf8');
+            const checkedPasses = registryCli.format({ ...options, check: true });
+
+            return JSON.stringify(scrambled) === before &&
+                Object.keys(canonical).join() === 'name,description,release,author,deprecated,deployments,custom' &&
+                Object.keys(canonical.release).join() === 'url,version' &&
+                Object.keys(canonical.author).join() === 'name,url' &&
+                Object.keys(canonical.deployments).join() === 'xion-mainnet-1,xion-testnet-2,xion-devnet-9' &&
+                Object.keys(mainnet).join() === 'code_id,hash,governance,instances' &&
+                Object.keys(mainnet.instances[0]).join() === 'address,label,init_msg_hash' &&
+                Object.keys(canonical.deployments['xion-testnet-2']).join() === 'code_id,hash,deployed_by,deployed_at' &&
+                mainnet.hash === 'A'.repeat(64) &&
+                mainnet.instances[0].init_msg_hash === 'E'.repeat(64) &&
+                uncheckedFails && formatted && checkedPasses &&
+                text.endsWith('}\n]\n') &&
+                JSON.parse(text).map(contract => contract.name).join() === 'First,Scrambled' &&
+                text === formatLib.stringifyRegistry(JSON.parse(text));
+        } finally {
+            console.log = originalLog;
+            console.error = originalError;
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+    }
+
+    async testReleaseArtifactVerification() {
+        const bytes = name => Buffer.from(`\0asm ${name}`);
+        const hashOf = name => registry.computeWasmHash(bytes(name).toString('base64'));
+        const entry = (name, version, hashes) => fixtureEntry(name,
+            Object.fromEntries(Object.entries(hashes).map(([chainId, code], i) => [chainId, { code_id: `${i + 1}`, hash: hashOf(code) }])),
+            { release: { url: `https://github.com/Burnt-Labs/contracts/releases/tag/${version}`, version } });
+        const contracts = [
+            entry('Reproducible', 'v1.0.0', { 'xion-mainnet-1': 'one', 'xion-testnet-2': 'one' }),
+            entry('Gzipped', 'v1.0.0', { 'xion-mainnet-1': 'two' }),
+            entry('Wrong Release', 'v1.0.0', { 'xion-mainnet-1': 'three' }),
+            entry('Mismatch', 'v1.0.0', { 'xion-mainnet-1': 'unpublished' }),
+            entry('Missing', 'v3.0.0', { 'xion-mainnet-1': 'four' }),
+            entry('Flat', 'v4.0.0', { 'xion-mainnet-1': 'flat' }),
+            entry('Testnet Build', 'v1.0.0', { 'xion-mainnet-1': 'one', 'xion-testnet-2': 'debug build' }),
+            entry('Testnet Only', 'v1.0.0', { 'xion-testnet-2': 'two' })
+        ];
+
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'release-artifacts-'));
+        const originalLog = console.log;
+        const originalError = console.error;
+        try {
+            const v1 = path.join(dir, 'burnt-labs', 'contracts', 'v1.0.0');
+            const v2 = path.join(dir, 'burnt-labs', 'contracts', 'v2.0.0');
+            fs.mkdirSync(v1, { recursive: true });
+            fs.mkdirSync(v2, { recursive: true });
+            fs.writeFileSync(path.join(v1, 'one.wasm'), bytes('one'));
+            fs.writeFileSync(path.join(v1, 'two.wasm.gz'), zlib.gzipSync(bytes('two')));
+            fs.writeFileSync(path.join(v1, 'checksums.txt'), 'ignored');
+            fs.writeFileSync(path.join(v2, 'three.wasm'), bytes('three'));
+            fs.writeFileSync(path.join(dir, 'flat.wasm'), bytes('flat'));
+
+            const artifacts = await releases.hashArtifacts(dir, { workers: 0 });
+            const checks = releases.checkReleases(contracts, artifacts);
+            const status = Object.fromEntries(checks.map(check => [check.name, check.status]));
+            const testnetChecks = releases.checkReleases(contracts, artifacts, { chainId: 'xion-testnet-2' });
+
+            const file = path.join(dir, 'contracts.json');
+            fs.writeFileSync(file, JSON.stringify(contracts));
+            console.log = () => {};
+            console.error = () => {};
+            const options = registryCli.parseOptions('verify-release', [`--file=${file}`, '--dir', dir]);
+            const fails = await registryCli.verifyRelease(options) === false;
+            fs.writeFileSync(file, JSON.stringify(contracts.filter(contract => !['Wrong Release', 'Mismatch'].includes(contract.name))));
+            const passes = await registryCli.verifyRelease(options);
+
+            return artifacts.length === 4 &&
+                artifacts.find(artifact => artifact.file === 'flat.wasm').release === null &&
+                releases.releaseKey(contracts[0].release) === 'burnt-labs/contracts@v1.0.0' &&
+                status['Reproducible'] === 'reproducible' &&
+                status['Gzipped'] === 'reproducible' &&
+                status['Wrong Release'] === 'other-release' &&
+                checks.find(check => check.name === 'Wrong Release').otherReleases[0] === 'burnt-labs/contracts@v2.0.0' &&
+                status['Mismatch'] === 'mismatch' &&
+                status['Missing'] === 'missing' &&
+                status['Flat'] === 'reproducible' &&
+                status['Testnet Build'] === 'reproducible' &&
+                checks.find(check => check.name === 'Testnet Build').deployments['xion-testnet-2'] === null &&
+                checks.find(check => check.name === 'Reproducible').deployments['xion-testnet-2'] === 'burnt-labs/contracts/v1.0.0/one.wasm' &&
+                !('Testnet Only' in status) &&
+                testnetChecks.find(check => check.name === 'Testnet Only').status === 'reproducible' &&
+                testnetChecks.find(check => check.name === 'Testnet Build').status === 'mismatch' &&
+                fails && passes;
+        } finally {
+            console.log = originalLog;
+            console.error = originalError;
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+    }
+
+    async testBuildChecksumVerification() {
+        const hashA = 'A'.repeat(64);
+        const hashB = 'B'.repeat(64);
+        const build = (overrides = {}) => ({
+            repository: 'https://github.com/CosmWasm/cw-plus',
+            tag: 'v1.1.0',
+            optimizer: { image: 'cosmwasm/workspace-optimizer', version: '0.12.13' },
+            artifact: 'cw1_whitelist.wasm',
+            ...overrides
+        });
+        const entry = (name, codeId, hash, buildInfo) => fixtureEntry(name, { 'xion-mainnet-1': { code_id: codeId, hash, governance: 'Genesis' } }, {
+            release: { url: 'https://github.com/CosmWasm/cw-plus/releases/tag/v1.1.0', version: 'v1.1.0' },
+            build: buildInfo,
+            author: { name: 'CosmWasm', url: 'https://cosmwasm.com' }
+        });
+        const contracts = [
+            entry('Whitelist', '1', hashA, build()),
+            entry('Subkeys', '2', hashB, build({ artifact: 'cw1_subkeys.wasm' })),
+            entry('Other Tag', '3', hashB, build({ tag: 'v2.0.0' })),
+            entry('Unlisted Artifact', '4', hashA, build({ artifact: 'cw20_base.wasm' })),
+            // Testnet runs another build; only the mainnet deployment is compared by default
+            { ...entry('Testnet Build', '5', hashA, build({ artifact: 'cw1_whitelist_ng.wasm' })), deployments: {
+                'xion-mainnet-1': { code_id: '5', hash: hashA, governance: 'Genesis' },
+                'xion-testnet-2': { code_id: '50', hash: hashB, deployed_by: 'xion1test', deployed_at: '2025-01-01T00:00:00.000Z' }
+            } }
+        ];
+
+        const { tag, ...untagged } = build();
+        const refIssues = registry.validateRegistry([entry('No Ref', '1', hashA, untagged)]);
+        const badCommit = registry.validateRegistry([entry('Bad Commit', '1', hashA, build({ commit: 'abc123' }))]);
+
+        const checksums = releases.parseChecksums(`${hashA.toLowerCase()}  cw1_whitelist.wasm\r\n${hashA}  artifacts/cw1_subkeys.wasm\n${hashA}  cw1_whitelist_ng.wasm\n\nnot a checksum line\n`);
+        const checks = releases.checkBuildChecksums(contracts, checksums, { repository: 'https://github.com/cosmwasm/cw-plus.git', tag: 'v1.1.0' });
+        const status = Object.fromEntries(checks.map(check => [check.name, check.status]));
+        const testnetChecks = releases.checkBuildChecksums(contracts, checksums, { chainId: 'xion-testnet-2' });
+
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'build-checksums-'));
+        const originalLog = console.log;
+        const originalError = console.error;
+        try {
+            const file = path.join(dir, 'contracts.json');
+            const checksumsFile = path.join(dir, 'checksums.txt');
+            fs.writeFileSync(file, JSON.stringify(contracts));
+            fs.writeFileSync(checksumsFile, `${hashA}  cw1_whitelist.wasm\n`);
+            console.log = () => {};
+            console.error = () => {};
+            const options = registryCli.parseOptions('verify-release', [`--file=${file}`, `--checksums=${checksumsFile}`, '--tag', 'v1.1.0']);
+            const passes = await registryCli.verifyRelease(options);
+            // Without --tag, Other Tag's build of the same artifact is checked too
+            const untaggedFails = await registryCli.verifyRelease({ ...options, tag: undefined }) === false;
+            fs.writeFileSync(checksumsFile, `${hashB}  cw1_whitelist.wasm\n`);
+            const fails = await registryCli.verifyRelease(options) === false;
+
+            return registry.validateRegistry(contracts).length === 0 &&
+                tag === 'v1.1.0' &&
+                refIssues.length === 1 && refIssues[0].rule === 'build/ref-required' && refIssues[0].path === '/0/build' &&
+                badCommit.some(issue => issue.path === '/0/build/commit' && issue.rule === 'schema/pattern') &&
+                checksums.size === 3 && checksums.get('cw1_whitelist.wasm') === hashA &&
+                checks.length === 4 &&
+                status['Whitelist'] === 'verified' &&
+                status['Subkeys'] === 'mismatch' &&
+                checks.find(check => check.name === 'Subkeys').hash === hashB &&
+                status['Unlisted Artifact'] === 'not-listed' &&
+                status['Testnet Build'] === 'verified' &&
+                testnetChecks.length === 1 && testnetChecks[0].name === 'Testnet Build' &&
+                testnetChecks[0].chainId === 'xion-testnet-2' && testnetChecks[0].status === 'mismatch' &&
+                passes && untaggedFails && fails;
+        } finally {
+            console.log = originalLog;
+            console.error = originalError;
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+    }
+
+    async testWasmInspection() {
+        // A minimal module: one function type, host imports, and an exported function per name
+        const leb = n => {
+            const out = [];
+            do {
+                let b = n & 0x7f;
+                n >>>= 7;
+                if (n) b |= 0x80;
+                out.push(b);
+            } while (n);
+            return out;
+        };
+        const str = text => [...leb(Buffer.byteLength(text)), ...Buffer.from(text)];
+        const section = (id, body) => [id, ...leb(body.length), ...body];
+        const vec = items => [...leb(items.length), ...items.flat()];
+        const buildModule = (imports, exports) => Buffer.from([0x00, 0x61, 0x73, 0x6d, 1, 0, 0, 0,
+            ...section(1, vec([[0x60, 0, 0]])),
+            ...section(2, vec([
+                ...imports.map(name => [...str('env'), ...str(name), 0, 0]),
+                [...str('env'), ...str('memory'), 2, 0, 1]
+            ])),
+            ...section(3, vec(exports.map(() => [0]))),
+            ...section(7, vec([
+                ...exports.map((name, i) => [...str(name), 0, ...leb(imports.length + i)]),
+                [...str('memory'), 2, 0]
+            ])),
+            ...section(10, vec(exports.map(() => [2, 0, 0x0b])))
+        ]);
+
+        const ibcModule = buildModule(['db_read', 'addr_validate'],
+            ['instantiate', 'execute', 'query', 'interface_version_8', 'requires_stargate', 'requires_iterator', 'ibc_channel_open', 'allocate']);
+        const plainModule = buildModule(['db_read'], ['instantiate', 'execute', 'query', 'interface_version_8']);
+        const summary = wasmLib.inspectWasm(ibcModule);
+        const gzipped = wasmLib.inspectWasm(zlib.gzipSync(ibcModule).toString('base64'));
+
+        let parseError = null;
+        try {
+            wasmLib.inspectWasm(ibcModule.subarray(0, 20));
+        } catch (error) {
+            parseError = error;
+        }
+
+        const entry = (name, description, hash, wasm) =>
+            fixtureEntry(name, { 'xion-mainnet-1': { code_id: '1', hash, governance: 'Genesis', ...(wasm ? { wasm } : {}) } }, { description });
+        const plainHash = registry.computeWasmHash(plainModule.toString('base64'));
+        const recordedIssues = registry.validateRegistry([
+            entry('Bridge', 'IBC bridge', plainHash, { size: plainModule.length, entry_points: ['execute'] })
+        ]).map(issue => `${issue.path} ${issue.rule} ${issue.severity}`);
+
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'wasm-inspect-'));
+        const originalLog = console.log;
+        const originalWarn = console.warn;
+        const originalError = console.error;
+        const warnings = [];
+        try {
+            const file = path.join(dir, 'contracts.json');
+            const wasmFile = path.join(dir, 'bridge.wasm.gz');
+            fs.writeFileSync(file, JSON.stringify([entry('Bridge', 'Sends tokens over IBC', plainHash)]));
+            fs.writeFileSync(wasmFile, zlib.gzipSync(plainModule));
+            fs.writeFileSync(path.join(dir, 'broken.wasm'), 'not wasm');
+            console.log = () => {};
+            console.error = () => {};
+            console.warn = message => warnings.push(message);
+            const inspected = await registryCli.inspect(registryCli.parseOptions('inspect', [`--file=${file}`, `--wasm=${wasmFile}`, '--write']));
+            const brokenFails = await registryCli.inspect(registryCli.parseOptions('inspect', [`--file=${file}`, '--dir', dir])) === false;
+            const written = JSON.parse(fs.readFileSync(file, 'utf8'))[0].deployments['xion-mainnet-1'].wasm;
+
+            return JSON.stringify(summary.entryPoints) === JSON.stringify(['instantiate', 'execute', 'query', 'ibc_channel_open']) &&
+                summary.interfaceVersion === 8 &&
+                summary.capabilities.join() === 'iterator,stargate' &&
+                summary.imports.join() === 'env.addr_validate,env.db_read' &&
+                summary.size === ibcModule.length && !summary.gzipped &&
+                gzipped.gzipped && gzipped.size === ibcModule.length &&
+                parseError instanceof wasmLib.WasmParseError &&
+                wasmLib.checkWasmSummary(entry('Bridge', 'IBC bridge'), { entry_points: summary.entryPoints }).length === 0 &&
+                recordedIssues.includes('/0/deployments/xion-mainnet-1/wasm wasm/no-instantiate warning') &&
+                recordedIssues.includes('/0/deployments/xion-mainnet-1/wasm wasm/ibc-without-entry-points warning') &&
+                inspected && brokenFails &&
+                JSON.stringify(written) === JSON.stringify({ size: plainModule.length, interface_version: 8, entry_points: ['instantiate', 'execute', 'query'] }) &&
+                warnings.some(message => message.includes('wasm/ibc-without-entry-points'));
+        } finally {
+            console.log = originalLog;
+            console.warn = originalWarn;
+            console.error = originalError;
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+    }
+
+    async testJsonSchemaValidator() {
+        const schema = {
+            type: 'array',
+            items: { $ref: '#/$defs/Entry' },
+            $defs: {
+                Entry: {
+                    type: 'object',
+                    required: ['kind', 'at'],
+                    additionalProperties: false,
+                    properties: {
+                        kind: { enum: ['a', 'b'] },
+                        at: { type: 'string', format: 'date-time' },
+                        ref: { oneOf: [{ type: 'string', enum: ['Genesis'] }, { type: 'string', pattern: '^[0-9]+$' }] }
+                    }
+                }
+            }
+        };
+
+        const valid = jsonSchema.validate([{ kind: 'a', at: '2025-04-08T18:22:41.924Z', ref: '87' }], schema);
+        const errors = jsonSchema.validate([
+            { kind: 'c', at: 'yesterday', ref: 'Proposal', extra: true },
+            { at: '2025-04-08T18:22:41.924Z' }
+        ], schema);
+        const keywords = errors.map(error => `${error.instancePath}:${error.keyword}`).sort();
+
+        // The real registry must satisfy the checked-in schema
+        const registryErrors = registry.validateJson(registry.loadRegistry());
+
+        return valid.length === 0 &&
+            registryErrors.length === 0 &&
+            JSON.stringify(keywords) === JSON.stringify([
+                '/0/at:format',
+                '/0/kind:enum',
+                '/0/ref:oneOf',
+                '/0:additionalProperties',
+                '/1:required'
+            ]);
+    }
+
+    async testValidationCollectsAllIssues() {
+        const contracts = JSON.parse(JSON.stringify(registry.loadRegistry()));
+        const mainnetIndexes = contracts
+            .map((contract, index) => registry.mainnetDeployment(contract) ? index : -1)
+            .filter(index => index >= 0);
+        const [first, second, third] = mainnetIndexes;
+
+        const mainnetOf = index => registry.mainnetDeployment(contracts[index]);
+        const pointer = index => registry.deploymentPointer(index, registry.MAINNET_CHAIN_ID);
+
+        // Three independent problems in three different entries, plus a swapped pair
+        mainnetOf(first).hash = 'not-a-hash';
+        mainnetOf(second).hash = mainnetOf(second).hash.toLowerCase();
+        delete contracts[third].author;
+        [contracts[mainnetIndexes[3]], contracts[mainnetIndexes[4]]] = [contracts[mainnetIndexes[4]], contracts[mainnetIndexes[3]]];
+
+        const issues = registry.validateRegistry(contracts);
+        const find = (path, rule) => issues.find(issue => issue.path === path && issue.rule === rule);
+        const groups = issuesLib.groupByContract(issues, contracts);
+
+        return issuesLib.hasErrors(issues) &&
+            find(`${pointer(first)}/hash`, 'schema/pattern') !== undefined &&
+            find(`${pointer(second)}/hash`, 'style/hash-uppercase').severity === 'warning' &&
+            find(`/${third}`, 'schema/required') !== undefined &&
+            find(`${pointer(mainnetIndexes[4])}/code_id`, 'order/code-id-ascending') !== undefined &&
+            groups.length === 4 &&
+            groups[0].label === `[${first}] ${contracts[first].name}`;
+    }
+
+    async testSourcePositions() {
+        const text = '[\n  {\n    "name": "A",\n    "extra": true,\n    "hash": "abc"\n  }\n]\n';
+        const source = jsonSource.parse(text);
+        const issues = issuesLib.attachLocations([
+            issuesLib.createIssue('/0/hash', 'schema/pattern', 'must be 64 hex characters long'),
+            issuesLib.createIssue('/0', 'schema/additionalProperties', 'has unknown property: extra', 'error', { additionalProperty: 'extra' })
+        ], source, 'contracts.json');
+
+        let syntaxError = null;
+        try {
+            jsonSource.parse('[\n  {"a": tru}\n]');
+        } catch (error) {
+            syntaxError = error;
+        }
+
+        return JSON.stringify(source.value) === JSON.stringify(JSON.parse(text)) &&
+            issuesLib.formatLocation(issues[0].location) === 'contracts.json:5:13' &&
+            issues[0].location.excerpt[1] === '  |             ^' &&
+            issuesLib.formatLocation(issues[1].location) === 'contracts.json:4:5' &&
+            syntaxError instanceof jsonSource.JsonSyntaxError &&
+            syntaxError.line === 2 && syntaxError.column === 9;
+    }
+
+    async testGithubAnnotations() {
+        const contracts = registry.loadRegistry();
+        const targetContract = contracts.find(contract => registry.mainnetDeployment(contract));
+        const target = registry.mainnetDeployment(targetContract);
+        const validator = new UnifiedValidator({ format: 'github' });
+
+        validator.results.onChainVerification = {
+            success: true,
+            discrepancies: {
+                missingFromJson: [{ codeId: '99999', hash: 'B'.repeat(64) }],
+                missingFromChain: [],
+                hashMismatches: [{
+                    codeId: target.code_id,
+                    name: targetContract.name,
+                    localHash: target.hash,
+                    chainHash: 'A'.repeat(64)
+                }],
+                governanceIssues: [],
+                provenanceIssues: [],
+                deprecatedIssues: [],
+                testnetIssues: [],
+                instanceIssues: [],
+                versionIssues: [],
+                migrationIssues: []
+            }
+        };
+
+        const [mismatch, missing] = validator.collectDiscrepancyIssues();
+        const mismatchAnnotation = issuesLib.formatGithubAnnotation(mismatch, 'contracts.json');
+        const missingAnnotation = issuesLib.formatGithubAnnotation(missing, 'contracts.json');
+        const escaped = issuesLib.formatGithubAnnotation(
+            issuesLib.createIssue('', 'a,b', 'line 1\nline 2 100%', 'warning'), 'contracts.json'
+        );
+
+        return /^::error file=contracts\.json,line=\d+,col=\d+,title=chain\/hash-mismatch::\/\d+\/deployments\/xion-mainnet-1\/hash /.test(mismatchAnnotation) &&
+            missingAnnotation.startsWith('::warning file=contracts.json,title=chain/missing-from-json::Code ID 99999') &&
+            escaped === '::warning file=contracts.json,title=a%2Cb::line 1%0Aline 2 100%25';
+    }
+
+    async testMachineReadableReports() {
+        const contracts = registry.loadRegistry();
+        const targetContract = contracts.find(contract => registry.mainnetDeployment(contract));
+        const target = registry.mainnetDeployment(targetContract);
+        const validator = new UnifiedValidator({ format: 'json' });
+        await validator.validateJsonStructure();
+
+        validator.results.onChainVerification = {
+            success: true,
+            discrepancies: {
+                missingFromJson: [{ codeId: '99999', hash: 'B'.repeat(64) }],
+                missingFromChain: [],
+                hashMismatches: [{
+                    codeId: target.code_id,
+                    name: targetContract.name,
+                    localHash: target.hash,
+                    chainHash: 'A'.repeat(64)
+                }],
+                governanceIssues: [],
+                provenanceIssues: [],
+                deprecatedIssues: [],
+                testnetIssues: [],
+                instanceIssues: [],
+                versionIssues: [],
+                migrationIssues: []
+            }
+        };
+
+        const issues = validator.collectIssues();
+        const json = JSON.parse(JSON.stringify(report.buildJsonReport(validator.results, {
+            success: true, issues, checks: validator.checks()
+        })));
+        const sarif = report.buildSarifReport(issues);
+        const mismatch = sarif.runs[0].results.find(result => result.ruleId === 'chain/hash-mismatch');
+        const missing = sarif.runs[0].results.find(result => result.ruleId === 'chain/missing-from-json');
+
+        return json.version === report.JSON_REPORT_VERSION &&
+            json.checks.join() === 'json,chain' &&
+            json.onChainVerification.discrepancies.hashMismatches.length === 1 &&
+            json.issues.length === issues.length &&
+            sarif.version === '2.1.0' &&
+            sarif.runs[0].tool.driver.rules.some(rule => rule.id === 'chain/hash-mismatch') &&
+            mismatch.level === 'error' &&
+            mismatch.locations[0].physicalLocation.region.startLine > 1 &&
+            missing.level === 'warning' &&
+            missing.locations[0].physicalLocation.artifactLocation.uri === 'contracts.json' &&
+            !missing.locations[0].physicalLocation.region;
+    }
+
+    async testChainSnapshotReplay() {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'chain-snapshot-'));
+        const originalFetch = global.fetch;
+        const pages = {
+            '': { code_infos: [{ code_id: '1', data_hash: 'a'.repeat(64) }], pagination: { next_key: 'AAE=/+' } },
+            'AAE=/+': { code_infos: [{ code_id: '2', data_hash: 'b'.repeat(64) }], pagination: { next_key: null } }
+        };
+
+        try {
+            global.fetch = async (url) => {
+                const key = new URL(url).searchParams.get('pagination.key') || '';
+                return { ok: true, status: 200, json: async () => pages[key] };
+            };
+            const recorder = new UnifiedValidator({ snapshotDir: dir });
+            const recorded = await recorder.fetchOnChainContracts();
+
+            global.fetch = async () => {
+                throw new Error('network access in offline mode');
+            };
+            const replayer = new UnifiedValidator({ offlineDir: dir });
+            const replayed = await replayer.fetchOnChainContracts();
+
+            let missing = false;
+            try {
+                await replayer.fetchTestnetContracts();
+            } catch (error) {
+                missing = /No recorded response/.test(error.message);
+            }
+
+            return recorded.length === 2 &&
+                JSON.stringify(replayed) === JSON.stringify(recorded) &&
+                fs.existsSync(chainSnapshot.snapshotFile(dir, `${recorder.apiBaseUrl}/cosmwasm/wasm/v1/code`)) &&
+                missing;
+        } finally {
+            global.fetch = originalFetch;
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+    }
+
+    async testResilientHttpClient() {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'lcd-cache-'));
+        const originalFetch = global.fetch;
+        const respond = (status, body, headers = {}) => ({
+            ok: status >= 200 && status < 300,
+            status,
+            statusText: `${status}`,
+            headers: { get: name => headers[name.toLowerCase()] || null },
+            json: async () => body
+        });
+
+        try {
+            // 503s are retried, 404s are not
+            let calls = 0;
+            global.fetch = async (url) => {
+                calls++;
+                if (url.endsWith('/missing')) return respond(404, {});
+                return calls < 3 ? respond(503, {}) : respond(200, { ok: true });
+            };
+            const client = httpLib.createHttpClient({ retryDelay: 1 });
+            const retried = (await client.fetchJson('https://lcd.test/flaky')).ok === true && calls === 3;
+            calls = 0;
+            let notFound = false;
+            try {
+                await client.fetchJson('https://lcd.test/missing');
+            } catch (error) {
+                notFound = error.status === 404 && calls === 1;
+            }
+
+            // Hung requests are aborted
+            global.fetch = (url, { signal }) => new Promise((resolve, reject) => {
+                signal.addEventListener('abort', () => reject(new Error('aborted')));
+            });
+            let timedOut = false;
+            try {
+                await httpLib.createHttpClient({ timeout: 5, retries: 1, retryDelay: 1 }).fetchJson('https://lcd.test/slow');
+            } catch (error) {
+                timedOut = error.code === 'ETIMEDOUT';
+            }
+
+            // No more than `concurrency` requests at once
+            let active = 0;
+            let peak = 0;
+            global.fetch = async () => {
+                active++;
+                peak = Math.max(peak, active);
+                await new Promise(resolve => setTimeout(resolve, 5));
+                active--;
+                return respond(200, {});
+            };
+            const limited = httpLib.createHttpClient({ concurrency: 2 });
+            await Promise.all([1, 2, 3, 4, 5].map(i => limited.fetchJson(`https://lcd.test/${i}`)));
+
+            // Fresh cache entries skip the request, stale ones are revalidated by ETag
+            const requests = [];
+            global.fetch = async (url, { headers }) => {
+                requests.push(headers['If-None-Match'] || null);
+                return headers['If-None-Match'] === '"v1"'
+                    ? respond(304, null)
+                    : respond(200, { proposals: [1] }, { etag: '"v1"' });
+            };
+            const url = 'https://lcd.test/cosmos/gov/v1/proposals';
+            await httpLib.createHttpClient({ cacheDir: dir }).fetchJson(url);
+            await httpLib.createHttpClient({ cacheDir: dir }).fetchJson(url);
+            const revalidated = await httpLib.createHttpClient({ cacheDir: dir, cacheTtl: 0 }).fetchJson(url);
+
+            const parsed = httpLib.parseHttpArgs(['--timeout=500', '--cache', '--cache-ttl=60']);
+            let invalid = false;
+            try {
+                httpLib.parseHttpArgs(['--retries=lots']);
+            } catch (error) {
+                invalid = true;
+            }
+
+            return retried && notFound && timedOut &&
+                peak === 2 &&
+                JSON.stringify(requests) === JSON.stringify([null, '"v1"']) &&
+                revalidated.proposals[0] === 1 &&
+                parsed.timeout === 500 && parsed.cacheDir === httpLib.DEFAULT_CACHE_DIR && parsed.cacheTtl === 60 &&
+                invalid;
+        } finally {
+            global.fetch = originalFetch;
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+    }
+
+    async testNetworkConfiguration() {
+        const config = networks.loadNetworks();
+        const mainnet = networks.resolveNetwork('mainnet', { env: {} });
+        const fromEnv = networks.resolveNetwork(undefined, {
+            env: { XION_NETWORK: 'testnet', XION_TESTNET_LCD: 'http://localhost:1317/' }
+        });
+        const fromFlag = networks.resolveNetwork('testnet', {
+            lcd: 'http://archive:1317',
+            env: { XION_TESTNET_LCD: 'http://localhost:1317' }
+        });
+        const validator = new UnifiedValidator({ lcd: 'http://archive:1317' });
+
+        let unknownRejected = false;
+        try {
+            networks.resolveNetwork('nope', { env: {} });
+        } catch (error) {
+            unknownRejected = /Unknown network "nope"/.test(error.message);
+        }
+
+        return jsonSchema.validate(config, networks.networksSchema).length === 0 &&
+            mainnet.lcd === config.mainnet.lcd &&
+            fromEnv.name === 'testnet' &&
+            fromEnv.lcd === 'http://localhost:1317' &&
+            fromFlag.lcd === 'http://archive:1317' &&
+            networks.apiUrl(fromFlag, 'proposal', { id: 42 }) === 'http://archive:1317/cosmos/gov/v1/proposals/42' &&
+            networks.explorerUrl(mainnet, 'proposal', { id: 42 }) === config.mainnet.explorer.proposal.replace('{id}', '42') &&
+            validator.apiBaseUrl === 'http://archive:1317' &&
+            validator.apiTestnetBaseUrl === config.testnet.lcd.replace(/\/+$/, '') &&
+            JSON.stringify(networks.parseNetworkArgs(['--network=devnet', '--lcd=http://x', '-v'])) ===
+                JSON.stringify({ network: 'devnet', lcd: 'http://x' }) &&
+            unknownRejected;
+    }
+
+    async testPackageQueryApi() {
+        const first = registryPackage.contracts.find(contract => registryPackage.deploymentOf(contract, 'mainnet'));
+        const firstMainnet = registryPackage.deploymentOf(first, 'mainnet');
+        const byCodeId = registryPackage.findByCodeId('mainnet', Number(firstMainnet.code_id));
+        const byHash = registryPackage.findByHash(firstMainnet.hash.toLowerCase());
+        const byName = registryPackage.getContract(first.name, { network: 'mainnet' });
+        const latest = registryPackage.latestVersion(registryPackage.contractFamily(first.name));
+        const active = registryPackage.listActive();
+        // The package must bundle for the browser: nothing but JSON and lib/lookup.js (doc comment lines skipped)
+        const requiresOf = file => [...fs.readFileSync(path.join(__dirname, '..', file), 'utf8').matchAll(/^(?!\s*\*).*require\('([^']+)'\)/gm)].map(match => match[1]);
+        const browserSafe = [...requiresOf('index.js'), ...requiresOf('scripts/lib/lookup.js')]
+            .every(request => request.endsWith('.json') || request === './scripts/lib/lookup');
+
+        return byCodeId === first &&
+            byHash === first &&
+            byName !== undefined && byName.name === first.name &&
+            latest !== undefined && !latest.deprecated &&
+            active.length > 0 && active.every(contract => !contract.deprecated) &&
+            registryPackage.contractFamily('MetaAccount (v2)') === 'MetaAccount' &&
+            browserSafe;
+    }
+
     async testFileAccessibility() {
         try {
             const contractsPath = path.join(__dirname, '..', 'contracts.json');
@@ -441,9 +1797,11 @@ class UnifiedValidatorTester {
             
             let hashErrors = [];
             contractsData.forEach((contract, index) => {
-                if (!contract.hash || !/^[A-F0-9]{64}$/.test(contract.hash)) {
-                    hashErrors.push(`Contract ${index + 1} (${contract.name}): Invalid hash format`);
-                }
+                Object.entries(contract.deployments || {}).forEach(([chainId, deployment]) => {
+                    if (!/^[a-fA-F0-9]{64}$/.test(deployment.hash)) {
+                        hashErrors.push(`Contract ${index + 1} (${contract.name}): Invalid ${chainId} hash format`);
+                    }
+                });
             });
             
             return hashErrors.length === 0;
@@ -454,9 +1812,9 @@ class UnifiedValidatorTester {
 
     async testNetworkConnectivity() {
         try {
-            const validator = new UnifiedValidator();
-            const response = await fetch(`${validator.apiBaseUrl}/cosmwasm/wasm/v1/code`);
-            return response.ok;
+            const validator = new UnifiedValidator({ offlineDir: this.offlineDir });
+            const data = await validator.chain.fetchJson(`${validator.apiBaseUrl}/cosmwasm/wasm/v1/code`);
+            return Array.isArray(data.code_infos);
         } catch (error) {
             return false;
         }
@@ -475,6 +1833,9 @@ class UnifiedValidatorTester {
         // API connectivity tests (may fail if API is down)
         await this.runTest('API Connectivity', () => this.testApiConnectivity());
         await this.runTest('Governance Proposals Fetch', () => this.testGovernanceProposalsFetch());
+        await this.runTest('Governance Proposal Pagination', () => this.testGovernanceProposalPagination());
+        await this.runTest('Streaming Proposal Scan', () => this.testStreamingProposalScan());
+        await this.runTest('Hash Pool Worker Exit', () => this.testHashPoolWorkerExit());
         await this.runTest('Testnet Contracts Fetch', () => this.testTestnetContractsFetch());
         
         // Analysis tests
@@ -482,11 +1843,34 @@ class UnifiedValidatorTester {
         await this.runTest('Hash Mismatch Detection', () => this.testHashMismatchDetection());
         await this.runTest('Governance Issue Detection', () => this.testGovernanceIssueDetection());
         await this.runTest('Testnet Issue Detection', () => this.testTestnetIssueDetection());
+        await this.runTest('Nested Mainnet Verification', () => this.testNestedMainnetVerification());
+        await this.runTest('Governance Provenance', () => this.testGovernanceProvenance());
         await this.runTest('Recommendation Generation', () => this.testRecommendationGeneration());
         
         // Data validation tests
         await this.runTest('JSON Structure Validation', () => this.testJsonValidation());
         await this.runTest('Duplicate Code ID Detection', () => this.testDuplicateCodeIdDetection());
+        await this.runTest('Registry Library', () => this.testRegistryLibrary());
+        await this.runTest('Deployments Model', () => this.testDeploymentsModel());
+        await this.runTest('Instance Verification', () => this.testInstanceVerification());
+        await this.runTest('Contract Version Detection', () => this.testContractVersionDetection());
+        await this.runTest('Migration Detection', () => this.testMigrationDetection());
+        await this.runTest('Registry Add Command', () => this.testRegistryAddCommand());
+        await this.runTest('Draft Missing Entries', () => this.testDraftMissingEntries());
+        await this.runTest('Registry Autofix', () => this.testRegistryAutofix());
+        await this.runTest('Registry Formatting', () => this.testRegistryFormatting());
+        await this.runTest('Release Artifact Verification', () => this.testReleaseArtifactVerification());
+        await this.runTest('Build Checksum Verification', () => this.testBuildChecksumVerification());
+        await this.runTest('Wasm Inspection', () => this.testWasmInspection());
+        await this.runTest('JSON Schema Validator', () => this.testJsonSchemaValidator());
+        await this.runTest('Validation Collects All Issues', () => this.testValidationCollectsAllIssues());
+        await this.runTest('Source Positions', () => this.testSourcePositions());
+        await this.runTest('GitHub Annotations', () => this.testGithubAnnotations());
+        await this.runTest('Machine-readable Reports', () => this.testMachineReadableReports());
+        await this.runTest('Chain Snapshot Replay', () => this.testChainSnapshotReplay());
+        await this.runTest('Resilient HTTP Client', () => this.testResilientHttpClient());
+        await this.runTest('Network Configuration', () => this.testNetworkConfiguration());
+        await this.runTest('Package Query API', () => this.testPackageQueryApi());
         await this.runTest('File Accessibility', () => this.testFileAccessibility());
         await this.runTest('Hash Format Validation', () => this.testHashFormatValidation());
         await this.runTest('Network Connectivity', () => this.testNetworkConnectivity());
@@ -532,6 +1916,8 @@ async function main() {
     args.forEach(arg => {
         if (arg === '--verbose' || arg === '-v') {
             options.verbose = true;
+        } else if (arg.startsWith('--offline=')) {
+            options.offlineDir = arg.slice('--offline='.length);
         } else if (arg === '--help' || arg === '-h') {
             console.log(`
 Unified Validator Test Suite
@@ -540,11 +1926,14 @@ Usage: node scripts/test-unified-validator.js [options]
 
 Options:
   --verbose, -v               Enable verbose output
+  --offline=DIR              Run the API tests against chain responses
+                             recorded with unified-validator.js --snapshot=DIR
   --help, -h                 Show this help message
 
 Examples:
   node scripts/test-unified-validator.js
   node scripts/test-unified-validator.js --verbose
+  node scripts/test-unified-validator.js --offline=fixtures/chain
             `);
             process.exit(0);
         }
@@ -10,7 +10,8 @@
  * 1. JSON structure validation (from validate.js)
  * 2. On-chain verification (from verify-contracts.js)
  * 3. Enhanced analysis and recommendations
- * 4. Support for both mainnet and testnet
+ * 4. Support for both mainnet and testnet, including instantiated contract
+ *    addresses and the cw2 versions they report
  * 5. Comprehensive testing capabilities
  * 6. Detailed reporting and actionable recommendations
  * 
@@ -20,17 +21,64 @@
  * Options:
  *   --validate-only     Only validate JSON structure
  *   --verify-only      Only verify against on-chain data
- *   --network=mainnet|testnet  Choose network (default: mainnet)
+ *   --network=NAME     Chain from networks.json to verify mainnet entries
+ *                      against (default: $XION_NETWORK or mainnet)
+ *   --lcd=URL          Override that network's LCD endpoint
+ *   --format=text|github|json|sarif  Output format (github adds workflow
+ *                     annotations; json and sarif print a report on stdout)
+ *   --snapshot=DIR     Record chain responses to DIR while verifying
+ *   --offline=DIR      Verify against responses recorded in DIR (no network)
+ *   --timeout=MS, --retries=N, --concurrency=N  LCD request limits
+ *   --cache[=DIR], --cache-ttl=SECONDS  Keep LCD responses on disk
+ *                      (see lib/http.js)
+ *   --addresses=FILE   Watch these contract addresses for migrations
+ *                      (see lib/migrations.js)
+ *   --draft-missing[=FILE], --fix  Write stub entries for code missing from
+ *                      contracts.json to contracts.draft.json or FILE
+ *                      (see lib/drafts.js)
  *   --verbose, -v      Enable verbose output
  *   --test            Run test suite
  *   --help, -h        Show help
  */
 
-const fs = require('fs');
 const path = require('path');
-const crypto = require('crypto');
-const zlib = require('zlib');
-const { spawn } = require('child_process');
+const {
+    loadRegistry,
+    validateRegistryFile,
+    computeWasmHash,
+    getStatusString,
+    normalizeHash,
+    deploymentOn,
+    deploymentsOf,
+    otherDeployments,
+    instancesOf,
+    byCodeId,
+    byHash,
+    loadRegistrySource,
+    pointerForCodeId,
+    pointerForInstance
+} = require('./lib/registry');
+const {
+    createIssue,
+    attachLocations,
+    hasErrors,
+    formatIssue,
+    formatGithubAnnotation
+} = require('./lib/issues');
+const { buildJsonReport, buildSarifReport } = require('./lib/report');
+const { createChainClient, parseSnapshotArgs } = require('./lib/chain-snapshot');
+const { parseHttpArgs } = require('./lib/http');
+const { loadNetworks, resolveNetwork, networkNameForChainId, parseNetworkArgs } = require('./lib/networks');
+const { verifyInstances } = require('./lib/instances');
+const { VERSION_RULES, verifyContractVersions } = require('./lib/cw2');
+const { loadWatchList, checkMigrations } = require('./lib/migrations');
+const { DRAFT_PATH, writeDrafts, draftNote } = require('./lib/drafts');
+const { PROVENANCE_RULES, checkProvenance } = require('./lib/provenance');
+const { storeCodeOf, storeCodeHash, memoFile, scanProposals } = require('./lib/proposals');
+
+const OUTPUT_FORMATS = ['text', 'github', 'json', 'sarif'];
+// Formats whose stdout is a single document; progress output goes to stderr
+const REPORT_FORMATS = ['json', 'sarif'];
 
 // Colors for console output
 const colors = {
@@ -45,78 +93,49 @@ const colors = {
     gray: '\x1b[90m'
 };
 
-function colorLog(color, message) {
-    console.log(`${colors[color]}${message}${colors.reset}`);
+function colorLog(color, message, stream = console.log) {
+    stream(`${colors[color]}${message}${colors.reset}`);
 }
 
-// JSON Schema validation (from validate.js)
-const testnetSchema = {
-    type: 'object',
-    required: ['code_id', 'hash', 'network', 'deployed_by', 'deployed_at'],
-    properties: {
-        code_id: { type: 'string', pattern: '^[0-9]+$' },
-        hash: { 
-            type: 'string', 
-            pattern: '^[a-fA-F0-9]{64}$',
-            message: 'Testnet hash must be 64 hex characters long' 
-        },
-        network: { type: 'string', minLength: 1 },
-        deployed_by: { type: 'string', pattern: '^xion[a-z0-9]+$' },
-        deployed_at: { type: 'string', pattern: '^\\d{4}-\\d{2}-\\d{2}T\\d{2}:\\d{2}:\\d{2}\\.\\d{3}Z$' }
-    }
-};
-
-const schema = {
-    type: 'array',
-    items: {
-        type: 'object',
-        required: ['name', 'description', 'code_id', 'hash', 'release', 'author', 'governance', 'deprecated'],
-        properties: {
-            name: { type: 'string', minLength: 1 },
-            description: { type: 'string' },
-            code_id: { type: 'string', pattern: '^[0-9]+$' },
-            hash: { 
-                type: 'string', 
-                pattern: '^[A-F0-9]{64}$',
-                message: 'Mainnet hash must be 64 characters long and contain only uppercase hex characters'
-            },
-            release: {
-                type: 'object',
-                required: ['url', 'version'],
-                properties: {
-                    url: { type: 'string', pattern: '^https://' },
-                    version: { type: 'string', minLength: 1 }
-                }
-            },
-            author: {
-                type: 'object',
-                required: ['name', 'url'],
-                properties: {
-                    name: { type: 'string', minLength: 1 },
-                    url: { type: 'string', pattern: '^https://' }
-                }
-            },
-            governance: { 
-                type: 'string',
-                pattern: '^(Genesis|[0-9]+)$'
-            },
-            deprecated: { type: 'boolean' },
-            testnet: { ...testnetSchema, optional: true }
-        }
-    }
-};
-
 class UnifiedValidator {
     constructor(options = {}) {
         this.verbose = options.verbose || false;
         this.validateOnly = options.validateOnly || false;
         this.verifyOnly = options.verifyOnly || false;
+        this.format = options.format || 'text';
+        this.reportOutput = REPORT_FORMATS.includes(this.format);
+        this.chain = createChainClient({
+            snapshotDir: options.snapshotDir,
+            offlineDir: options.offlineDir,
+            http: options.http
+        });
+        this.addressesFile = options.addressesFile || null;
+        this.watchList = [];
+        // Pages the last fetchGovernanceProposals() call went through
+        this.proposalPageCount = 0;
+        this.draftFile = options.draftFile || null;
         
-        this.apiBaseUrl = 'https://api.xion-mainnet-1.burnt.com';
-        this.apiTestnetBaseUrl = 'https://api.xion-testnet-2.burnt.com';
+        // Endpoints come from networks.json; see lib/networks.js for overrides
+        this.network = resolveNetwork(options.network, { lcd: options.lcd, rpc: options.rpc });
+        this.testnetNetwork = resolveNetwork('testnet');
+        this.apiBaseUrl = this.network.lcd;
+        this.apiTestnetBaseUrl = this.testnetNetwork.lcd;
+
+        // Read up front so a bad --addresses file stops the run before any request
+        if (this.addressesFile) {
+            try {
+                this.watchList = loadWatchList(this.addressesFile, {
+                    contracts: loadRegistry(),
+                    networks: loadNetworks(),
+                    defaultChainId: this.network.chain_id
+                });
+            } catch (error) {
+                throw new Error(`--addresses=${this.addressesFile}: ${error.message}`);
+            }
+        }
         
         this.results = {
-            jsonValidation: { valid: false, errors: [] },
+            jsonValidation: { valid: false, errors: [], issues: [] },
             onChainVerification: { success: false, discrepancies: {} },
             summary: {},
             recommendations: []
@@ -132,100 +151,30 @@ class UnifiedValidator {
                 error: 'red',
                 debug: 'gray'
             };
-            colorLog(colorMap[level] || 'cyan', message);
-        }
-    }
-
-    // JSON validation methods (from validate.js)
-    validateJson(data, schema, path = '') {
-        if (schema.type === 'array') {
-            if (!Array.isArray(data)) {
-                throw new Error(`${path} must be an array`);
-            }
-            
-            // Check for duplicate code IDs
-            const codeIds = new Set();
-            data.forEach((item, index) => {
-                if (item.code_id && codeIds.has(item.code_id)) {
-                    throw new Error(`Duplicate code_id ${item.code_id} found`);
-                }
-                if (item.code_id) codeIds.add(item.code_id);
-                this.validateJson(item, schema.items, `${path}[${index}]`);
-            });
-
-            // Check code_id ordering
-            for (let i = 1; i < data.length; i++) {
-                if (data[i-1].code_id && data[i].code_id) {
-                    const prevCodeId = parseInt(data[i-1].code_id);
-                    const currentCodeId = parseInt(data[i].code_id);
-                    if (currentCodeId < prevCodeId) {
-                        throw new Error(`Contracts not in code_id order: ${data[i-1].name} (${prevCodeId}) comes before ${data[i].name} (${currentCodeId})`);
-                    }
-                }
-            }
-            return;
-        }
-
-        if (schema.type === 'object') {
-            if (typeof data !== 'object' || data === null) {
-                throw new Error(`${path} must be an object`);
-            }
-
-            // Check required properties
-            for (const required of schema.required || []) {
-                if (!(required in data)) {
-                    throw new Error(`${path} missing required property: ${required}`);
-                }
-            }
-
-            // Validate each property
-            for (const [key, value] of Object.entries(data)) {
-                const propertySchema = schema.properties[key];
-                if (!propertySchema) {
-                    throw new Error(`${path} has unknown property: ${key}`);
-                }
-                if (!propertySchema.optional || (key in data)) {
-                    this.validateJson(value, propertySchema, `${path}.${key}`);
-                }
-            }
-            return;
+            colorLog(colorMap[level] || 'cyan', message, this.reportOutput ? console.error : console.log);
         }
-
-        if (schema.type === 'string') {
-            if (typeof data !== 'string') {
-                throw new Error(`${path} must be a string`);
-            }
-            if (schema.minLength && data.length < schema.minLength) {
-                throw new Error(`${path} must be at least ${schema.minLength} characters`);
-            }
-            if (schema.pattern) {
-                const regex = new RegExp(schema.pattern);
-                if (!regex.test(data)) {
-                    throw new Error(`${path} ${schema.message || `must match pattern: ${schema.pattern}`}`);
-                }
-            }
-            return;
-        }
-
-        if (schema.type === 'boolean') {
-            if (typeof data !== 'boolean') {
-                throw new Error(`${path} must be a boolean`);
-            }
-            return;
-        }
-
-        throw new Error(`Unknown schema type: ${schema.type}`);
     }
 
     async validateJsonStructure() {
         this.log('Validating contracts.json structure...');
         
         try {
-            const contractsPath = path.join(__dirname, '..', 'contracts.json');
-            const data = JSON.parse(fs.readFileSync(contractsPath, 'utf8'));
-            this.validateJson(data, schema);
+            const { contracts: data, issues } = validateRegistryFile();
+            this.results.jsonValidation.issues = issues;
+            
+            issues.filter(issue => issue.severity === 'warning').forEach(issue => {
+                this.log(`⚠️  ${formatIssue(issue)}`, 'warning');
+            });
+            
+            if (hasErrors(issues)) {
+                const errors = issues.filter(issue => issue.severity === 'error');
+                this.results.jsonValidation.valid = false;
+                this.results.jsonValidation.errors.push(...errors.map(formatIssue));
+                this.log(`❌ JSON validation failed with ${errors.length} error(s)`, 'error');
+                return false;
+            }
             
-            // Check for missing testnet configurations
+            // Check for contracts only deployed on the primary chain
             this.checkTestnetConfigurations(data);
             
             this.results.jsonValidation.valid = true;
@@ -243,9 +192,10 @@ class UnifiedValidator {
         const contractsWithoutTestnet = [];
         
         contracts.forEach(contract => {
-            if (!contract.testnet) {
+            if (otherDeployments(contract, this.network.chain_id).length === 0) {
+                const deployment = deploymentOn(contract, this.network.chain_id);
                 contractsWithoutTestnet.push({
-                    codeId: contract.code_id,
+                    codeId: deployment ? deployment.code_id : 'n/a',
                     name: contract.name
                 });
             }
@@ -262,45 +212,28 @@ class UnifiedValidator {
 
     // On-chain verification methods (from verify-contracts.js)
     calculateWasmHash(base64WasmCode) {
-        try {
-            const wasmBuffer = Buffer.from(base64WasmCode, 'base64');
-            
-            try {
-                const unzippedBuffer = zlib.gunzipSync(wasmBuffer);
-                const hash = crypto.createHash('sha256')
-                    .update(unzippedBuffer)
-                    .digest('hex')
-                    .toUpperCase();
-                return hash;
-            } catch (gzipError) {
-                const hash = crypto.createHash('sha256')
-                    .update(wasmBuffer)
-                    .digest('hex')
-                    .toUpperCase();
-                return hash;
-            }
-        } catch (error) {
-            this.log(`Error calculating wasm hash: ${error.message}`, 'error');
-            return null;
+        const hash = computeWasmHash(base64WasmCode);
+        if (!hash) {
+            this.log('Error calculating wasm hash: could not decode wasm byte code', 'error');
         }
+        return hash;
     }
 
     getStatusString(status) {
-        const statusMap = {
-            'PROPOSAL_STATUS_UNSPECIFIED': 'Unspecified',
-            'PROPOSAL_STATUS_DEPOSIT_PERIOD': 'Deposit Period',
-            'PROPOSAL_STATUS_VOTING_PERIOD': 'Voting Period',
-            'PROPOSAL_STATUS_PASSED': 'Passed',
-            'PROPOSAL_STATUS_REJECTED': 'Rejected',
-            'PROPOSAL_STATUS_FAILED': 'Failed'
-        };
-        return statusMap[status] || status;
+        return getStatusString(status);
+    }
+
+    // Resolved network for a chain ID, or null when networks.json doesn't list it
+    networkForChainId(chainId) {
+        if (chainId === this.network.chain_id) return this.network;
+        if (chainId === this.testnetNetwork.chain_id) return this.testnetNetwork;
+        const name = networkNameForChainId(chainId);
+        return name ? resolveNetwork(name) : null;
     }
 
-    async fetchContracts(network = 'mainnet') {
-        const isTestnet = network === 'testnet';
-        const apiUrl = isTestnet ? this.apiTestnetBaseUrl : this.apiBaseUrl;
-        const networkName = isTestnet ? 'testnet' : 'mainnet';
+    async fetchContracts(network = this.network) {
+        const apiUrl = network.lcd;
+        const networkName = network.chain_id;
         
         this.log(`Fetching contracts from ${networkName}...`);
         
@@ -315,12 +248,7 @@ class UnifiedValidator {
                     ? `${apiUrl}/cosmwasm/wasm/v1/code?pagination.key=${encodeURIComponent(paginationKey)}`
                     : `${apiUrl}/cosmwasm/wasm/v1/code`;
                 
-                const response = await fetch(url);
-                if (!response.ok) {
-                    throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-                }
-                
-                const data = await response.json();
+                const data = await this.chain.fetchJson(url);
                 const contracts = data.code_infos || [];
                 allContracts.push(...contracts);
                 
@@ -340,25 +268,35 @@ class UnifiedValidator {
     }
 
     async fetchOnChainContracts() {
-        return await this.fetchContracts('mainnet');
+        return await this.fetchContracts(this.network);
     }
 
     async fetchTestnetContracts() {
-        return await this.fetchContracts('testnet');
+        return await this.fetchContracts(this.testnetNetwork);
+    }
+
+    // Code list of a chain the registry has deployments on
+    async fetchChainContracts(chainId) {
+        const network = this.networkForChainId(chainId);
+        if (!network) {
+            throw new Error(`chain ${chainId} is not in networks.json`);
+        }
+        return await this.fetchContracts(network);
     }
 
     async fetchGovernanceProposals() {
         this.log('Fetching governance proposals...');
         
         try {
-            const response = await fetch(`${this.apiBaseUrl}/cosmos/gov/v1/proposals?proposal_status=0`);
-            if (!response.ok) {
-                throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-            }
+            // Streamed page by page with MsgStoreCode wasm replaced by its hash (see lib/proposals.js)
+            const { proposals, pageCount } = await scanProposals(this.chain, this.apiBaseUrl, {
+                memoFile: this.chain.cacheDir ? memoFile(this.chain.cacheDir, this.network.chain_id) : null,
+                onPage: (page, count) => this.log(`Fetched proposals page ${page}: ${count} proposals`, 'debug')
+            });
             
-            const data = await response.json();
-            this.log(`Found ${data.proposals?.length || 0} governance proposals`, 'success');
-            return data.proposals || [];
+            this.proposalPageCount = pageCount;
+            this.log(`Found ${proposals.length} governance proposals (${pageCount} pages)`, 'success');
+            return proposals;
         } catch (error) {
             this.log(`Failed to fetch governance proposals: ${error.message}`, 'error');
             return [];
@@ -369,8 +307,7 @@ class UnifiedValidator {
         this.log('Loading local contracts.json...');
         
         try {
-            const contractsPath = path.join(__dirname, '..', 'contracts.json');
-            const contractsData = JSON.parse(fs.readFileSync(contractsPath, 'utf8'));
+            const contractsData = loadRegistry();
             
             this.log(`Loaded ${contractsData.length} contracts from contracts.json`, 'success');
             return contractsData;
@@ -390,53 +327,51 @@ class UnifiedValidator {
                 this.fetchGovernanceProposals()
             ]);
 
-            // Check if any contracts have testnet configuration
-            const contractsWithTestnet = localContracts.filter(contract => contract.testnet);
-            let testnetContracts = [];
+            const chainId = this.network.chain_id;
+
+            // Every other chain the registry has deployments on is verified against its own LCD
+            const contractsWithTestnet = localContracts.filter(contract => otherDeployments(contract, chainId).length > 0);
+            const testnetChainIds = [...new Set(contractsWithTestnet.flatMap(contract =>
+                otherDeployments(contract, chainId).map(([deploymentChainId]) => deploymentChainId)))];
+            const testnetContracts = new Map();
             
             if (contractsWithTestnet.length > 0) {
-                this.log(`Found ${contractsWithTestnet.length} contracts with testnet configuration, verifying testnet data...`);
-                try {
-                    testnetContracts = await this.fetchTestnetContracts();
-                } catch (error) {
-                    this.log(`Warning: Failed to fetch testnet contracts: ${error.message}`, 'warning');
+                this.log(`Found ${contractsWithTestnet.length} contracts deployed to ${testnetChainIds.join(', ')}, verifying those deployments...`);
+                for (const testnetChainId of testnetChainIds) {
+                    try {
+                        testnetContracts.set(testnetChainId, await this.fetchChainContracts(testnetChainId));
+                    } catch (error) {
+                        this.log(`Warning: Not verifying deployments on ${testnetChainId}: ${error.message}`, 'warning');
+                        testnetContracts.set(testnetChainId, null);
+                    }
                 }
             }
 
-            // Create maps for efficient lookup
-            const localCodeIdMap = new Map();
-            const localHashMap = new Map();
+            // Create maps for efficient lookup (only entries deployed to the primary chain)
+            const mainnetContracts = localContracts.filter(contract => deploymentOn(contract, chainId));
+            const localCodeIdMap = byCodeId(mainnetContracts, chainId);
+            const localHashMap = byHash(mainnetContracts, chainId);
             const onChainCodeIdMap = new Map();
             const onChainHashMap = new Map();
-            const testnetCodeIdMap = new Map();
-            const testnetHashMap = new Map();
             
-            // Process local contracts
-            localContracts.forEach(contract => {
-                localCodeIdMap.set(contract.code_id, contract);
-                localHashMap.set(contract.hash, contract);
-            });
-            
-            // Process on-chain contracts (mainnet)
+            // Process on-chain contracts
             onChainContracts.forEach(contract => {
                 onChainCodeIdMap.set(contract.code_id, contract);
                 onChainHashMap.set(contract.data_hash.toUpperCase(), contract);
             });
 
-            // Process testnet contracts
-            testnetContracts.forEach(contract => {
-                testnetCodeIdMap.set(contract.code_id, contract);
-                testnetHashMap.set(contract.data_hash.toUpperCase(), contract);
-            });
-
             // Analyze discrepancies
             const discrepancies = {
                 missingFromJson: [],
                 missingFromChain: [],
                 hashMismatches: [],
                 governanceIssues: [],
+                provenanceIssues: [],
                 deprecatedIssues: [],
-                testnetIssues: []
+                testnetIssues: [],
+                instanceIssues: [],
+                versionIssues: [],
+                migrationIssues: []
             };
 
             // Find contracts on-chain but not in JSON
@@ -452,61 +387,96 @@ class UnifiedValidator {
             });
             
             // Find contracts in JSON but not on-chain
-            localContracts.forEach(localContract => {
-                const codeId = localContract.code_id;
-                if (!onChainCodeIdMap.has(codeId)) {
+            mainnetContracts.forEach(localContract => {
+                const deployment = deploymentOn(localContract, chainId);
+                if (!onChainCodeIdMap.has(deployment.code_id)) {
                     discrepancies.missingFromChain.push({
-                        codeId,
+                        codeId: deployment.code_id,
                         name: localContract.name,
-                        hash: localContract.hash,
-                        governance: localContract.governance,
+                        hash: deployment.hash,
+                        governance: deployment.governance,
                         deprecated: localContract.deprecated
                     });
                 }
             });
             
             // Find hash mismatches
-            localContracts.forEach(localContract => {
-                const chainContract = onChainCodeIdMap.get(localContract.code_id);
-                if (chainContract && localContract.hash !== chainContract.data_hash.toUpperCase()) {
+            mainnetContracts.forEach(localContract => {
+                const deployment = deploymentOn(localContract, chainId);
+                const chainContract = onChainCodeIdMap.get(deployment.code_id);
+                if (chainContract && normalizeHash(deployment.hash) !== chainContract.data_hash.toUpperCase()) {
                     discrepancies.hashMismatches.push({
-                        codeId: localContract.code_id,
+                        codeId: deployment.code_id,
                         name: localContract.name,
-                        localHash: localContract.hash,
+                        localHash: deployment.hash,
                         chainHash: chainContract.data_hash.toUpperCase(),
-                        governance: localContract.governance
+                        governance: deployment.governance
                     });
                 }
             });
 
             // Analyze governance issues
-            this.analyzeGovernanceIssues(localContracts, proposals, discrepancies);
+            const proposalHashMap = this.analyzeGovernanceIssues(mainnetContracts, proposals, discrepancies);
+            discrepancies.missingFromJson.forEach(item => {
+                item.proposal = proposalHashMap.get(item.hash) || null;
+            });
+
+            // Verify the proposals non-Genesis entries name
+            const provenanceChecked = await this.analyzeProvenanceIssues(mainnetContracts, proposals, discrepancies);
 
             // Analyze deprecated contracts
-            this.analyzeDeprecatedContracts(localContracts, onChainContracts, discrepancies);
+            this.analyzeDeprecatedContracts(mainnetContracts, onChainContracts, discrepancies);
 
             // Analyze testnet issues
             this.analyzeTestnetIssues(localContracts, testnetContracts, discrepancies);
 
+            // Analyze instantiated contract addresses
+            const instancesChecked = await this.analyzeInstanceIssues(localContracts, discrepancies);
+
+            // Compare the cw2 version of those addresses with the entries
+            const versionsChecked = await this.analyzeVersionIssues(localContracts, discrepancies);
+
+            // Analyze migrations of watched contract addresses
+            const migrationsChecked = await this.analyzeMigrationIssues(localContracts, discrepancies);
+
             this.results.onChainVerification.success = true;
             this.results.onChainVerification.discrepancies = discrepancies;
+            const testnetCounts = {};
+            testnetContracts.forEach((codeInfos, testnetChainId) => {
+                testnetCounts[testnetChainId] = codeInfos ? codeInfos.length : 0;
+            });
             this.results.summary = {
+                chainId,
                 totalLocalContracts: localContracts.length,
+                contractsWithMainnet: mainnetContracts.length,
                 totalOnChainContracts: onChainContracts.length,
-                totalTestnetContracts: testnetContracts.length,
+                totalTestnetContracts: Object.values(testnetCounts).reduce((sum, count) => sum + count, 0),
+                testnetContractsByChain: testnetCounts,
                 totalProposals: proposals.length,
+                proposalPages: this.proposalPageCount,
                 contractsWithTestnet: contractsWithTestnet.length,
+                provenanceChecked,
+                instancesChecked,
+                versionsChecked,
+                migrationsChecked,
                 discrepancies: {
                     missingFromJson: discrepancies.missingFromJson.length,
                     missingFromChain: discrepancies.missingFromChain.length,
                     hashMismatches: discrepancies.hashMismatches.length,
                     governanceIssues: discrepancies.governanceIssues.length,
+                    provenanceIssues: discrepancies.provenanceIssues.length,
                     deprecatedIssues: discrepancies.deprecatedIssues.length,
-                    testnetIssues: discrepancies.testnetIssues.length
+                    testnetIssues: discrepancies.testnetIssues.length,
+                    instanceIssues: discrepancies.instanceIssues.length,
+                    versionIssues: discrepancies.versionIssues.length,
+                    migrationIssues: discrepancies.migrationIssues.length
                 }
             };
 
             this.generateRecommendations(discrepancies);
+            if (this.draftFile) {
+                this.writeDraftEntries(discrepancies.missingFromJson);
+            }
             return true;
         } catch (error) {
             this.log(`On-chain verification failed: ${error.message}`, 'error');
@@ -515,14 +485,19 @@ class UnifiedValidator {
         }
     }
 
+    /**
+     * Flag Genesis entries whose code was stored by a proposal.
+     * @returns {Map<string, Object>} Proposal info by the hash of each stored code
+     */
     analyzeGovernanceIssues(localContracts, proposals, discrepancies) {
         const proposalHashMap = new Map();
         
         proposals.forEach(proposal => {
             if (proposal.messages) {
                 proposal.messages.forEach((msg, idx) => {
-                    if (msg['@type'] === '/cosmwasm.wasm.v1.MsgStoreCode') {
-                        const hash = this.calculateWasmHash(msg.wasm_byte_code);
+                    const payload = storeCodeOf(msg);
+                    if (payload) {
+                        const hash = storeCodeHash(payload, base64 => this.calculateWasmHash(base64));
                         if (hash) {
                             proposalHashMap.set(hash, {
                                 proposalId: proposal.id,
@@ -537,64 +512,202 @@ class UnifiedValidator {
         });
         
         localContracts.forEach(contract => {
-            if (contract.governance === 'Genesis') {
-                const proposalInfo = proposalHashMap.get(contract.hash);
+            const deployment = deploymentOn(contract, this.network.chain_id);
+            if (!deployment) {
+                return;
+            }
+            if (deployment.governance === 'Genesis') {
+                const proposalInfo = proposalHashMap.get(normalizeHash(deployment.hash));
                 if (proposalInfo) {
                     discrepancies.governanceIssues.push({
-                        codeId: contract.code_id,
+                        codeId: deployment.code_id,
                         name: contract.name,
-                        hash: contract.hash,
-                        governance: contract.governance,
+                        hash: deployment.hash,
+                        governance: deployment.governance,
                         proposal: proposalInfo
                     });
                 }
             }
         });
+        return proposalHashMap;
+    }
+
+    /**
+     * Check that the proposal each non-Genesis entry names exists, passed and
+     * stored the entry's code. Proposals missing from the list are fetched
+     * one by one.
+     * @returns {Promise<number>} How many proposal references were checked
+     */
+    async analyzeProvenanceIssues(localContracts, proposals, discrepancies) {
+        const result = await checkProvenance(localContracts, proposals, {
+            chainId: this.network.chain_id,
+            hashOf: base64 => this.calculateWasmHash(base64),
+            fetchProposal: async id => {
+                const data = await this.chain.fetchJson(`${this.apiBaseUrl}/cosmos/gov/v1/proposals/${id}`);
+                return data.proposal || null;
+            }
+        });
+        discrepancies.provenanceIssues.push(...result.issues);
+        if (result.unverified.length > 0) {
+            this.log(`Warning: Could not fetch ${result.unverified.length} proposals (${result.unverified.map(item => item.governance).join(', ')}): ${result.unverified[0].error}`, 'warning');
+        }
+        return result.checked;
     }
 
     analyzeDeprecatedContracts(localContracts, onChainContracts, discrepancies) {
-        const deprecatedContracts = localContracts.filter(c => c.deprecated === true);
+        const deprecatedContracts = localContracts.filter(c => c.deprecated === true && deploymentOn(c, this.network.chain_id));
         
         deprecatedContracts.forEach(contract => {
-            const chainContract = onChainContracts.find(c => c.code_id === contract.code_id);
+            const deployment = deploymentOn(contract, this.network.chain_id);
+            const chainContract = onChainContracts.find(c => c.code_id === deployment.code_id);
             if (chainContract) {
                 discrepancies.deprecatedIssues.push({
-                    codeId: contract.code_id,
+                    codeId: deployment.code_id,
                     name: contract.name,
-                    hash: contract.hash,
-                    governance: contract.governance,
+                    hash: deployment.hash,
+                    governance: deployment.governance,
                     issue: 'Deprecated contract still exists on-chain'
                 });
             }
         });
     }
 
+    /**
+     * Check every non-primary deployment against its own chain.
+     * @param {Map<string, Object[]|null>} testnetContracts  chain ID -> code infos
+     *        (null when the chain couldn't be fetched or isn't in networks.json,
+     *        which verifyOnChainContracts has already warned about)
+     */
     analyzeTestnetIssues(localContracts, testnetContracts, discrepancies) {
-        const contractsWithTestnet = localContracts.filter(c => c.testnet);
-        
-        contractsWithTestnet.forEach(contract => {
-            const testnetConfig = contract.testnet;
-            const testnetContract = testnetContracts.find(c => `${c.code_id}` === `${testnetConfig.code_id}`);
-            
-            if (!testnetContract) {
-                discrepancies.testnetIssues.push({
-                    codeId: contract.code_id,
-                    testnetCodeId: testnetConfig.code_id,
-                    name: contract.name,
-                    issue: 'Testnet contract not found on testnet',
-                    expectedHash: testnetConfig.hash
-                });
-            } else if (testnetContract.data_hash.toUpperCase() !== testnetConfig.hash) {
-                discrepancies.testnetIssues.push({
-                    codeId: contract.code_id,
-                    testnetCodeId: testnetConfig.code_id,
-                    name: contract.name,
-                    issue: 'Testnet hash mismatch',
-                    expectedHash: testnetConfig.hash,
-                    actualHash: testnetContract.data_hash.toUpperCase()
-                });
+        localContracts.forEach(contract => {
+            const mainnet = deploymentOn(contract, this.network.chain_id);
+            const codeId = mainnet ? mainnet.code_id : 'n/a';
+
+            otherDeployments(contract, this.network.chain_id).forEach(([chainId, testnetConfig]) => {
+                const codeInfos = testnetContracts.get(chainId);
+                if (!codeInfos) {
+                    return; // Unverified, not missing
+                }
+                const testnetContract = codeInfos.find(c => `${c.code_id}` === `${testnetConfig.code_id}`);
+
+                if (!testnetContract) {
+                    discrepancies.testnetIssues.push({
+                        codeId,
+                        chainId,
+                        testnetCodeId: testnetConfig.code_id,
+                        name: contract.name,
+                        issue: `Contract not found on ${chainId}`,
+                        expectedHash: testnetConfig.hash
+                    });
+                } else if (testnetContract.data_hash.toUpperCase() !== normalizeHash(testnetConfig.hash)) {
+                    discrepancies.testnetIssues.push({
+                        codeId,
+                        chainId,
+                        testnetCodeId: testnetConfig.code_id,
+                        name: contract.name,
+                        issue: `Hash mismatch on ${chainId}`,
+                        expectedHash: testnetConfig.hash,
+                        actualHash: testnetContract.data_hash.toUpperCase()
+                    });
+                }
+            });
+        });
+    }
+
+    /**
+     * Check the instances listed under each deployment against their own chain.
+     * @returns {Promise<number>} How many addresses were checked
+     */
+    async analyzeInstanceIssues(localContracts, discrepancies) {
+        const chainIds = [...new Set(localContracts.flatMap(contract => deploymentsOf(contract)
+            .filter(([, deployment]) => instancesOf(deployment).length > 0)
+            .map(([chainId]) => chainId)))];
+        let checked = 0;
+
+        for (const chainId of chainIds) {
+            const network = this.networkForChainId(chainId);
+            if (!network) {
+                this.log(`Warning: Skipping instances on ${chainId}, which is not in networks.json`, 'warning');
+                continue;
+            }
+            this.log(`Checking contract instances on ${chainId}...`);
+            const result = await verifyInstances(localContracts, { chain: this.chain, network });
+            checked += result.checked;
+            discrepancies.instanceIssues.push(...result.issues);
+            result.unverified.forEach(({ address, error }) => {
+                this.log(`Warning: Failed to fetch instance ${address} on ${chainId}: ${error}`, 'warning');
+            });
+        }
+        return checked;
+    }
+
+    /**
+     * Flag listed instances whose cw2 contract name or version doesn't match
+     * their entry (see lib/cw2.js).
+     * @returns {Promise<number>} How many addresses were checked
+     */
+    async analyzeVersionIssues(localContracts, discrepancies) {
+        const chainIds = [...new Set(localContracts.flatMap(contract => deploymentsOf(contract)
+            .filter(([, deployment]) => instancesOf(deployment).length > 0)
+            .map(([chainId]) => chainId)))];
+        let checked = 0;
+
+        for (const chainId of chainIds) {
+            const network = this.networkForChainId(chainId);
+            if (!network) {
+                continue; // Already warned about by analyzeInstanceIssues
             }
+            this.log(`Checking contract versions on ${chainId}...`);
+            const result = await verifyContractVersions(localContracts, { chain: this.chain, network });
+            checked += result.checked;
+            discrepancies.versionIssues.push(...result.issues);
+            if (result.withoutVersion > 0) {
+                this.log(`${result.withoutVersion} instances on ${chainId} don't store a cw2 version`);
+            }
+            result.unverified.forEach(({ address, error }) => {
+                this.log(`Warning: Failed to read the cw2 version of ${address} on ${chainId}: ${error}`, 'warning');
+            });
+        }
+        return checked;
+    }
+
+    /**
+     * Flag the contracts watched with --addresses=FILE whose current code is
+     * another entry's, or unregistered. Addresses listed as instances in
+     * contracts.json are skipped, since analyzeInstanceIssues already
+     * reports when they run other code.
+     * @returns {Promise<number>} How many addresses were checked
+     */
+    async analyzeMigrationIssues(localContracts, discrepancies) {
+        const listed = new Set(localContracts.flatMap(contract => deploymentsOf(contract)
+            .flatMap(([chainId, deployment]) => instancesOf(deployment).map(instance => `${chainId} ${instance.address}`))));
+        const watchList = this.watchList.filter(watched => !listed.has(`${watched.chainId} ${watched.address}`));
+        if (watchList.length === 0) {
+            return 0;
+        }
+
+        this.log(`Checking code history of ${watchList.length} contract addresses...`);
+        const result = await checkMigrations(localContracts, watchList, {
+            chain: this.chain,
+            networkFor: chainId => this.networkForChainId(chainId)
+        });
+        discrepancies.migrationIssues.push(...result.issues);
+        result.unverified.forEach(({ address, chainId, error }) => {
+            this.log(`Warning: Failed to fetch code history of ${address} on ${chainId}: ${error}`, 'warning');
         });
+        return result.checked;
+    }
+
+    // Stub entries for the code missing from contracts.json (see lib/drafts.js)
+    writeDraftEntries(missingFromJson) {
+        const stream = this.reportOutput ? console.error : console.log;
+        if (missingFromJson.length === 0) {
+            colorLog('green', '📝 No code IDs missing from contracts.json, nothing to draft', stream);
+            return;
+        }
+        writeDrafts(missingFromJson, { chainId: this.network.chain_id, file: this.draftFile });
+        colorLog('yellow', `📝 Wrote ${missingFromJson.length} draft entries to ${this.draftFile}; fill in the TODOs before moving them to contracts.json`, stream);
+        missingFromJson.forEach(item => stream(`   ${draftNote(item)}`));
     }
 
     generateRecommendations(discrepancies) {
@@ -641,6 +754,15 @@ class UnifiedValidator {
             });
         }
         
+        if (discrepancies.provenanceIssues && discrepancies.provenanceIssues.length > 0) {
+            this.results.recommendations.push({
+                type: 'provenance_issue',
+                priority: 'high',
+                message: `Fix ${discrepancies.provenanceIssues.length} governance references whose proposal is missing, did not pass or stored other code`,
+                action: 'Set governance to the passed proposal that stored the code, or check the hash'
+            });
+        }
+        
         if (discrepancies.testnetIssues && discrepancies.testnetIssues.length > 0) {
             this.results.recommendations.push({
                 type: 'testnet_issue',
@@ -649,17 +771,50 @@ class UnifiedValidator {
                 action: 'Update testnet configurations or verify testnet deployments'
             });
         }
+
+        if (discrepancies.instanceIssues && discrepancies.instanceIssues.length > 0) {
+            this.results.recommendations.push({
+                type: 'instance_issue',
+                priority: 'high',
+                message: `Fix ${discrepancies.instanceIssues.length} contract instances that are missing from chain or run a different code ID`,
+                action: 'Check each instance address and that it is listed under the deployment of the code it runs'
+            });
+        }
+
+        if (discrepancies.versionIssues && discrepancies.versionIssues.length > 0) {
+            this.results.recommendations.push({
+                type: 'version_issue',
+                priority: 'medium',
+                message: `Review ${discrepancies.versionIssues.length} contract instances whose cw2 name or version differs from their entry`,
+                action: 'Update release.version (or the entry the instance is listed under) to what the contract reports'
+            });
+        }
+
+        if (discrepancies.migrationIssues && discrepancies.migrationIssues.length > 0) {
+            this.results.recommendations.push({
+                type: 'migration_issue',
+                priority: 'high',
+                message: `Review ${discrepancies.migrationIssues.length} watched contracts that were migrated to other or unregistered code`,
+                action: 'Register the new code in contracts.json and move the instance under it, or investigate the migration'
+            });
+        }
     }
 
 
     // Main validation method
     async validate() {
         try {
-            colorLog('cyan', '🔍 Starting unified contract validation for mainnet...');
+            if (!this.reportOutput) {
+                colorLog('cyan', `🔍 Starting unified contract validation for ${this.network.chain_id} (${this.apiBaseUrl})...`);
+            }
+            if (this.chain.mode !== 'online' && !this.validateOnly) {
+                this.log(this.chain.mode === 'offline'
+                    ? `📼 Offline mode: replaying chain responses from ${this.chain.dir}`
+                    : `📼 Recording chain responses to ${this.chain.dir}`, 'warning');
+            }
             
             let success = true;
 
-
             if (!this.verifyOnly) {
                 success = await this.validateJsonStructure() && success;
             }
@@ -668,11 +823,24 @@ class UnifiedValidator {
                 success = await this.verifyOnChainContracts() && success;
             }
 
-            this.printResults();
+            if (this.format === 'json') {
+                this.printReport(buildJsonReport(this.results, {
+                    success,
+                    issues: this.collectIssues(),
+                    checks: this.checks()
+                }));
+            } else if (this.format === 'sarif') {
+                this.printReport(buildSarifReport(this.collectIssues()));
+            } else {
+                this.printResults();
+                if (this.format === 'github') {
+                    this.printAnnotations();
+                }
+            }
             return success;
             
         } catch (error) {
-            colorLog('red', `❌ Validation failed: ${error.message}`);
+            colorLog('red', `❌ Validation failed: ${error.message}`, this.reportOutput ? console.error : console.log);
             return false;
         }
     }
@@ -687,9 +855,19 @@ class UnifiedValidator {
                 colorLog('green', '✅ JSON structure validation passed');
             } else {
                 colorLog('red', '❌ JSON structure validation failed');
-                this.results.jsonValidation.errors.forEach(error => {
-                    colorLog('red', `   ${error}`);
-                });
+                const errorIssues = this.results.jsonValidation.issues.filter(issue => issue.severity === 'error');
+                if (errorIssues.length > 0) {
+                    errorIssues.forEach(issue => {
+                        colorLog('red', `   ${formatIssue(issue)}`);
+                        if (issue.location) {
+                            issue.location.excerpt.forEach(line => colorLog('gray', `      ${line}`));
+                        }
+                    });
+                } else {
+                    this.results.jsonValidation.errors.forEach(error => {
+                        colorLog('red', `   ${error}`);
+                    });
+                }
             }
         }
 
@@ -700,10 +878,17 @@ class UnifiedValidator {
             
             colorLog('blue', '\n📈 On-chain Verification Summary:');
             colorLog('gray', `   Local contracts: ${summary.totalLocalContracts}`);
+            colorLog('gray', `   Contracts with mainnet config: ${summary.contractsWithMainnet}`);
             colorLog('gray', `   On-chain contracts: ${summary.totalOnChainContracts}`);
-            colorLog('gray', `   Testnet contracts: ${summary.totalTestnetContracts}`);
+            Object.entries(summary.testnetContractsByChain).forEach(([chainId, count]) => {
+                colorLog('gray', `   ${chainId} contracts: ${count}`);
+            });
             colorLog('gray', `   Contracts with testnet config: ${summary.contractsWithTestnet}`);
-            colorLog('gray', `   Governance proposals: ${summary.totalProposals}`);
+            colorLog('gray', `   Contract instances checked: ${summary.instancesChecked}`);
+            colorLog('gray', `   Contract versions checked: ${summary.versionsChecked}`);
+            colorLog('gray', `   Contract histories checked: ${summary.migrationsChecked}`);
+            colorLog('gray', `   Governance proposals: ${summary.totalProposals} (${summary.proposalPages} pages)`);
+            colorLog('gray', `   Governance references checked: ${summary.provenanceChecked}`);
             
             const totalDiscrepancies = Object.values(summary.discrepancies).reduce((sum, count) => sum + count, 0);
             if (totalDiscrepancies === 0) {
@@ -724,7 +909,8 @@ class UnifiedValidator {
         if (discrepancies.missingFromJson.length > 0) {
             colorLog('red', '\n📝 Contracts on-chain but missing from contracts.json:');
             discrepancies.missingFromJson.forEach(item => {
-                colorLog('red', `   Code ID ${item.codeId}: ${item.hash}`);
+                const proposal = item.proposal ? ` (Proposal ${item.proposal.proposalId}: ${item.proposal.proposalTitle})` : '';
+                colorLog('red', `   Code ID ${item.codeId}: ${item.hash}${proposal}`);
             });
         }
         
@@ -751,6 +937,13 @@ class UnifiedValidator {
             });
         }
         
+        if (discrepancies.provenanceIssues.length > 0) {
+            colorLog('red', '\n📜 Governance provenance issues:');
+            discrepancies.provenanceIssues.forEach(item => {
+                colorLog('red', `   Code ID ${item.codeId} (${item.name}): ${item.issue}`);
+            });
+        }
+        
         if (discrepancies.deprecatedIssues.length > 0) {
             colorLog('yellow', '\n🗑️  Deprecated contract issues:');
             discrepancies.deprecatedIssues.forEach(item => {
@@ -761,8 +954,8 @@ class UnifiedValidator {
         if (discrepancies.testnetIssues.length > 0) {
             colorLog('yellow', '\n🧪 Testnet configuration issues:');
             discrepancies.testnetIssues.forEach(item => {
-                if (item.issue === 'Testnet hash mismatch') {
-                    colorLog('yellow', `   Code ID ${item.codeId} (${item.name}):`);
+                if (item.actualHash) {
+                    colorLog('yellow', `   Code ID ${item.codeId} (${item.name}), ${item.chainId} code ID ${item.testnetCodeId}:`);
                     colorLog('yellow', `     Expected: ${item.expectedHash}`);
                     colorLog('yellow', `     Actual:   ${item.actualHash}`);
                 } else {
@@ -770,6 +963,124 @@ class UnifiedValidator {
                 }
             });
         }
+        
+        if (discrepancies.instanceIssues.length > 0) {
+            colorLog('red', '\n🏷️  Contract instance issues:');
+            discrepancies.instanceIssues.forEach(item => {
+                colorLog('red', `   ${item.label} (${item.name}), ${item.address}: ${item.issue}`);
+            });
+        }
+        
+        if (discrepancies.versionIssues.length > 0) {
+            colorLog('yellow', '\n🔖 Contract version mismatches:');
+            discrepancies.versionIssues.forEach(item => {
+                colorLog('yellow', `   ${item.label} (${item.name}), ${item.address}: ${item.issue}`);
+            });
+        }
+        
+        if (discrepancies.migrationIssues.length > 0) {
+            colorLog('red', '\n🔀 Migrated contracts:');
+            discrepancies.migrationIssues.forEach(item => {
+                const contract = item.label ? `${item.label} (${item.address})` : item.address;
+                colorLog(item.kind === 'unregistered' ? 'red' : 'yellow', `   ${contract} on ${item.chainId}: ${item.issue}`);
+            });
+        }
+    }
+
+    // Turn on-chain discrepancies into issues located in contracts.json (see lib/issues.js)
+    collectDiscrepancyIssues() {
+        const discrepancies = this.results.onChainVerification.discrepancies;
+        if (!this.results.onChainVerification.success) {
+            return [];
+        }
+
+        const { contracts, source, file } = loadRegistrySource();
+        const at = (codeId, field, chainId = this.network.chain_id) => {
+            const pointer = pointerForCodeId(contracts, chainId, codeId);
+            return pointer ? `${pointer}/${field}` : '';
+        };
+
+        const issues = [];
+        discrepancies.hashMismatches.forEach(item => {
+            issues.push(createIssue(at(item.codeId, 'hash'), 'chain/hash-mismatch',
+                `Code ID ${item.codeId} (${item.name}) hash ${item.localHash} does not match chain hash ${item.chainHash}`));
+        });
+        discrepancies.missingFromChain.forEach(item => {
+            issues.push(createIssue(at(item.codeId, 'code_id'), 'chain/missing-from-chain',
+                `Code ID ${item.codeId} (${item.name}) does not exist on chain`));
+        });
+        discrepancies.missingFromJson.forEach(item => {
+            issues.push(createIssue('', 'chain/missing-from-json',
+                `Code ID ${item.codeId} (${item.hash}) exists on chain but not in contracts.json`, 'warning'));
+        });
+        discrepancies.governanceIssues.forEach(item => {
+            issues.push(createIssue(at(item.codeId, 'governance'), 'governance/genesis-with-proposal',
+                `Code ID ${item.codeId} (${item.name}) is marked as Genesis but was uploaded via Proposal ${item.proposal.proposalId}`, 'warning'));
+        });
+        discrepancies.provenanceIssues.forEach(item => {
+            issues.push(createIssue(at(item.codeId, 'governance'), PROVENANCE_RULES[item.kind],
+                `Code ID ${item.codeId} (${item.name}): ${item.issue}`));
+        });
+        discrepancies.deprecatedIssues.forEach(item => {
+            issues.push(createIssue(at(item.codeId, 'code_id'), 'chain/deprecated-on-chain',
+                `Code ID ${item.codeId} (${item.name}): ${item.issue}`, 'warning'));
+        });
+        discrepancies.testnetIssues.forEach(item => {
+            const detail = item.actualHash ? ` (expected ${item.expectedHash}, got ${item.actualHash})` : '';
+            issues.push(createIssue(at(item.testnetCodeId, item.actualHash ? 'hash' : 'code_id', item.chainId), 'testnet/mismatch',
+                `${item.chainId} code ID ${item.testnetCodeId} (${item.name}): ${item.issue}${detail}`, 'warning'));
+        });
+        discrepancies.instanceIssues.forEach(item => {
+            const pointer = pointerForInstance(contracts, item.chainId, item.address);
+            issues.push(createIssue(pointer ? `${pointer}/address` : '',
+                item.actualCodeId ? 'chain/instance-code-id-mismatch' : 'chain/instance-missing',
+                `${item.label} (${item.name}) at ${item.address}: ${item.issue}`));
+        });
+        discrepancies.versionIssues.forEach(item => {
+            const pointer = pointerForInstance(contracts, item.chainId, item.address);
+            issues.push(createIssue(pointer ? `${pointer}/address` : '', VERSION_RULES[item.kind],
+                `${item.label} (${item.name}) at ${item.address}: ${item.issue}`, 'warning'));
+        });
+        discrepancies.migrationIssues.forEach(item => {
+            const pointer = item.source === 'contracts.json' ? pointerForInstance(contracts, item.chainId, item.address) : null;
+            const contract = item.label ? `${item.label} (${item.address})` : item.address;
+            const from = item.source === 'contracts.json' ? '' : `, listed in ${item.source}`;
+            issues.push(createIssue(pointer ? `${pointer}/address` : '',
+                item.kind === 'unregistered' ? 'migration/unregistered-code' : 'migration/different-entry',
+                `${contract} on ${item.chainId}${from}: ${item.issue}`,
+                item.kind === 'unregistered' ? 'error' : 'warning'));
+        });
+
+        // Registry-wide findings have no single line to point at
+        return attachLocations(issues.filter(issue => issue.path), source, file)
+            .concat(issues.filter(issue => !issue.path));
+    }
+
+    checks() {
+        const checks = [];
+        if (!this.verifyOnly) checks.push('json');
+        if (!this.validateOnly) checks.push('chain');
+        return checks;
+    }
+
+    // Schema/ordering issues and on-chain discrepancies from the checks that ran
+    collectIssues() {
+        const issues = [];
+        if (!this.verifyOnly) {
+            issues.push(...this.results.jsonValidation.issues);
+        }
+        if (!this.validateOnly) {
+            issues.push(...this.collectDiscrepancyIssues());
+        }
+        return issues;
+    }
+
+    printAnnotations() {
+        this.collectIssues().forEach(issue => console.log(formatGithubAnnotation(issue, 'contracts.json')));
+    }
+
+    printReport(report) {
+        console.log(JSON.stringify(report, null, 2));
     }
 
     printRecommendations() {
@@ -789,7 +1100,15 @@ async function main() {
         verbose: false,
         validateOnly: false,
         verifyOnly: false,
+        ...parseSnapshotArgs(args),
+        ...parseNetworkArgs(args)
     };
+    try {
+        options.http = parseHttpArgs(args);
+    } catch (error) {
+        console.error(error.message);
+        process.exit(1);
+    }
     
     // Parse command line arguments
     args.forEach(arg => {
@@ -799,6 +1118,20 @@ async function main() {
             options.validateOnly = true;
         } else if (arg === '--verify-only') {
             options.verifyOnly = true;
+        } else if (arg.startsWith('--format=')) {
+            options.format = arg.slice('--format='.length);
+            if (!OUTPUT_FORMATS.includes(options.format)) {
+                console.error(`Unknown format: ${options.format} (expected one of: ${OUTPUT_FORMATS.join(', ')})`);
+                process.exit(1);
+            }
+        } else if (arg.startsWith('--addresses=')) {
+            options.addressesFile = path.resolve(arg.slice('--addresses='.length));
+        } else if (arg === '--draft-missing' || arg === '--fix') {
+            options.draftFile = DRAFT_PATH;
+        } else if (arg.startsWith('--draft-missing=')) {
+            options.draftFile = path.resolve(arg.slice('--draft-missing='.length));
+        } else if (/^--(snapshot|offline|network|lcd|rpc|timeout|retries|concurrency|cache|cache-ttl)=/.test(arg) || arg === '--cache') {
+            // Handled by parseSnapshotArgs / parseNetworkArgs / parseHttpArgs
         } else if (arg === '--help' || arg === '-h') {
             console.log(`
 Unified Contract Validator - Comprehensive contract validation tool
@@ -808,6 +1141,36 @@ Usage: node scripts/unified-validator.js [options]
 Options:
   --validate-only         Only validate JSON structure
   --verify-only          Only verify against on-chain data
+  --format=FORMAT        Output format: text (default), github (adds
+                         GitHub Actions workflow annotations), json
+                         (versioned results report) or sarif (SARIF 2.1.0
+                         for code scanning); json and sarif print only the
+                         report on stdout
+  --network=NAME         Network from networks.json to verify mainnet
+                         entries against (default: $XION_NETWORK or mainnet)
+  --lcd=URL              Override the network's LCD endpoint (also
+                         XION_<NAME>_LCD, e.g. XION_MAINNET_LCD)
+  --snapshot=DIR         Record the chain responses used for verification
+                         to DIR
+  --offline=DIR          Replay chain responses recorded with --snapshot
+                         instead of calling the API
+  --timeout=MS           Abort LCD requests after MS milliseconds
+                         (default: 30000)
+  --retries=N            Retry LCD requests failing with 429, 5xx or a
+                         network error up to N times (default: 3)
+  --concurrency=N        LCD requests in flight at once (default: 4)
+  --cache[=DIR]          Keep LCD responses in DIR (default: .cache/lcd)
+                         and revalidate them with their ETag; proposal
+                         wasm hashes are remembered there too
+  --cache-ttl=SECONDS    Reuse cached responses this young without a
+                         request (default: 3600)
+  --addresses=FILE       JSON list of contract addresses to check for
+                         migrations (instances listed in contracts.json
+                         are checked already)
+  --draft-missing[=FILE] Write a stub entry for every code ID missing from
+                         contracts.json to FILE (default:
+                         contracts.draft.json), with TODOs to fill in
+  --fix                  Same as --draft-missing
   --verbose, -v          Enable verbose output
   --help, -h             Show this help message
 
@@ -816,12 +1179,26 @@ Examples:
   node scripts/unified-validator.js --validate-only
   node scripts/unified-validator.js --verify-only
   node scripts/unified-validator.js --verbose
+  node scripts/unified-validator.js --format=github
+  node scripts/unified-validator.js --format=sarif > results.sarif
+  node scripts/unified-validator.js --snapshot=fixtures/chain
+  node scripts/unified-validator.js --offline=fixtures/chain
+  node scripts/unified-validator.js --lcd=http://localhost:1317
+  node scripts/unified-validator.js --verify-only --cache --retries=5
+  node scripts/unified-validator.js --verify-only --addresses=watched.json
+  node scripts/unified-validator.js --verify-only --draft-missing
             `);
             process.exit(0);
         }
     });
     
-    const validator = new UnifiedValidator(options);
+    let validator;
+    try {
+        validator = new UnifiedValidator(options);
+    } catch (error) {
+        console.error(error.message);
+        process.exit(1);
+    }
     const success = await validator.validate();
     
     process.exit(success ? 0 : 1);
@@ -1,189 +1,102 @@
 const fs = require('fs');
-const path = require('path');
+const { REGISTRY_PATH, loadRegistry, writeRegistry, validateRegistryFile } = require('./lib/registry');
+const { fixRegistry } = require('./lib/fix');
+const { stringifyRegistry } = require('./lib/format');
+const {
+  hasErrors,
+  countBySeverity,
+  groupByContract,
+  formatIssue,
+  formatGithubAnnotation
+} = require('./lib/issues');
 
-const mainnetSchema = {
-  type: 'object',
-  required: ['code_id', 'hash', 'governance'],
-  properties: {
-    code_id: { type: 'string', pattern: '^[0-9]+$' },
-    hash: { 
-      type: 'string', 
-      pattern: '^[a-fA-F0-9]{64}$',
-      message: 'Mainnet hash must be 64 hex characters long'
-    },
-    governance: { 
-      type: 'string',
-      pattern: '^(Genesis|[0-9]+)$'
-    }
-  }
-};
+const severityIcons = { error: '✖', warning: '⚠' };
+const formats = ['text', 'github'];
 
-const testnetSchema = {
-  type: 'object',
-  required: ['code_id', 'hash', 'network', 'deployed_by', 'deployed_at'],
-  properties: {
-    code_id: { type: 'string', pattern: '^[0-9]+$' },
-    hash: { 
-      type: 'string', 
-      pattern: '^[a-fA-F0-9]{64}$',
-      message: 'Testnet hash must be 64 hex characters long' 
-    },
-    network: { type: 'string', minLength: 1 },
-    deployed_by: { type: 'string', pattern: '^xion[a-z0-9]+$' }, // Basic validation for xion address
-    deployed_at: { type: 'string', pattern: '^\\d{4}-\\d{2}-\\d{2}T\\d{2}:\\d{2}:\\d{2}\\.\\d{3}Z$' } // ISO 8601 format
-  }
-};
+// --format=text (default) or --format=github to also emit workflow annotations
+const args = process.argv.slice(2);
+const formatArg = args.find(arg => arg.startsWith('--format='));
+const format = formatArg ? formatArg.slice('--format='.length) : 'text';
+if (!formats.includes(format)) {
+  console.error(`❌ Unknown format: ${format} (expected one of: ${formats.join(', ')})`);
+  process.exit(1);
+}
 
-const schema = {
-  type: 'array',
-  items: {
-    type: 'object',
-    required: ['name', 'description', 'release', 'author', 'deprecated'],
-    properties: {
-      name: { type: 'string', minLength: 1 },
-      description: { type: 'string' },
-      mainnet: { ...mainnetSchema, optional: true }, // Mark mainnet as optional
-      release: {
-        type: 'object',
-        required: ['url', 'version'],
-        properties: {
-          url: { 
-            type: 'string',
-            pattern: '^https://'
-          },
-          version: { type: 'string', minLength: 1 }
-        }
-      },
-      author: {
-        type: 'object',
-        required: ['name', 'url'],
-        properties: {
-          name: { type: 'string', minLength: 1 },
-          url: { 
-            type: 'string',
-            pattern: '^https://'
-          }
-        }
-      },
-      deprecated: { type: 'boolean' },
-      testnet: { ...testnetSchema, optional: true } // Mark testnet as optional
-    }
-  }
-};
+// --fix rewrites contracts.json with its mechanical problems corrected (see lib/fix.js)
+const fix = args.includes('--fix');
 
-function validateJson(data, schema, path = '') {
-  if (schema.type === 'array') {
-    if (!Array.isArray(data)) {
-      throw new Error(`${path} must be an array`);
+function applyFixes() {
+  let contracts;
+  try {
+    contracts = loadRegistry();
+  } catch (error) {
+    if (error instanceof SyntaxError) {
+      console.error('⚠️  contracts.json is not valid JSON, nothing was fixed\n');
+      return;
     }
-    
-    // Check for duplicate code IDs
-    const codeIds = new Set();
-    data.forEach((item, index) => {
-      if (item.mainnet && item.mainnet.code_id && codeIds.has(item.mainnet.code_id)) {
-        throw new Error(`Duplicate code_id ${item.mainnet.code_id} found`);
-      }
-      if (item.mainnet && item.mainnet.code_id) codeIds.add(item.mainnet.code_id);
-      validateJson(item, schema.items, `${path}[${index}]`);
-    });
+    throw error;
+  }
 
-    // Check code_id ordering for all contracts
-    // Contracts without mainnet should come after contracts with mainnet
-    let foundContractWithoutMainnet = false;
-    for (let i = 0; i < data.length; i++) {
-      const hasMainnet = data[i].mainnet && data[i].mainnet.code_id;
-      
-      // If we've already seen a contract without mainnet, all subsequent contracts should also be without mainnet
-      if (foundContractWithoutMainnet && hasMainnet) {
-        throw new Error(`Contracts not in correct order: ${data[i].name} has mainnet but comes after a contract without mainnet. Contracts without mainnet should be placed at the end.`);
-      }
-      
-      if (!hasMainnet) {
-        foundContractWithoutMainnet = true;
-      }
-      
-      // Check code_id ordering for contracts with mainnet
-      // Note: This validation ensures contracts are in ascending order by code_id, but does not
-      // require consecutive code_ids. Gaps in the sequence are acceptable as:
-      // 1. Code IDs are assigned by the blockchain and may not be consecutive
-      // 2. The registry may not include all contracts deployed on the chain
-      // 3. We only validate that listed contracts are properly ordered
-      if (i > 0 && data[i-1].mainnet && data[i-1].mainnet.code_id && hasMainnet) {
-        const prevCodeId = parseInt(data[i-1].mainnet.code_id);
-        const currentCodeId = parseInt(data[i].mainnet.code_id);
-        if (currentCodeId < prevCodeId) {
-          throw new Error(`Contracts not in code_id order: ${data[i-1].name} (${prevCodeId}) comes before ${data[i].name} (${currentCodeId})`);
-        }
-      }
-    }
+  const { contracts: fixed, fixes } = fixRegistry(contracts);
+  if (fixes.length === 0) {
+    console.log('🔧 Nothing to fix\n');
     return;
   }
+  // writeRegistry uses the canonical layout, which may change more than the fixes:
+  // key order (compared after fixing) and whitespace (compared before)
+  const plain = data => `${JSON.stringify(data, null, 2)}\n`;
+  const reformatted = stringifyRegistry(fixed) !== plain(fixed) ||
+    fs.readFileSync(REGISTRY_PATH, 'utf8') !== plain(contracts);
+  writeRegistry(fixed);
+  console.log(`🔧 Fixed ${fixes.length} problem(s) in contracts.json:`);
+  fixes.forEach(({ name, field, rule, message }) => {
+    console.log(`   ✔ ${name}: ${field ? `${field} ` : ''}${message} (${rule})`);
+  });
+  if (reformatted) {
+    console.log('   ✔ Rewrote the file in the canonical layout (key order, indentation; see `npm run format`)');
+  }
+  console.log('');
+}
 
-  if (schema.type === 'object') {
-    if (typeof data !== 'object' || data === null) {
-      throw new Error(`${path} must be an object`);
-    }
+function printIssues(issues, data) {
+  const counts = countBySeverity(issues);
+  const output = counts.error > 0 ? console.error : console.log;
 
-    // Check required properties
-    for (const required of schema.required || []) {
-      if (!(required in data)) {
-        throw new Error(`${path} missing required property: ${required}`);
+  output(`${counts.error > 0 ? '❌' : '⚠️ '} Found ${counts.error} error(s) and ${counts.warning} warning(s) in contracts.json\n`);
+  groupByContract(issues, data).forEach(group => {
+    output(group.label);
+    group.issues.forEach(issue => {
+      output(`   ${severityIcons[issue.severity]} ${formatIssue(issue)}`);
+      if (issue.location) {
+        issue.location.excerpt.forEach(line => output(`       ${line}`));
       }
-    }
+    });
+    output('');
+  });
+}
 
-    // Validate each property
-    for (const [key, value] of Object.entries(data)) {
-      const propertySchema = schema.properties[key];
-      if (!propertySchema) {
-        throw new Error(`${path} has unknown property: ${key}`);
-      }
-      if (!propertySchema.optional || (key in data)) {
-          validateJson(value, propertySchema, `${path}.${key}`);
-      }
-    }
-    return;
+try {
+  if (fix) {
+    applyFixes();
   }
+  const { contracts: data, issues, file } = validateRegistryFile();
 
-  if (schema.type === 'string') {
-    if (typeof data !== 'string') {
-      throw new Error(`${path} must be a string`);
-    }
-    if (schema.minLength && data.length < schema.minLength) {
-      throw new Error(`${path} must be at least ${schema.minLength} characters`);
-    }
-    if (schema.pattern) {
-      if (path.endsWith('.mainnet.hash') || path.endsWith('.hash')) {
-        console.log(`DEBUG: Validating ${path} with pattern ${schema.pattern}. Value: "${data}" Length: ${data.length}`);
-      }
-      const regex = new RegExp(schema.pattern);
-      if (!regex.test(data)) {
-        throw new Error(`${path} ${schema.message || `must match pattern: ${schema.pattern}`}`);
-      }
-    }
-    return;
+  if (format === 'github') {
+    issues.forEach(issue => console.log(formatGithubAnnotation(issue, file)));
   }
-
-  if (schema.type === 'boolean') {
-    if (typeof data !== 'boolean') {
-      throw new Error(`${path} must be a boolean`);
-    }
-    return;
+  if (issues.length > 0) {
+    printIssues(issues, data);
+  }
+  if (hasErrors(issues)) {
+    process.exit(1);
   }
-
-  throw new Error(`Unknown schema type: ${schema.type}`);
-}
-
-try {
-  const contractsPath = path.join(__dirname, '../contracts.json');
-  const data = JSON.parse(fs.readFileSync(contractsPath, 'utf8'));
-  validateJson(data, schema);
   console.log('✅ contracts.json is valid');
   process.exit(0);
 } catch (error) {
   if (error.code === 'ENOENT') {
-    console.error(`❌ Error: Could not find contracts.json at ${contractsPath}. Make sure the file exists.`);
+    console.error(`❌ Error: Could not find contracts.json at ${REGISTRY_PATH}. Make sure the file exists.`);
   } else {
     console.error('❌ Validation Error:', error.message);
   }
   process.exit(1);
-}
\ No newline at end of file
+}
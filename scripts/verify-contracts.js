@@ -3,110 +3,169 @@
  * 
  * This utility verifies:
  * 1. Code IDs and their corresponding hashes in the local contracts.json file 
- *    match those deployed on the Xion mainnet
+ *    match those deployed on the Xion mainnet (the deployments keyed by the
+ *    selected network's chain ID)
  * 2. All governance proposals with store code messages have corresponding entries
  *    in contracts.json
  * 3. Cross-references missing code IDs with their originating proposals
- * 4. Verifies Genesis contracts were not deployed through proposals
+ * 4. Verifies Genesis contracts were not deployed through proposals, and that
+ *    the proposal other entries name exists, passed and stored their code
+ * 5. Contract instances listed under the deployments exist on chain and run
+ *    the deployment's code ID, and the cw2 name and version they report
+ *    match the entry
  * 
  * Usage:
- *   node scripts/verify-contracts.js
+ *   node scripts/verify-contracts.js [--format=text|github] [--network=NAME] [--lcd=URL]
+ *                                    [--snapshot=DIR | --offline=DIR]
+ *                                    [--timeout=MS] [--retries=N] [--concurrency=N]
+ *                                    [--cache[=DIR]] [--cache-ttl=SECONDS]
+ *                                    [--draft-missing[=FILE] | --fix]
+ *
+ * With --format=github, discrepancies are also emitted as GitHub Actions
+ * workflow annotations pointing at the affected contracts.json lines.
+ * --snapshot=DIR records the chain responses to DIR; --offline=DIR replays
+ * them without network access (see lib/chain-snapshot.js). LCD requests
+ * time out, are retried on 429/5xx and, with --cache, are kept on disk and
+ * revalidated with their ETag (see lib/http.js). The chain is
+ * read from networks.json (default: mainnet), see lib/networks.js.
+ * --draft-missing (or --fix) writes a stub entry for every code ID missing
+ * from contracts.json to contracts.draft.json, or FILE (see lib/drafts.js).
  */
 
-const fs = require('fs');
 const path = require('path');
-const crypto = require('crypto');
-const zlib = require('zlib');
+const {
+    loadRegistrySource,
+    deploymentOn,
+    normalizeHash,
+    computeWasmHash,
+    getStatusString,
+    pointerForCodeId,
+    pointerForInstance
+} = require('./lib/registry');
+const { createIssue, attachLocations, formatGithubAnnotation } = require('./lib/issues');
+const { createChainClient, parseSnapshotArgs } = require('./lib/chain-snapshot');
+const { parseHttpArgs } = require('./lib/http');
+const { resolveNetwork, parseNetworkArgs } = require('./lib/networks');
+const { verifyInstances } = require('./lib/instances');
+const { VERSION_RULES, verifyContractVersions } = require('./lib/cw2');
+const { DRAFT_PATH, writeDrafts, draftNote } = require('./lib/drafts');
+const { PROVENANCE_RULES, checkProvenance } = require('./lib/provenance');
+const { storeCodeOf, storeCodeHash, memoFile, scanProposals } = require('./lib/proposals');
+
+const formats = ['text', 'github'];
 
 // Function to calculate SHA256 hash of wasm byte code
 function calculateWasmHash(base64WasmCode) {
+    const hash = computeWasmHash(base64WasmCode);
+    if (!hash) {
+        console.error('Error calculating wasm hash: could not decode wasm byte code');
+    }
+    return hash;
+}
+
+// Every proposal, with MsgStoreCode wasm replaced by its hash (see lib/proposals.js)
+async function fetchAllProposals(chain, network) {
     try {
-        const wasmBuffer = Buffer.from(base64WasmCode, 'base64');
-        
-        // Try to gunzip the buffer
-        try {
-            const unzippedBuffer = zlib.gunzipSync(wasmBuffer);
-            // If successful, calculate hash from unzipped data
-            const hash = crypto.createHash('sha256')
-                .update(unzippedBuffer)
-                .digest('hex')
-                .toUpperCase();
-            return hash;
-        } catch (gzipError) {
-            // If gunzip fails, assume it's regular base64 encoded wasm
-            const hash = crypto.createHash('sha256')
-                .update(wasmBuffer)
-                .digest('hex')
-                .toUpperCase();
-            return hash;
-        }
+        return await scanProposals(chain, network.lcd, {
+            memoFile: chain.cacheDir ? memoFile(chain.cacheDir, network.chain_id) : null
+        });
     } catch (error) {
-        console.error('Error calculating wasm hash:', error);
-        return null;
+        console.error('Failed to fetch proposals:', error.message);
+        return { proposals: [], pageCount: 0 };
     }
 }
 
-// Helper function to get human readable status
-function getStatusString(status) {
-    const statusMap = {
-        'PROPOSAL_STATUS_UNSPECIFIED': 'Unspecified',
-        'PROPOSAL_STATUS_DEPOSIT_PERIOD': 'Deposit Period',
-        'PROPOSAL_STATUS_VOTING_PERIOD': 'Voting Period',
-        'PROPOSAL_STATUS_PASSED': 'Passed',
-        'PROPOSAL_STATUS_REJECTED': 'Rejected',
-        'PROPOSAL_STATUS_FAILED': 'Failed'
+// Turn discrepancies into issues located in contracts.json (see lib/issues.js)
+function discrepancyIssues(discrepancies, localContracts, source, file, chainId) {
+    const issues = [];
+    const at = (codeId, field) => {
+        const pointer = pointerForCodeId(localContracts, chainId, codeId);
+        return pointer ? `${pointer}/${field}` : '';
     };
-    return statusMap[status] || status;
-}
+    const proposalNote = proposal => proposal
+        ? ` (Proposal ${proposal.proposalId}: ${proposal.proposalTitle}, ${proposal.status})`
+        : '';
 
-async function fetchAllProposals() {
-    const response = await fetch('https://api.xion-mainnet-1.burnt.com/cosmos/gov/v1/proposals?proposal_status=0');
-    if (!response.ok) {
-        console.error('Failed to fetch proposals:', response.status, response.statusText);
-        return [];
-    }
-    const proposalsData = await response.json();
-    return proposalsData.proposals || [];
+    discrepancies.hashMismatches.forEach(({codeId, name, localHash, chainHash, proposal}) => {
+        issues.push(createIssue(at(codeId, 'hash'), 'chain/hash-mismatch',
+            `Code ID ${codeId} (${name}) hash ${localHash} does not match chain hash ${chainHash}${proposalNote(proposal)}`));
+    });
+    discrepancies.missingFromChain.forEach(({codeId, name, proposal}) => {
+        issues.push(createIssue(at(codeId, 'code_id'), 'chain/missing-from-chain',
+            `Code ID ${codeId} (${name}) does not exist on chain${proposalNote(proposal)}`));
+    });
+    discrepancies.genesisWithProposal.forEach(({codeId, name, proposal}) => {
+        issues.push(createIssue(at(codeId, 'governance'), 'governance/genesis-with-proposal',
+            `Code ID ${codeId} (${name}) is marked as Genesis but was uploaded via governance${proposalNote(proposal)}`, 'warning'));
+    });
+    discrepancies.provenanceIssues.forEach(({codeId, name, kind, issue}) => {
+        issues.push(createIssue(at(codeId, 'governance'), PROVENANCE_RULES[kind],
+            `Code ID ${codeId} (${name}): ${issue}`));
+    });
+    discrepancies.missingFromJson.forEach(({codeId, chainHash, proposal}) => {
+        issues.push(createIssue('', 'chain/missing-from-json',
+            `Code ID ${codeId} (${chainHash}) exists on chain but not in contracts.json${proposalNote(proposal)}`, 'warning'));
+    });
+    discrepancies.missingFromBoth.forEach(({hash, proposal}) => {
+        issues.push(createIssue('', 'chain/missing-from-both',
+            `Store code message with hash ${hash} is missing from both chain and contracts.json${proposalNote(proposal)}`, 'warning'));
+    });
+    discrepancies.instanceIssues.forEach(({address, label, name, issue, actualCodeId}) => {
+        const pointer = pointerForInstance(localContracts, chainId, address);
+        issues.push(createIssue(pointer ? `${pointer}/address` : '',
+            actualCodeId ? 'chain/instance-code-id-mismatch' : 'chain/instance-missing',
+            `${label} (${name}) at ${address}: ${issue}`));
+    });
+    discrepancies.versionIssues.forEach(({address, label, name, kind, issue}) => {
+        const pointer = pointerForInstance(localContracts, chainId, address);
+        issues.push(createIssue(pointer ? `${pointer}/address` : '', VERSION_RULES[kind],
+            `${label} (${name}) at ${address}: ${issue}`, 'warning'));
+    });
+
+    // Registry-wide findings have no single line to point at
+    return attachLocations(issues.filter(issue => issue.path), source, file)
+        .concat(issues.filter(issue => !issue.path));
 }
 
-async function verifyContracts() {
+async function verifyContracts(format = 'text', chain = createChainClient(), network = resolveNetwork(), draftFile = null) {
     try {
         // Read local contracts.json
-        const contractsPath = path.join(__dirname, '..', 'contracts.json');
-        const localContracts = JSON.parse(fs.readFileSync(contractsPath, 'utf8'));
+        const { contracts: localContracts, source, file } = loadRegistrySource();
 
         // Create maps for local contracts
         const localCodeIds = new Map();
         const localHashes = new Map();
         const genesisContracts = new Map(); // Track Genesis contracts
         localContracts.forEach(contract => {
-            // Only process contracts with mainnet information
-            if (!contract.mainnet) {
+            // Only process contracts deployed to this chain
+            const deployment = deploymentOn(contract, network.chain_id);
+            if (!deployment) {
                 return;
             }
-            const isGenesis = contract.mainnet.governance === 'Genesis';
-            localCodeIds.set(contract.mainnet.code_id, {
+            const isGenesis = deployment.governance === 'Genesis';
+            const hash = normalizeHash(deployment.hash);
+            localCodeIds.set(deployment.code_id, {
                 name: contract.name,
-                hash: contract.mainnet.hash,
-                governance: contract.mainnet.governance,
+                hash,
+                governance: deployment.governance,
                 isGenesis
             });
-            localHashes.set(contract.mainnet.hash, {
+            localHashes.set(hash, {
                 name: contract.name,
-                code_id: contract.mainnet.code_id,
-                governance: contract.mainnet.governance,
+                code_id: deployment.code_id,
+                governance: deployment.governance,
                 isGenesis
             });
             if (isGenesis) {
-                genesisContracts.set(contract.mainnet.code_id, {
+                genesisContracts.set(deployment.code_id, {
                     name: contract.name,
-                    governance: contract.mainnet.governance
+                    governance: deployment.governance
                 });
             }
         });
 
         // Fetch all proposals
-        const proposals = await fetchAllProposals();
+        const { proposals, pageCount: proposalPages } = await fetchAllProposals(chain, network);
 
         // Create a map of proposal hashes to their details
         const proposalHashMap = new Map();
@@ -121,8 +180,9 @@ async function verifyContracts() {
             analyzedProposals++;
             if (proposal.messages) {
                 const storeCodeMessages = proposal.messages.filter((msg, idx) => {
-                    if (msg['@type'] === '/cosmwasm.wasm.v1.MsgStoreCode') {
-                        const hash = calculateWasmHash(msg.wasm_byte_code);
+                    const payload = storeCodeOf(msg);
+                    if (payload) {
+                        const hash = storeCodeHash(payload, calculateWasmHash);
                         if (hash) {
                             const proposalInfo = {
                                 proposalId: proposal.id,
@@ -155,12 +215,13 @@ async function verifyContracts() {
         });
 
         // Fetch chain data
-        const response = await fetch('https://api.xion-mainnet-1.burnt.com/cosmwasm/wasm/v1/code');
-        if (!response.ok) {
-            console.error('Failed to fetch chain data:', response.statusText);
+        let chainData;
+        try {
+            chainData = await chain.fetchJson(`${network.lcd}/cosmwasm/wasm/v1/code`);
+        } catch (error) {
+            console.error('Failed to fetch chain data:', error.message);
             process.exit(1); // Exit the process with an error code
         }
-        const chainData = await response.json();
 
         // Analyze discrepancies
         const discrepancies = {
@@ -168,7 +229,10 @@ async function verifyContracts() {
             missingFromChain: [], // Exists in contracts.json but not on chain
             hashMismatches: [],   // Hash mismatches between chain and contracts.json
             missingFromBoth: [],   // Found in proposals but not in chain or contracts.json
-            genesisWithProposal: [] // Genesis contracts that have an associated proposal
+            genesisWithProposal: [], // Genesis contracts that have an associated proposal
+            provenanceIssues: [],  // Named proposals that don't exist, didn't pass or stored other code
+            instanceIssues: [],    // Listed instances missing from chain or running another code ID
+            versionIssues: []      // Listed instances whose cw2 name or version differs from the entry
         };
 
         // Check each contract in contracts.json
@@ -199,6 +263,7 @@ async function verifyContracts() {
                 discrepancies.missingFromJson.push({
                     codeId,
                     chainHash,
+                    creator: info.creator,
                     proposal: proposalInfo
                 });
             } else if (localInfo.hash !== chainHash) {
@@ -238,16 +303,64 @@ async function verifyContracts() {
             }
         });
 
+        // Check the proposals non-Genesis entries name
+        const provenance = await checkProvenance(localContracts, proposals, {
+            chainId: network.chain_id,
+            hashOf: calculateWasmHash,
+            fetchProposal: async id => {
+                const data = await chain.fetchJson(`${network.lcd}/cosmos/gov/v1/proposals/${id}`);
+                return data.proposal || null;
+            }
+        });
+        discrepancies.provenanceIssues.push(...provenance.issues);
+        provenance.unverified.forEach(({governance, error}) => {
+            console.error(`Failed to fetch proposal ${governance}:`, error);
+        });
+
+        // Check the instantiated contracts listed for this chain
+        const instances = await verifyInstances(localContracts, { chain, network });
+        discrepancies.instanceIssues.push(...instances.issues);
+        instances.unverified.forEach(({address, error}) => {
+            console.error(`Failed to fetch contract ${address}:`, error);
+        });
+
+        // Compare the cw2 version those instances report
+        const versions = await verifyContractVersions(localContracts, { chain, network });
+        discrepancies.versionIssues.push(...versions.issues);
+        versions.unverified.forEach(({address, error}) => {
+            console.error(`Failed to read the cw2 version of ${address}:`, error);
+        });
+
         // Print unified report
         console.log('\n📊 Analysis Summary:');
         console.log(`   Total contracts in contracts.json: ${localContracts.length}`);
         console.log(`   Genesis contracts: ${genesisContracts.size}`);
         console.log(`   Total code IDs on chain: ${chainData.code_infos.length}`);
-        console.log(`   Total proposals analyzed: ${analyzedProposals}`);
+        console.log(`   Total proposals analyzed: ${analyzedProposals} (${proposalPages} pages)`);
         console.log(`   Proposals with store code: ${storeCodeProposals}`);
-        console.log(`   Total store code messages: ${totalStoreCodeMessages}\n`);
+        console.log(`   Total store code messages: ${totalStoreCodeMessages}`);
+        console.log(`   Governance references checked: ${provenance.checked}`);
+        console.log(`   Contract instances checked: ${instances.checked}`);
+        console.log(`   Contract versions checked: ${versions.checked}\n`);
+
+        if (draftFile) {
+            if (discrepancies.missingFromJson.length > 0) {
+                const missing = discrepancies.missingFromJson.map(({chainHash, ...item}) => ({ ...item, hash: chainHash }));
+                writeDrafts(missing, { chainId: network.chain_id, file: draftFile });
+                console.log(`📝 Wrote ${missing.length} draft entries to ${draftFile}; fill in the TODOs before moving them to contracts.json`);
+                missing.forEach(item => console.log(`   ${draftNote(item)}`));
+                console.log('');
+            } else {
+                console.log('📝 No code IDs missing from contracts.json, nothing to draft\n');
+            }
+        }
 
         const hasDiscrepancies = Object.values(discrepancies).some(arr => arr.length > 0);
+
+        if (format === 'github') {
+            discrepancyIssues(discrepancies, localContracts, source, file, network.chain_id)
+                .forEach(issue => console.log(formatGithubAnnotation(issue, file)));
+        }
         
         if (!hasDiscrepancies) {
             console.log('✅ All verifications passed successfully!');
@@ -325,6 +438,36 @@ async function verifyContracts() {
             });
         }
 
+        if (discrepancies.provenanceIssues.length > 0) {
+            console.log('📜 Contracts whose governance proposal does not match:');
+            discrepancies.provenanceIssues.forEach(({codeId, name, governance, issue}) => {
+                console.log(`   Code ID ${codeId} (${name}):`);
+                console.log(`   Governance: ${governance}`);
+                console.log(`   ${issue}`);
+                console.log('');
+            });
+        }
+
+        if (discrepancies.instanceIssues.length > 0) {
+            console.log('🏷️  Contract instances that are missing from chain or run another code ID:');
+            discrepancies.instanceIssues.forEach(({codeId, name, address, label, issue}) => {
+                console.log(`   ${label} (${name}, code ID ${codeId})`);
+                console.log(`   Address: ${address}`);
+                console.log(`   ${issue}`);
+                console.log('');
+            });
+        }
+
+        if (discrepancies.versionIssues.length > 0) {
+            console.log('🔖 Contract instances whose cw2 name or version differs from the entry:');
+            discrepancies.versionIssues.forEach(({codeId, name, address, label, issue}) => {
+                console.log(`   ${label} (${name}, code ID ${codeId})`);
+                console.log(`   Address: ${address}`);
+                console.log(`   ${issue}`);
+                console.log('');
+            });
+        }
+
         return true;
     } catch (error) {
         console.error('Error during verification:', error);
@@ -334,8 +477,37 @@ async function verifyContracts() {
 
 // Main function
 async function main() {
+    const args = process.argv.slice(2);
+    const formatArg = args.find(arg => arg.startsWith('--format='));
+    const format = formatArg ? formatArg.slice('--format='.length) : 'text';
+    if (!formats.includes(format)) {
+        console.error(`Unknown format: ${format} (expected one of: ${formats.join(', ')})`);
+        process.exit(1);
+    }
+    const draftArg = args.find(arg => arg === '--fix' || arg === '--draft-missing' || arg.startsWith('--draft-missing='));
+    const draftFile = !draftArg
+        ? null
+        : (draftArg.startsWith('--draft-missing=') ? path.resolve(draftArg.slice('--draft-missing='.length)) : DRAFT_PATH);
+
+    let chain;
+    let network;
     try {
-        const hasErrors = await verifyContracts();
+        chain = createChainClient({ ...parseSnapshotArgs(args), http: parseHttpArgs(args) });
+        const { network: networkName, ...overrides } = parseNetworkArgs(args);
+        network = resolveNetwork(networkName, overrides);
+    } catch (error) {
+        console.error(error.message);
+        process.exit(1);
+    }
+
+    try {
+        console.log(`🔗 Verifying against ${network.chain_id} (${network.lcd})`);
+        if (chain.mode === 'offline') {
+            console.log(`📼 Offline mode: replaying chain responses from ${chain.dir}`);
+        } else if (chain.mode === 'snapshot') {
+            console.log(`📼 Recording chain responses to ${chain.dir}`);
+        }
+        const hasErrors = await verifyContracts(format, chain, network, draftFile);
         if (hasErrors) {
             process.exit(1);
         }